@@ -5,6 +5,10 @@
  */
 "use strict";
 
+const EventEmitter = require('events').EventEmitter;
+const path = require('path');
+const util = require('util');
+
 /**
  * A reference to the global build config object.
  *
@@ -17,6 +21,62 @@
  */
 const globalConfig = require('./shared/config');
 
+const ActionGraph = require('./types/action-graph');
+const BuildConfig = require('./types/build-config');
+const configFile = require('./utils/config-file');
+const configReport = require('./utils/config-report');
+const dryRun = require('./utils/dry-run');
+const gulpCompat = require('./utils/gulp-compat');
+const Logger = require('./types/logger');
+const RunResult = require('./types/run-result');
+const taskHelp = require('./utils/task-help');
+
+/**
+ * The command-line flag that enables dry runs (see the build config's
+ * `tasks.dryRun` setting).
+ *
+ * @type {string}
+ * @private
+ * @inner
+ * @memberof module:gulp-kitchen-sink
+ */
+const DRY_RUN_FLAG = '--ks-dry-run';
+
+/**
+ * The events to emit for each type of report from task groups, and how to
+ * create them.
+ *
+ * @type {Object.<string, function(string, (string|Error), boolean): Array>}
+ * @private
+ * @inner
+ * @memberof module:gulp-kitchen-sink
+ */
+const REPORT_EVENTS = {
+  fileRead: function(taskName, filePath){
+    return ['file', {taskName: taskName, path: filePath, stage: 'read'}];
+  },
+  fileProcessed: function(taskName, filePath){
+    return ['file', {taskName: taskName, path: filePath, stage: 'processed'}];
+  },
+  fileWritten: function(taskName, filePath){
+    return ['file', {taskName: taskName, path: filePath, stage: 'written'}];
+  },
+  info: function(taskName, message){
+    return ['info', {taskName: taskName, message: message}];
+  },
+  warning: function(taskName, message){
+    return ['warning', {taskName: taskName, message: message}];
+  },
+  error: function(taskName, error, duringRun){
+    return ['taskError', {
+      taskName: taskName,
+      message: error instanceof Error ? error.message : String(error),
+      error: error instanceof Error ? error : null,
+      duringRun: duringRun
+    }];
+  }
+};
+
 
 
 
@@ -27,21 +87,126 @@ const globalConfig = require('./shared/config');
  * It allows you to collect your project's build configuration in a central place
  * and easily add various ready-made Gulp tasks.
  *
+ * By default, all kitchen sink instances share the
+ * {@link module:gulp-kitchen-sink/shared/config|global build config}. If you need several
+ * independently configured instances in one process (e.g. to build several sub-packages
+ * of a monorepo from one gulpfile), use the `isolated`, `parentConfig` or `config` options
+ * to give an instance its own build config.
+ *
+ * Unless disabled via the `configFile` option, the build config will be populated from
+ * a project config file. By default, a `kitchensink.config.js`, `kitchensink.config.json`
+ * or `package.json` (with a `"kitchenSink"` property) file in the current working directory
+ * is looked for. Its values are deep-merged over the build config's defaults. Any changes
+ * you then make to `config` in your gulpfile take precedence over the file's values. (When a
+ * config file is loaded, an instance that would share the global build config gets its own
+ * copy of it instead, so that the file's values never overwrite changes to the global one.)
+ *
+ * Config files can extend shareable presets (npm modules or local files) via an
+ * `extends` property (see
+ * {@link module:gulp-kitchen-sink/utils/config-file.loadConfigLayers|loadConfigLayers()}).
+ * Presets are merged in before the config file's own values.
+ *
+ * The build mode (see {@link module:gulp-kitchen-sink/types/build-config#mode|BuildConfig#mode})
+ * can be chosen via the `mode` option. If omitted, it is detected from the `--prod` or `--dev`
+ * command-line flags and the `KS_MODE` or `NODE_ENV` environment variables (see
+ * {@link module:gulp-kitchen-sink/types/build-config.detectMode|BuildConfig.detectMode()}).
+ *
+ * Any config value can also be overridden via environment variables or command-line
+ * flags, such as `KS_PATHS_SRCROOT=./alt` or `--ks.less.bldDir=css` (see
+ * {@link module:gulp-kitchen-sink/types/build-config#useOverrides|BuildConfig#useOverrides()}).
+ * These take precedence over the project config file, but not over changes made in
+ * your gulpfile.
+ *
+ * The `--ks-dry-run` command-line flag enables dry runs, in which tasks only report
+ * what they would do (see {@link module:gulp-kitchen-sink~KitchenSink#plan|plan()}).
+ *
+ * Kitchen sinks are event emitters. While the tasks added via a kitchen sink run, it
+ * emits events when they start and end, for the files they read, process and write
+ * and for any warnings and errors. Unless disabled via the `log` option, these events
+ * are logged according to the build config's `log` settings (see
+ * {@link module:gulp-kitchen-sink/types/logger|Logger}).
+ *
  * @param {external:gulp} gulp    The Gulp instance to use.
+ * @param {Object} [options]      Kitchen sink options.
+ * @param {string} [options.mode] The build mode to use: `'dev'` or `'prod'`.
+ * @param {string} [options.cwd]  The directory to look for a project config file in.
+ *                                Defaults to the current working directory.
+ * @param {string|boolean} [options.configFile]
+ *                                The path of a project config file to load. Set to
+ *                                `false` to not load any config file.
+ * @param {module:gulp-kitchen-sink/types/build-config} [options.config]
+ *                                A build config for this instance to use instead of
+ *                                the global one.
+ * @param {module:gulp-kitchen-sink/types/build-config} [options.parentConfig]
+ *                                A build config that this instance's own build config
+ *                                should be derived (i.e. copied) from.
+ * @param {boolean} [options.isolated=false]
+ *                                If `true`, this instance gets its own build config
+ *                                with default values, instead of using the global one.
+ * @param {Object} [options.env]  The environment variables to detect the build mode and
+ *                                config overrides from. Defaults to `process.env`.
+ * @param {string[]} [options.argv]
+ *                                The command-line arguments to detect the build mode and
+ *                                config overrides from. Defaults to `process.argv`.
+ * @param {string[]} [options.taskDirs]
+ *                                Additional directories of task group modules (see
+ *                                {@link module:gulp-kitchen-sink~KitchenSink#addTaskDir|addTaskDir()}).
+ *                                Relative paths are resolved against `options.cwd`.
+ * @param {boolean|string} [options.packages=true]
+ *                                Whether task groups provided by installed packages
+ *                                (see {@link module:gulp-kitchen-sink~KitchenSink#listTaskGroupPackages|listTaskGroupPackages()})
+ *                                should be available. They are looked for in the
+ *                                `node_modules` directory of `options.cwd` or, if this
+ *                                is `'ancestors'`, in those of its ancestors as well.
+ * @param {boolean} [options.log=true]
+ *                                Whether this instance's events should be logged.
  *
  * @constructor
+ * @extends EventEmitter
  * @alias module:gulp-kitchen-sink~KitchenSink
  */
-function KitchenSink(gulp){
+function KitchenSink(gulp, options){
+  EventEmitter.call(this);
+  options = options || {};
+
+  // Load the project config file (if there is one) and any presets it extends
+  const configFilePath = this._resolveConfigFile(options);
+  const configLayers = configFilePath ? configFile.loadConfigLayers(configFilePath) : [];
 
   /**
    * The build config to use.
    *
+   * Unless this instance was given its own build config, this is the global one.
+   * If a project config file was loaded, it is a copy of the global one instead
+   * (see {@link module:gulp-kitchen-sink/types/build-config#derive|BuildConfig#derive()}),
+   * so that the file's values are merged into this instance's config only.
+   *
    * @member {module:gulp-kitchen-sink/types/build-config}
    *
    * @see module:gulp-kitchen-sink/shared/config
    */
-  this.config = globalConfig;
+  this.config = KitchenSink._createConfig(options, configLayers.length > 0);
+  configLayers.forEach(function(layer){
+    this.config.merge(layer.values, layer.source);
+  }, this);
+
+  const env = options.env || process.env;
+  const argv = options.argv || process.argv;
+
+  // Set the build mode, if one was requested
+  if(!options.mode){
+    this.config.useDetectedMode(env, argv);
+  }
+
+  // Apply any overrides from environment variables and CLI flags
+  this.config.useOverrides(env, argv);
+  if(argv.indexOf(DRY_RUN_FLAG) !== -1){
+    this.config.set('tasks.dryRun', true, 'CLI flag ' + DRY_RUN_FLAG);
+  }
+
+  if(options.mode){
+    this.config.set('mode', options.mode);
+  }
 
   /**
    * The task group loader to use.
@@ -50,7 +215,278 @@ function KitchenSink(gulp){
    * @private
    */
   this._groupLoader = new (require('./types/group-loader'))(gulp, this.config);
+
+  /**
+   * The directory that relative task group module directories are resolved against.
+   *
+   * @member {string}
+   * @private
+   */
+  this._cwd = options.cwd || process.cwd();
+
+  /**
+   * The names of the aggregate tasks that were added.
+   *
+   * @member {string[]}
+   * @private
+   */
+  this._aggregateTasks = [];
+
+  /**
+   * The result of the run that is in progress, if any.
+   *
+   * @member {?module:gulp-kitchen-sink/types/run-result}
+   * @private
+   */
+  this._currentRun = null;
+
+  /**
+   * The times at which the tasks that are running started, keyed by
+   * task name.
+   *
+   * @member {Object.<string, number>}
+   * @private
+   */
+  this._taskStartTimes = {};
+
+  /**
+   * The logger that logs this instance's events, or `null` if they
+   * are not logged.
+   *
+   * @member {?module:gulp-kitchen-sink/types/logger}
+   */
+  this.logger = options.log === false ? null : new Logger(this.config).attach(this);
+
+  this._groupLoader.reportFn = this._emitReport.bind(this);
+
+  (options.taskDirs || []).forEach(function(dir){
+    this.addTaskDir(dir);
+  }, this);
+
+  if(options.packages !== false){
+    this._groupLoader.addPackagesDir(this._cwd, options.packages === 'ancestors');
+  }
 }
+util.inherits(KitchenSink, EventEmitter);
+
+
+/**
+ * Emitted when a task that was added via the kitchen sink starts.
+ *
+ * @event module:gulp-kitchen-sink~KitchenSink#taskStart
+ * @type {Object}
+ * @property {string} taskName        The task's name.
+ */
+
+/**
+ * Emitted when a task that was added via the kitchen sink ends.
+ *
+ * @event module:gulp-kitchen-sink~KitchenSink#taskEnd
+ * @type {Object}
+ * @property {string} taskName        The task's name.
+ * @property {number} duration        How long the task ran for, in milliseconds.
+ * @property {boolean} failed         Whether the task failed.
+ * @property {?Error} error           The error the task failed with, if any.
+ */
+
+/**
+ * Emitted for each file that a task reads, processes or writes.
+ *
+ * Tasks report the source files matched by their inputs when they start and the
+ * files their streams write. Pipes report the files that pass through them
+ * (which is what the built-in actions do).
+ *
+ * @event module:gulp-kitchen-sink~KitchenSink#file
+ * @type {Object}
+ * @property {string} taskName        The name of the task.
+ * @property {string} path            The file's path.
+ * @property {string} stage           What the task did with the file: `read`,
+ *                                    `processed` or `written`.
+ */
+
+/**
+ * Emitted when a task reports a message, e.g. what it would do in a dry run.
+ *
+ * @event module:gulp-kitchen-sink~KitchenSink#info
+ * @type {Object}
+ * @property {string} taskName        The name of the task.
+ * @property {string} message         The message.
+ */
+
+/**
+ * Emitted when a task reports a warning, e.g. when it was skipped since its
+ * source globs match no files or for the LESS hinter's warnings. Warnings
+ * about incompatible task group packages are emitted as well, with a `null`
+ * task name.
+ *
+ * @event module:gulp-kitchen-sink~KitchenSink#warning
+ * @type {Object}
+ * @property {?string} taskName       The name of the task, if any.
+ * @property {string} message         The warning.
+ */
+
+/**
+ * Emitted when a task reports an error, including the error it fails with.
+ *
+ * This is not named `error`, since event emitters throw `error` events
+ * that nobody listens to.
+ *
+ * @event module:gulp-kitchen-sink~KitchenSink#taskError
+ * @type {Object}
+ * @property {string} taskName        The name of the task.
+ * @property {string} message         A description of the error.
+ * @property {?Error} error           The error object, if there is one.
+ * @property {boolean} duringRun      True if the task was run via
+ *                                    {@link module:gulp-kitchen-sink~KitchenSink#run|run()},
+ *                                    false if it was run by Gulp itself (which
+ *                                    then reports the error as well).
+ */
+
+/**
+ * Emits the event for a report from one of the task groups (see
+ * {@link module:gulp-kitchen-sink/types/task-group#report|GulpTaskGroup#report()}).
+ *
+ * @param {string} taskName       The name of the task that reported.
+ * @param {string} type           The type of report.
+ * @param {string|Error} [detail] The details of the report.
+ *
+ * @fires module:gulp-kitchen-sink~KitchenSink#taskStart
+ * @fires module:gulp-kitchen-sink~KitchenSink#taskEnd
+ * @fires module:gulp-kitchen-sink~KitchenSink#file
+ * @fires module:gulp-kitchen-sink~KitchenSink#info
+ * @fires module:gulp-kitchen-sink~KitchenSink#warning
+ * @fires module:gulp-kitchen-sink~KitchenSink#taskError
+ *
+ * @private
+ */
+KitchenSink.prototype._emitReport = function(taskName, type, detail){
+  if(type === 'start'){
+    this._taskStartTimes[taskName] = Date.now();
+    this.emit('taskStart', {taskName: taskName});
+  }
+  else if(type === 'end'){
+    const startTime = this._taskStartTimes[taskName];
+    delete this._taskStartTimes[taskName];
+    this.emit('taskEnd', {
+      taskName: taskName,
+      duration: startTime === undefined ? 0 : Date.now() - startTime,
+      failed: !!detail,
+      error: detail instanceof Error ? detail : null
+    });
+  }
+  else if(REPORT_EVENTS.hasOwnProperty(type)){
+    this.emit.apply(this, REPORT_EVENTS[type](taskName, detail, !!this._currentRun));
+  }
+};
+
+/**
+ * Returns the build config that a new kitchen sink instance should use.
+ *
+ * Instances that would use the global build config get a copy of it if
+ * config file values will be merged into it. Otherwise, every instance
+ * would merge them into the global config again, overwriting any changes
+ * made to it in the meantime.
+ *
+ * @param {Object} options          The options passed to the constructor.
+ * @param {boolean} hasConfigFile   Whether a project config file will be
+ *                                  merged into the build config.
+ *
+ * @returns {module:gulp-kitchen-sink/types/build-config}  The build config.
+ *
+ * @private
+ */
+KitchenSink._createConfig = function(options, hasConfigFile){
+  if(options.config){
+    return options.config;
+  }
+  else if(options.parentConfig){
+    return options.parentConfig.derive();
+  }
+  else if(options.isolated){
+    return new BuildConfig();
+  }
+  else{
+    return hasConfigFile ? globalConfig.derive() : globalConfig;
+  }
+};
+
+/**
+ * Returns the path of the project config file to load.
+ *
+ * @param {Object} options    The options passed to the constructor.
+ *
+ * @returns {string|null}     The config file path, or `null` if none
+ *                            should be loaded.
+ *
+ * @private
+ */
+KitchenSink.prototype._resolveConfigFile = function(options){
+  if(options.configFile === false){
+    return null;
+  }
+  else if(typeof options.configFile === 'string'){
+    return path.resolve(options.cwd || process.cwd(), options.configFile);
+  }
+  else{
+    return configFile.findConfigFile(options.cwd || process.cwd());
+  }
+};
+
+/**
+ * Validates the build config against the schemas declared for its sections.
+ *
+ * This is done before any tasks are added to Gulp, so that typos and
+ * invalid values are reported up front, rather than silently being
+ * ignored. Sections belonging to task groups that have not been loaded
+ * yet are not checked.
+ *
+ * @throws {module:gulp-kitchen-sink/types/config-schema.ConfigValidationError}
+ *                              If the build config is invalid.
+ *
+ * @private
+ */
+KitchenSink.prototype._validateConfig = function(){
+  const ignoredSections = this._groupLoader.availableTaskGroups();
+  const configs = [this.config];
+  const loadedGroups = this._groupLoader.loadedTaskGroups();
+  var i, config;
+
+  // Task group instances may have their own configs
+  for(i=0; i<loadedGroups.length; ++i){
+    config = this._groupLoader.taskGroup(loadedGroups[i]).config;
+    if(configs.indexOf(config) === -1){
+      configs.push(config);
+    }
+  }
+
+  for(i=0; i<configs.length; ++i){
+    configs[i].validate(ignoredSections);
+  }
+};
+
+/**
+ * Checks the dependencies of the given actions before they are added to Gulp.
+ *
+ * The actions of all other task groups that were loaded so far are checked as
+ * well, so that problems anywhere in the loaded task groups are reported before
+ * any of their tasks are added to Gulp, rather than when they are first used.
+ *
+ * @param {string} groupName      The name of the actions' task group.
+ * @param {string[]} actionNames  The names of the actions to check.
+ *
+ * @throws {module:gulp-kitchen-sink/types/action-graph.ActionGraphError}
+ *                              If any dependencies are missing or circular,
+ *                              or if any task names collide.
+ *
+ * @private
+ */
+KitchenSink.prototype._validateActions = function(groupName, actionNames){
+  const graph = new ActionGraph(this._groupLoader);
+  actionNames.forEach(function(actionName){
+    graph.addAction(groupName, actionName);
+  });
+  graph.addLoadedGroups().assertValid();
+};
 
 /**
  * Adds a Gulp task identified by its group name and action name.
@@ -65,6 +501,12 @@ function KitchenSink(gulp){
  * name and the build configuration settings and returned. This can be useful for
  * referencing the task elsewhere in your gulpfile without hard-coding its name.
  *
+ * Any actions that the action depends on, including actions in other task groups,
+ * are added to Gulp as well, so that Gulp can find them when it runs the task. Only
+ * the requested task's name is returned. To learn which tasks were added along with
+ * it, use {@link module:gulp-kitchen-sink~KitchenSink#addTaskWithDeps|addTaskWithDeps()}
+ * instead.
+ *
  * @example <caption>Adding a Gulp task and referencing its name</caption>
  *
  * // Add the LESS build task to Gulp
@@ -78,9 +520,61 @@ function KitchenSink(gulp){
  * @param {string} groupName    The name of the task group, whose action should be added as a task.
  * @param {string} actionName   The name of the action within the task group that should be added as a task.
  * @returns {string}            The complete task name of the task that was added to Gulp.
+ *
+ * @throws {module:gulp-kitchen-sink/types/config-schema.ConfigValidationError}
+ *                              If the build config is invalid.
+ * @throws {module:gulp-kitchen-sink/types/action-graph.ActionGraphError}
+ *                              If the action does not exist, any dependencies of the
+ *                              actions of the loaded task groups are missing or
+ *                              circular, or if any task names collide.
+ * @throws {Error}              If the task group does not exist.
  */
 KitchenSink.prototype.addTask = function(groupName, actionName){
-  return this._groupLoader.taskGroup(groupName).loadTask(actionName, this._groupLoader.gulp);
+  // Load the group first, so that its config schema gets declared
+  this._groupLoader.taskGroup(groupName);
+  // Check the dependencies first, which also loads the groups
+  // they belong to, so that their config schemas get declared
+  this._validateActions(groupName, [actionName]);
+  this._validateConfig();
+  return this._groupLoader.loadTask(groupName, actionName);
+};
+
+/**
+ * Adds a Gulp task identified by its group name and action name, like
+ * {@link module:gulp-kitchen-sink~KitchenSink#addTask|addTask()}, and returns
+ * the names of all tasks that were added to Gulp as a result.
+ *
+ * These are the requested task and, transitively, the tasks of all actions it
+ * depends on (including actions in other task groups), unless they had been
+ * added before.
+ *
+ * @example <caption>Adding a task and learning about its dependencies</caption>
+ *
+ * // Assuming the "upload" action of a "deploy" task group
+ * // depends on the "build" action of the "less" task group
+ * kitchenSink.addTaskWithDeps('deploy', 'upload'); // Returns: ['deploy:upload', 'less:build']
+ * kitchenSink.addTaskWithDeps('deploy', 'upload'); // Returns: [] (already added)
+ *
+ *
+ * @param {string} groupName    The name of the task group, whose action should be added as a task.
+ * @param {string} actionName   The name of the action within the task group that should be added as a task.
+ * @returns {string[]}          The names of the tasks that were added to Gulp, in the order
+ *                              they were added (the requested task first).
+ *
+ * @throws {module:gulp-kitchen-sink/types/config-schema.ConfigValidationError}
+ *                              If the build config is invalid.
+ * @throws {module:gulp-kitchen-sink/types/action-graph.ActionGraphError}
+ *                              If the action does not exist, any dependencies of the
+ *                              actions of the loaded task groups are missing or
+ *                              circular, or if any task names collide.
+ * @throws {Error}              If the task group does not exist.
+ */
+KitchenSink.prototype.addTaskWithDeps = function(groupName, actionName){
+  const registered = this.registeredTasks();
+  this.addTask(groupName, actionName);
+  return this.registeredTasks().filter(function(taskName){
+    return registered.indexOf(taskName) === -1;
+  });
 };
 
 /**
@@ -92,12 +586,651 @@ KitchenSink.prototype.addTask = function(groupName, actionName){
  * task names is returned. This can be useful for referencing the tasks elsewhere in your gulpfile
  * without hard-coding its name.
  *
+ * As with {@link module:gulp-kitchen-sink~KitchenSink#addTask|addTask()}, any actions that
+ * the group's actions depend on are added to Gulp as well.
+ *
  *
  * @param {string} groupName    The name of the task group, whose actions should be added as tasks.
  * @returns {string[]}          The complete task names of the tasks that were added to Gulp.
+ *
+ * @throws {module:gulp-kitchen-sink/types/config-schema.ConfigValidationError}
+ *                              If the build config is invalid.
+ * @throws {module:gulp-kitchen-sink/types/action-graph.ActionGraphError}
+ *                              If any of the actions' dependencies are missing or
+ *                              circular, or if any task names collide.
+ * @throws {Error}              If the task group does not exist.
  */
 KitchenSink.prototype.addTasks = function(groupName){
-  return this._groupLoader.taskGroup(groupName).loadAllTasks(this._groupLoader.gulp);
+  // Load the group first, so that its config schema gets declared
+  const taskGroup = this._groupLoader.taskGroup(groupName);
+  this._validateActions(groupName, taskGroup.getActions());
+  this._validateConfig();
+  return this._groupLoader.loadAllTasks(groupName);
+};
+
+/**
+ * Adds a directory of task group modules, such as your project's `build/tasks/`.
+ *
+ * As with the built-in task groups, each module must be named `[groupName]-tasks.js`
+ * and export a task module function (see
+ * {@link module:gulp-kitchen-sink.createTasksModule|createTasksModule()}). The task
+ * groups are then available alongside the built-in ones.
+ *
+ * When several task group modules have the same name, the first one found in this
+ * order is used:
+ *
+ * 1. Task groups added via {@link module:gulp-kitchen-sink~KitchenSink#addTaskGroup|addTaskGroup()}.
+ * 2. Task group modules in the added directories, in the order the directories were added.
+ * 3. The built-in task groups.
+ *
+ * So your own task groups can replace built-in ones with the same name.
+ *
+ * @example <caption>Using your project's own task groups</caption>
+ *
+ * kitchenSink.addTaskDir('build/tasks'); // Contains svg-tasks.js
+ * kitchenSink.addTasks('svg');
+ *
+ *
+ * @param {string} dir  The directory. Relative paths are resolved against the
+ *                      `cwd` option passed to the constructor.
+ *
+ * @throws {Error}      If the directory does not exist.
+ */
+KitchenSink.prototype.addTaskDir = function(dir){
+  this._groupLoader.addModulesDir(path.resolve(this._cwd, dir));
+};
+
+/**
+ * Adds a task group that is defined inline, e.g. in your gulpfile.
+ *
+ * The task group takes precedence over any task group module with the same name
+ * (see {@link module:gulp-kitchen-sink~KitchenSink#addTaskDir|addTaskDir()}).
+ *
+ * @example <caption>Defining a task group in a gulpfile</caption>
+ *
+ * var kitchenSinkModule = require('gulp-kitchen-sink');
+ * var kitchenSink = kitchenSinkModule(gulp);
+ *
+ * kitchenSink.addTaskGroup('docs', kitchenSinkModule.createTasksModule('docs', function(tasks, gulp){
+ *   tasks.addAction('build', function(){
+ *     return gulp.src('docs/**').pipe(gulp.dest('dist/docs'));
+ *   });
+ * }));
+ *
+ * kitchenSink.addTask('docs', 'build'); // Returns: 'docs:build'
+ *
+ *
+ * @param {string} groupName    The task group's name.
+ * @param {tasksModuleFn} tasksModuleFn
+ *                              The task module function that creates the task group.
+ *
+ * @throws {Error}              If `tasksModuleFn` is not a function or a task group
+ *                              with that name was already loaded.
+ */
+KitchenSink.prototype.addTaskGroup = function(groupName, tasksModuleFn){
+  this._groupLoader.addTaskGroupModule(groupName, tasksModuleFn);
+};
+
+/**
+ * Changes the actions of a task group from your gulpfile.
+ *
+ * The task group is passed to `extendFn`, which can add new actions to it,
+ * replace existing ones (by adding an action with the same name) or wrap them
+ * (see {@link module:gulp-kitchen-sink/types/task-group#wrapAction|wrapAction()}).
+ * The actions get the same task names, prefixes and dependency handling as the
+ * task group's own actions, so they can then be added via
+ * {@link module:gulp-kitchen-sink~KitchenSink#addTask|addTask()} and friends.
+ *
+ * Task groups must be extended before any of their tasks are added.
+ *
+ * @example <caption>Adding an action to the built-in LESS task group</caption>
+ *
+ * kitchenSink.extendGroup('less', function(tasks, gulp){
+ *   tasks.addAction('compat', ['build'], function(){
+ *     // ...
+ *   }, { description: 'Checks the compiled CSS for browser compatibility.' });
+ * });
+ *
+ * kitchenSink.addTask('less', 'compat'); // Returns: 'less:compat'
+ *
+ *
+ * @param {string} groupName    The name of the task group to extend.
+ * @param {module:gulp-kitchen-sink/types/task-group~addActionsFn} extendFn
+ *                              The function that changes the task group's actions.
+ * @returns {module:gulp-kitchen-sink/types/task-group}
+ *                              The task group.
+ *
+ * @throws {Error}              If the task group does not exist or some of its tasks
+ *                              were already added.
+ */
+KitchenSink.prototype.extendGroup = function(groupName, extendFn){
+  return this._groupLoader.extendTaskGroup(groupName, extendFn);
+};
+
+/**
+ * Adds aggregate tasks, which run an action of every task group whose tasks
+ * were added, to Gulp.
+ *
+ * Aggregate tasks are configured via the build config's `tasks.aggregates`
+ * setting, which maps aggregate task names to lists of names. Each name is
+ * either the name of another aggregate task or an action name. Action names
+ * stand for the tasks of all actions with that name that were added via this
+ * kitchen sink. By default, these aggregate tasks are added:
+ *
+ * * `build`: All `build` tasks (e.g. `less:build`, `js:build`).
+ * * `lint`: All `lint` and `hint` tasks (e.g. `less:hint`).
+ * * `watch`: All `watch` tasks.
+ *
+ * Aggregate tasks that would not run anything are not added. Actions can opt
+ * out of aggregate tasks by setting their `aggregate` option to `false`.
+ *
+ * Since only tasks that were already added are included, call this after adding
+ * all other tasks. It can be called again to update the aggregate tasks.
+ *
+ * @example <caption>Adding a custom aggregate task</caption>
+ *
+ * kitchenSink.config.tasks.aggregates.ci = ['lint', 'test', 'build'];
+ * kitchenSink.addTasks('less');
+ * kitchenSink.addAggregateTasks(); // Returns: ['build', 'lint', 'ci']
+ *
+ *
+ * @returns {string[]}  The names of the aggregate tasks that were added.
+ *
+ * @throws {Error}      If an aggregate task is invalid, aggregate tasks depend on
+ *                      each other in a circle or an aggregate task's name is
+ *                      already used by another task.
+ */
+KitchenSink.prototype.addAggregateTasks = function(){
+  const loader = this._groupLoader;
+  const gulp = loader.gulp;
+  const aggregates = this.config.tasks.aggregates || {};
+  const aggregateNames = Object.keys(aggregates).filter(function(name){
+    return aggregates[name] !== false;
+  });
+  const resolved = {};
+  const previous = this._aggregateTasks;
+
+  aggregateNames.forEach(function(name){
+    const names = aggregates[name];
+    if(!(names instanceof Array) || names.some(function(entry){ return typeof entry !== 'string'; })){
+      throw new Error('Invalid aggregate task "' + name + '": Expected an array of action or aggregate task names, or false.');
+    }
+    if(loader.taskOwner(name) || (previous.indexOf(name) === -1 && gulpCompat.hasTask(gulp, name))){
+      throw new Error('Cannot add the "' + name + '" aggregate task, since a task with that name already exists.');
+    }
+  });
+
+  // Resolves the names of an aggregate task's dependencies
+  const resolve = function(name, path){
+    if(resolved.hasOwnProperty(name)){
+      return resolved[name];
+    }
+    if(path.indexOf(name) !== -1){
+      throw new Error('Circular aggregate tasks: ' + path.concat(name).join(' -> '));
+    }
+
+    const deps = [];
+    const addDep = function(taskName){
+      if(deps.indexOf(taskName) === -1){
+        deps.push(taskName);
+      }
+    };
+    aggregates[name].forEach(function(entry){
+      if(entry !== name && aggregateNames.indexOf(entry) !== -1){
+        if(resolve(entry, path.concat(name)).length > 0){
+          addDep(entry);
+        }
+        return;
+      }
+      loader.registeredTasks().forEach(function(taskName){
+        const owner = loader.taskOwner(taskName);
+        if(owner.actionName === entry && loader.taskGroup(owner.groupName).getActionOptions(entry).aggregate !== false){
+          addDep(taskName);
+        }
+      });
+    });
+    return (resolved[name] = deps);
+  };
+
+  const added = aggregateNames.filter(function(name){
+    return resolve(name, []).length > 0;
+  });
+  added.forEach(function(name){
+    gulpCompat.defineTask(gulp, name, resolved[name], function(done){
+      done();
+    }, {
+      description: 'Runs ' + resolved[name].join(', ') + '.'
+    });
+  });
+
+  this._aggregateTasks = previous.concat(added.filter(function(name){
+    return previous.indexOf(name) === -1;
+  }));
+  return added;
+};
+
+/**
+ * Inserts an additional stage into the pipe of a task group's action.
+ *
+ * Actions have named extension points where stages can be inserted, so
+ * that you can customise what they do without copying the whole task group
+ * module. The built-in LESS actions have these extension points:
+ *
+ * * `less:build`: `beforeCompile`, `afterCompile` and `beforeDest`
+ * * `less:hint`: `beforeHint` and `afterHint`
+ *
+ * Stages can be added before or after the action's task was added to Gulp.
+ *
+ * @example <caption>Adding vendor prefixes to the compiled CSS</caption>
+ *
+ * var autoprefixer = require('gulp-autoprefixer');
+ *
+ * kitchenSink.addPipeStage('less', 'build', 'afterCompile', autoprefixer, {browsers: ['last 2 versions']});
+ * kitchenSink.addTask('less', 'build');
+ *
+ *
+ * @param {string} groupName    The name of the task group.
+ * @param {string} actionName   The name of the action within the task group.
+ * @param {string} point        The name of one of the action's extension points.
+ * @param {function} fn         A function that returns a transform stream, such as a
+ *                              Gulp plug-in or a lazypipe.
+ * @param {...*} [args]         Any arguments to call `fn` with.
+ *
+ * @throws {Error}              If the task group, action or extension point does not exist.
+ *
+ * @see module:gulp-kitchen-sink/types/task-group#addPipeStage
+ */
+KitchenSink.prototype.addPipeStage = function(groupName, actionName, point, fn){
+  const taskGroup = this._groupLoader.taskGroup(groupName);
+  taskGroup.addPipeStage.apply(taskGroup, Array.prototype.slice.call(arguments, 1));
+};
+
+/**
+ * Adds the task groups and actions selected by the build config's
+ * `tasks.use` setting.
+ *
+ * This lets config files and presets decide which tasks a project gets,
+ * so that many projects can share the same gulpfile. The setting maps task
+ * group names to `true` (to add all of the group's actions), an array of
+ * action names or `false` (to add none, e.g. to deselect a group that a
+ * preset selected).
+ *
+ * @example <caption>Selecting tasks in a preset</caption>
+ *
+ * // @ourteam/kitchen-sink-preset/index.js
+ * module.exports = {
+ *   tasks: {
+ *     use: { less: ['build'], config: true }
+ *   }
+ * };
+ *
+ * // gulpfile.js
+ * var tasks = kitchenSink.addSelectedTasks(); // ['less:build', 'config:json', ...]
+ *
+ *
+ * @returns {string[]}          The complete task names of the tasks that were added to Gulp.
+ *
+ * @throws {module:gulp-kitchen-sink/types/config-schema.ConfigValidationError}
+ *                              If the build config is invalid.
+ * @throws {Error}              If a selection is invalid or any of the generated task
+ *                              names are already used by other kitchen sink tasks.
+ */
+KitchenSink.prototype.addSelectedTasks = function(){
+  const selection = this.config.tasks.use || {};
+  var taskNames = [];
+  var groupName, actionNames;
+
+  for(groupName in selection){
+    if(!selection.hasOwnProperty(groupName)){
+      continue;
+    }
+    actionNames = selection[groupName];
+    if(actionNames === true){
+      taskNames = taskNames.concat(this.addTasks(groupName));
+    }
+    else if(actionNames instanceof Array){
+      taskNames = taskNames.concat(actionNames.map(function(actionName){
+        return this.addTask(groupName, actionName);
+      }, this));
+    }
+    else if(actionNames !== false){
+      throw new Error('Invalid task selection for group "' + groupName + '" in tasks.use: ' +
+        'Expected true, false or an array of action names.');
+    }
+  }
+  return taskNames;
+};
+
+/**
+ * Creates an additional instance of a task group, with its own settings.
+ *
+ * This is useful when you need the same kind of tasks several times with
+ * different settings. For example, to build two themes from different
+ * LESS source files into different output directories.
+ *
+ * The new task group instance gets its own copy of this kitchen sink's build
+ * config, in which the task group's config section (e.g. `less`) is overlaid
+ * with the given settings. Note that this copy is made when this method is
+ * called, so later changes to `config` will not affect the instance.
+ *
+ * Once created, the instance's actions can be added as tasks via
+ * {@link module:gulp-kitchen-sink~KitchenSink#addTask|addTask()} or
+ * {@link module:gulp-kitchen-sink~KitchenSink#addTasks|addTasks()}, using
+ * the instance name as the group name. The generated task names will use the
+ * instance name too.
+ *
+ * @example <caption>Building two LESS themes</caption>
+ *
+ * kitchenSink.addTaskGroupInstance('less', 'theme-a', {
+ *   srcFiles: 'themes/a/*.less',
+ *   bldDir: 'css/theme-a',
+ *   lessConfig: { modifyVars: { brandColor: 'red' } }
+ * });
+ * kitchenSink.addTaskGroupInstance('less', 'theme-b', {
+ *   srcFiles: 'themes/b/*.less',
+ *   bldDir: 'css/theme-b',
+ *   lessConfig: { modifyVars: { brandColor: 'blue' } }
+ * });
+ *
+ * var themeATask = kitchenSink.addTask('theme-a', 'build'); // 'theme-a:build'
+ * var themeBTask = kitchenSink.addTask('theme-b', 'build'); // 'theme-b:build'
+ *
+ *
+ * @param {string} groupName      The name of the task group to create an instance of.
+ * @param {string} instanceName   The name of the new instance. This is used instead
+ *                                of the group name in the generated task names.
+ * @param {Object} [settings]     Settings to overlay onto the task group's config section.
+ *
+ * @throws {Error}  If a task group with the instance name already exists.
+ */
+KitchenSink.prototype.addTaskGroupInstance = function(groupName, instanceName, settings){
+  const config = this.config.derive();
+  const taskGroup = this._groupLoader.addTaskGroupInstance(groupName, instanceName, config);
+
+  const overlay = {};
+  overlay[taskGroup.configSection] = settings || {};
+  config.merge(overlay, 'task group instance "' + instanceName + '"');
+};
+
+/**
+ * Describes the build config that is in effect.
+ *
+ * The returned report contains all config values, where each of them came from
+ * (e.g. default, config file, gulpfile, environment variable or CLI flag) and,
+ * for every loaded task group, the expanded source globs and build paths of its
+ * actions.
+ *
+ * The same information is printed by the tasks of the built-in `config` task group
+ * (e.g. `config:explain`), which is often the easiest way to use it:
+ *
+ * @example <caption>Adding the config tasks</caption>
+ *
+ * kitchenSink.addTasks('config');
+ *
+ * // Then, on the command-line:
+ * //   gulp config:explain
+ * //   gulp config:json
+ * //   gulp config:yaml
+ *
+ * @returns {module:gulp-kitchen-sink/utils/config-report~configReport}  The report.
+ */
+KitchenSink.prototype.describeConfig = function(){
+  const loader = this._groupLoader;
+  return configReport.createReport(this.config, loader.loadedTaskGroups().map(function(groupName){
+    return loader.taskGroup(groupName);
+  }));
+};
+
+/**
+ * Returns the names of all tasks that this kitchen sink has added to Gulp.
+ *
+ * This includes the tasks of actions that were added because other actions
+ * depend on them.
+ *
+ * @example <caption>Adding a task and all of its dependencies</caption>
+ *
+ * // Assuming the "upload" action of a "deploy" task group
+ * // depends on the "build" action of the "less" task group
+ * kitchenSink.addTask('deploy', 'upload'); // Returns: 'deploy:upload'
+ * kitchenSink.registeredTasks();           // Returns: ['deploy:upload', 'less:build']
+ *
+ * @returns {string[]}  The task names, in the order they were added.
+ */
+KitchenSink.prototype.registeredTasks = function(){
+  return this._groupLoader.registeredTasks();
+};
+
+/**
+ * Builds the dependency graph of all actions in all available and loaded
+ * task groups (including task group instances).
+ *
+ * This can be useful for checking all task groups in one go, rather than
+ * only when their tasks are added:
+ *
+ * @example <caption>Checking all task dependencies</caption>
+ *
+ * kitchenSink.actionGraph().validate(); // Returns descriptions of any problems
+ *
+ * @returns {module:gulp-kitchen-sink/types/action-graph}  The action graph.
+ */
+KitchenSink.prototype.actionGraph = function(){
+  return new ActionGraph(this._groupLoader).addAllGroups();
+};
+
+/**
+ * Exports the graph of the tasks that were added to Gulp via this kitchen sink,
+ * e.g. for rendering it in build dashboards or documentation.
+ *
+ * The graph includes the task groups and actions of the tasks (and of all tasks
+ * they depend on), their task names, source globs and destination paths and the
+ * dependencies between them. See
+ * {@link module:gulp-kitchen-sink/types/action-graph#toJSON|ActionGraph#toJSON()} and
+ * {@link module:gulp-kitchen-sink/types/action-graph#toDOT|ActionGraph#toDOT()}
+ * for the formats. The `config:graph` task prints the same (in the format set by
+ * the `tasks.graphFormat` setting).
+ *
+ * @example <caption>Rendering the task graph with Graphviz</caption>
+ *
+ * fs.writeFileSync('tasks.dot', kitchenSink.exportGraph('dot'));
+ * // Then: dot -Tsvg tasks.dot > tasks.svg
+ *
+ *
+ * @param {string} [format=json]  The format to export the graph in: `json` or
+ *                                `dot` (the Graphviz DOT language).
+ * @returns {string}              The exported graph.
+ *
+ * @throws {Error}                If the format is unknown.
+ */
+KitchenSink.prototype.exportGraph = function(format){
+  return new ActionGraph(this._groupLoader).addRegisteredTasks().format(format);
+};
+
+/**
+ * Describes what tasks that were added via this kitchen sink would do when
+ * run, without running them.
+ *
+ * For each task (including all tasks it depends on), in the order they would
+ * run, this lists the source globs, the files they currently match and the
+ * destination path of its action.
+ *
+ * This is the programmatic counterpart of dry runs, where the tasks report
+ * this themselves rather than running their actions. Dry runs are enabled via
+ * the `--ks-dry-run` command-line flag or the build config's `tasks.dryRun`
+ * setting.
+ *
+ * @example <caption>Reviewing what a build would do</caption>
+ *
+ * kitchenSink.addTask('less', 'build');
+ * kitchenSink.plan(['less:build']);
+ * // Returns: [{taskName: 'less:build', srcGlobs: [...], files: [...], destPath: '...', ...}]
+ *
+ *
+ * @param {string[]} [taskNames]  The names of the tasks to describe. Defaults to all
+ *                                tasks that were added via this kitchen sink.
+ * @returns {module:gulp-kitchen-sink/utils/dry-run~step[]}
+ *                                The descriptions, in the order the tasks would run.
+ *
+ * @throws {Error}                If any of the tasks were not added via this kitchen sink.
+ */
+KitchenSink.prototype.plan = function(taskNames){
+  const loader = this._groupLoader;
+  const graph = new ActionGraph(loader);
+
+  const ids = (taskNames || loader.registeredTasks()).map(function(taskName){
+    const owner = loader.taskOwner(taskName);
+    if(!owner){
+      throw new Error('Cannot plan the "' + taskName + '" task, since it was not added via the kitchen sink.');
+    }
+    return graph.addAction(owner.groupName, owner.actionName).id;
+  });
+
+  return graph.runOrder(ids).map(function(id){
+    const node = graph.nodes[id];
+    return dryRun.createStep(loader.taskGroup(node.groupName), node.actionName);
+  });
+};
+
+/**
+ * Runs tasks without going through the `gulp` command-line tool.
+ *
+ * Either pass a group name and an action name, in which case that action's task
+ * is added to Gulp (if needed) and run, or pass the names of tasks that were
+ * already added to Gulp (such as {@link module:gulp-kitchen-sink~KitchenSink#addAggregateTasks|aggregate tasks}).
+ * Their dependencies are run first, as usual.
+ *
+ * The returned promise resolves with a
+ * {@link module:gulp-kitchen-sink/types/run-result|run result} once the tasks have
+ * finished, listing the files the tasks read and wrote and the warnings and errors
+ * they reported. It also resolves (rather than rejects) when a task fails, in which
+ * case the error that made it fail is among the result's errors. It only rejects
+ * if the tasks cannot be run at all.
+ *
+ * Only one run can be in progress at a time.
+ *
+ * @example <caption>Building from a deployment script</caption>
+ *
+ * kitchenSink.run('less', 'build').then(function(result){
+ *   if(result.errors.length > 0){
+ *     throw new Error('Build failed: ' + result.errors[0].message);
+ *   }
+ *   console.log('Wrote ' + result.filesWritten.length + ' files');
+ * });
+ *
+ *
+ * @param {string|string[]} groupNameOrTaskNames
+ *                                The name of a task group (if an action name is given)
+ *                                or the names of the tasks to run.
+ * @param {string} [actionName]   The name of the action to run.
+ *
+ * @returns {Promise.<module:gulp-kitchen-sink/types/run-result>}
+ *                                The result of the run. Rejects if the action does not
+ *                                exist, if any of the tasks have not been added to Gulp
+ *                                or if another run is in progress.
+ */
+KitchenSink.prototype.run = function(groupNameOrTaskNames, actionName){
+  const self = this;
+  const loader = this._groupLoader;
+  var taskNames;
+
+  try{
+    if(this._currentRun){
+      throw new Error('Cannot start a run while another one is in progress.');
+    }
+    taskNames = actionName !== undefined ?
+      [this.addTask(groupNameOrTaskNames, actionName)] :
+      [].concat(groupNameOrTaskNames);
+    taskNames.forEach(function(taskName){
+      if(!gulpCompat.hasTask(loader.gulp, taskName)){
+        throw new Error('Cannot run the "' + taskName + '" task, since it has not been added to Gulp.');
+      }
+    });
+  }
+  catch(e){
+    return Promise.reject(e);
+  }
+
+  const result = this._currentRun = new RunResult();
+  const prevReportFn = loader.reportFn;
+  loader.reportFn = function(taskName, type, detail){
+    result.record(taskName, type, detail);
+    if(prevReportFn){
+      prevReportFn(taskName, type, detail);
+    }
+  };
+
+  // Restores the loader's report function and ends the run
+  const finishRun = function(){
+    loader.reportFn = prevReportFn;
+    self._currentRun = null;
+  };
+
+  return new Promise(function(resolve, reject){
+    try{
+      gulpCompat.runTasks(loader.gulp, taskNames, function(err){
+        finishRun();
+        if(err && !result.hasError(err)){
+          result.record(null, 'error', err);
+        }
+        resolve(result);
+      });
+    }
+    catch(e){
+      finishRun();
+      reject(e);
+    }
+  });
+};
+
+/**
+ * Describes all tasks that were added to Gulp via this kitchen sink, grouped
+ * by task group.
+ *
+ * Each task is described by its task name, the task names of its
+ * dependencies and the description, flags and examples of its action
+ * (see {@link module:gulp-kitchen-sink/types/task-group#addAction|addAction()}).
+ *
+ * @returns {module:gulp-kitchen-sink/utils/task-help~groupHelp[]}
+ *                      The task descriptions.
+ */
+KitchenSink.prototype.describeTasks = function(){
+  return taskHelp.createHelp(this._groupLoader);
+};
+
+/**
+ * Adds a task to Gulp that prints all tasks that were added via this kitchen
+ * sink, grouped by task group, along with their dependencies and descriptions.
+ *
+ * The list is put together when the help task runs, so tasks that are added
+ * after the help task are listed too.
+ *
+ * @example <caption>Adding a help task</caption>
+ *
+ * kitchenSink.addTasks('less');
+ * kitchenSink.addHelpTask(); // Returns: 'help'
+ *
+ * // Then run: gulp help
+ *
+ *
+ * @param {string} [taskName=help]  The name of the help task.
+ * @returns {string}                The name of the help task.
+ *
+ * @throws {Error}                  If a kitchen sink task with that name was added already.
+ */
+KitchenSink.prototype.addHelpTask = function(taskName){
+  const self = this;
+  taskName = taskName || 'help';
+
+  if(this._groupLoader.taskOwner(taskName)){
+    throw new Error('Cannot add the help task as "' + taskName + '", since that task name is already used by a kitchen sink task.');
+  }
+
+  gulpCompat.defineTask(this._groupLoader.gulp, taskName, [], function(done){
+    console.log(taskHelp.formatHelp(self.describeTasks()));
+    done();
+  }, {
+    description: 'Lists the kitchen sink tasks with their dependencies and descriptions.'
+  });
+  return taskName;
 };
 
 /**
@@ -107,10 +1240,80 @@ KitchenSink.prototype.addTasks = function(groupName){
  * `gulp-kitchen-sink`. It's probably not very useful in a typical
  * gulpfile though.
  *
+ * Any task group instances created via
+ * {@link module:gulp-kitchen-sink~KitchenSink#addTaskGroupInstance|addTaskGroupInstance()}
+ * are included too.
+ *
+ * With the `applicable` option, only the task groups that apply to the current
+ * project are listed. A task group applies unless its actions declare inputs
+ * (source globs) and none of them currently match any files. Note that this
+ * loads all task groups.
+ *
+ * @param {Object} [options]                    Options for the listing.
+ * @param {boolean} [options.applicable=false]  Whether to only list the task groups
+ *                                              that apply to the current project.
+ *
  * @returns {string[]}  All available task group names.
  */
-KitchenSink.prototype.listTaskGroups = function(){
-  return this._groupLoader.availableTaskGroups();
+KitchenSink.prototype.listTaskGroups = function(options){
+  const loader = this._groupLoader;
+  const groupNames = loader.availableTaskGroups();
+  const loadedGroups = loader.loadedTaskGroups();
+
+  // Include any task group instances
+  for(var i=0; i<loadedGroups.length; ++i){
+    if(groupNames.indexOf(loadedGroups[i]) === -1){
+      groupNames.push(loadedGroups[i]);
+    }
+  }
+
+  if(!options || !options.applicable){
+    return groupNames;
+  }
+  return groupNames.filter(function(groupName){
+    const taskGroup = loader.taskGroup(groupName);
+    const inputs = taskGroup.getActions().map(function(actionName){
+      return taskGroup.actionInputs(actionName);
+    }).filter(function(globs){
+      return globs.length > 0;
+    });
+    return inputs.length === 0 || inputs.some(function(globs){
+      return dryRun.matchFiles(globs).length > 0;
+    });
+  });
+};
+
+/**
+ * Returns the task groups provided by installed packages.
+ *
+ * Packages named `gulp-kitchen-sink-group-[groupName]` provide a task group via
+ * their main module. Other packages can provide task groups via a `kitchenSinkGroups`
+ * field in their package.json, which maps group names to module paths:
+ *
+ * @example <caption>Declaring task groups in a package.json</caption>
+ *
+ * {
+ *   "name": "@ourteam/build-tasks",
+ *   "kitchenSinkGroups": { "svg": "./lib/svg-tasks.js" },
+ *   "peerDependencies": { "gulp-kitchen-sink": "^0.1.0" }
+ * }
+ *
+ * The task groups are listed by
+ * {@link module:gulp-kitchen-sink~KitchenSink#listTaskGroups|listTaskGroups()}, unless
+ * a built-in task group or one of your own has the same name. They are only loaded
+ * when they are used.
+ *
+ * Packages should declare which versions of `gulp-kitchen-sink` they work with
+ * via a peer dependency. A warning is printed when the task group of a package
+ * that does not work with this version is loaded.
+ *
+ * @returns {Array.<module:gulp-kitchen-sink/utils/group-packages~groupPackage>}
+ *                  The task group packages. Each has an additional `problem`
+ *                  property, which describes any compatibility problem
+ *                  (or is `null`).
+ */
+KitchenSink.prototype.listTaskGroupPackages = function(){
+  return this._groupLoader.groupPackages();
 };
 
 /**
@@ -154,9 +1357,22 @@ KitchenSink.prototype.listTaskGroupActions = function(groupName){
  *
  *
  * @param {external:gulp} gulp    The Gulp instance to use.
+ * @param {Object} [options]      Kitchen sink options. See the
+ *                                {@link module:gulp-kitchen-sink~KitchenSink|KitchenSink constructor}
+ *                                for details.
  *
  * @returns {module:gulp-kitchen-sink~KitchenSink}  The Gulp Kitchen Sink!
  *
  * @module gulp-kitchen-sink
  */
-module.exports = function(gulp){return new KitchenSink(gulp);}
\ No newline at end of file
+module.exports = function(gulp, options){return new KitchenSink(gulp, options);}
+
+/**
+ * Creates a task module function, for defining your own task groups (see
+ * {@link module:gulp-kitchen-sink~KitchenSink#addTaskGroup|KitchenSink#addTaskGroup()}
+ * and {@link module:gulp-kitchen-sink~KitchenSink#addTaskDir|KitchenSink#addTaskDir()}).
+ *
+ * @function
+ * @see module:gulp-kitchen-sink/types/task-group.createTasksModule
+ */
+module.exports.createTasksModule = require('./types/task-group').createTasksModule;
@@ -10,7 +10,6 @@ const lazypipe = require('lazypipe');
 const less = require('gulp-less');
 const lessHint = require('gulp-lesshint');
 const filter = require('gulp-filter');
-const debug = require('gulp-debug');
 
 
 
@@ -36,7 +35,7 @@ const HINT_SEVERITY_ERROR = 'error';
 function createHintSeverityCheckFn(severity){
   return function(file) {
     var foundIssue = false;
-    if( file.lesshint.resultCount > 0 ){
+    if( file.lesshint && file.lesshint.resultCount > 0 ){
       var results = file.lesshint.results;
       for(var i=0; i<results.length; ++i){
         if(results[i].severity === severity){
@@ -60,6 +59,25 @@ function createHintSeverityCallbackFn(severity, callback){
   );
 }
 
+// Returns a lazypipe that calls a callback function with each
+// file passing through it. If there is no callback, the pipe
+// just passes the files on.
+function createFileCallbackPipe(callback){
+  return lazypipe().pipe(filter, createFilterCallbackFn(function(){
+    return !!callback;
+  }, callback));
+}
+
+// Returns a lazypipe with the given stages appended to it.
+// Each stage is an object with the function that creates the
+// stage's stream and the arguments to call it with (see
+// task-group.js's pipeStage type).
+function appendStages(pipe, stages){
+  return (stages || []).reduce(function(stagePipe, stage){
+    return stagePipe.pipe.apply(stagePipe, [stage.fn].concat(stage.args || []));
+  }, pipe);
+}
+
 
 /**
  * @module gulp-kitchen-sink/lazypipes/less-pipes
@@ -67,11 +85,26 @@ function createHintSeverityCallbackFn(severity, callback){
  */
 module.exports = {
 
-  createHintPipe: function(lessHintOptions, errorCallback, warningCallback){
-    var hintPipe = lazypipe()
-      .pipe(debug, {title: 'less hint pipe'})
-      .pipe(lessHint, lessHintOptions)
+  /**
+   * Creates a lazypipe that runs LESS files through the LESS hinter.
+   *
+   * @param {Object} [lessHintOptions]  Options for the LESS hinter.
+   * @param {function} [errorCallback]  Called with each file that has errors.
+   * @param {function} [warningCallback]
+   *                                    Called with each file that has warnings.
+   * @param {Object.<string, module:gulp-kitchen-sink/types/task-group~pipeStage[]>} [stages]
+   *                                    Additional stages to insert at the
+   *                                    `beforeHint` and `afterHint` extension points.
+   * @param {function} [fileCallback]   Called with each file entering the pipe.
+   *
+   * @returns {external:lazypipe}  The hint pipe.
+   */
+  createHintPipe: function(lessHintOptions, errorCallback, warningCallback, stages, fileCallback){
+    stages = stages || {};
+    var hintPipe = appendStages(createFileCallbackPipe(fileCallback), stages.beforeHint)
+      .pipe(lessHint, lessHintOptions);
     //.pipe(lessHint.reporter);
+    hintPipe = appendStages(hintPipe, stages.afterHint);
 
     // Add in error callbacks if needed
     if(errorCallback){
@@ -86,10 +119,24 @@ module.exports = {
     return hintPipe;
   },
 
-  createBuildPipe: function(lessOptions){
-    return lazypipe()
-      .pipe(debug, {title: 'less build pipe'})
+  /**
+   * Creates a lazypipe that compiles LESS files into CSS.
+   *
+   * @param {Object} [lessOptions]    Options for the LESS compiler.
+   * @param {Object.<string, module:gulp-kitchen-sink/types/task-group~pipeStage[]>} [stages]
+   *                                  Additional stages to insert at the `beforeCompile`,
+   *                                  `afterCompile` and `beforeDest` extension points.
+   *                                  Since the pipe's output is meant to be written
+   *                                  to disk, the `beforeDest` stages come last.
+   * @param {function} [fileCallback] Called with each file entering the pipe.
+   *
+   * @returns {external:lazypipe}  The build pipe.
+   */
+  createBuildPipe: function(lessOptions, stages, fileCallback){
+    stages = stages || {};
+    const buildPipe = appendStages(createFileCallbackPipe(fileCallback), stages.beforeCompile)
       .pipe(less, lessOptions);
+    return appendStages(appendStages(buildPipe, stages.afterCompile), stages.beforeDest);
   }
 
 };
@@ -0,0 +1,109 @@
+/**
+ * Module that exports a function that will add a number of tasks for
+ * inspecting the build config to Gulp.
+ *
+ * @file
+ *
+ * @see tasksModuleFn
+ */
+"use strict";
+
+// Name components
+const fallbackGroupName = 'config';
+const actionNameJSON = 'json';
+const actionNameYAML = 'yaml';
+const actionNameExplain = 'explain';
+const actionNameGraph = 'graph';
+
+// Imports
+const ActionGraph = require('../types/action-graph');
+const configReport = require('../utils/config-report');
+
+
+/**
+ * Function that adds a number of tasks for inspecting the build config to Gulp.
+ *
+ * The tasks print the build config that is in effect (including the expanded source
+ * globs and build paths of every loaded task group) as JSON, YAML or as a human-readable
+ * explanation of where each config value came from. There is also a task that prints
+ * the graph of all tasks added via the group loader.
+ *
+ *
+ * @param {external:gulp} gulp    The gulp instance that the tasks will be added to.
+ * @param {boolean} [lazyload]    If omitted or `false`, all tasks within the task group will immediately be
+ *                                added to Gulp (this is the default behaviour).
+ *                                If `true`, tasks will **not** be added to Gulp.
+ * @param {module:gulp-kitchen-sink/types/build-config} [config]
+ *                                The build config that will be passed to the task group when it is created.
+ *                                If none is provided, the global config object will be used.
+ * @param {string} [groupName]
+ *
+ * @returns {module:gulp-kitchen-sink/types/task-group}
+ *                                A task group containing config-related actions that were added to Gulp as tasks
+ *                                (unless the `lazyload` flag was set).
+ *
+ * @module gulp-kitchen-sink/tasks/config-tasks
+ *
+ * @see tasksModuleFn
+ */
+module.exports = require('../types/task-group').createTasksModule(fallbackGroupName, function(tasks, gulp){
+
+  // Describes the config and all task groups loaded alongside this one
+  function createReport(){
+    const loader = tasks.loader;
+    const taskGroups = loader ? loader.loadedTaskGroups().map(function(groupName){
+      return loader.taskGroup(groupName);
+    }) : [];
+    return configReport.createReport(tasks.config, taskGroups);
+  }
+
+  /*
+   Prints the build config as JSON.
+   */
+  tasks.addAction(actionNameJSON, function(){
+    console.log(configReport.formatJSON(createReport()));
+  }, {
+    description: 'Prints the build config as JSON.'
+  });
+
+  /*
+   Prints the build config as YAML.
+   */
+  tasks.addAction(actionNameYAML, function(){
+    console.log(configReport.formatYAML(createReport()));
+  }, {
+    description: 'Prints the build config as YAML.'
+  });
+
+  /*
+   Prints every build config value alongside where it came
+   from (default, config file, gulpfile, etc.).
+   */
+  tasks.addAction(actionNameExplain, function(){
+    console.log(configReport.formatText(createReport()));
+  }, {
+    description: 'Prints every build config value and where it came from.'
+  });
+
+
+  /*
+   Prints the graph of the tasks that were added via the group
+   loader, as JSON or Graphviz DOT (see the tasks.graphFormat setting).
+   */
+  tasks.addAction(actionNameGraph, function(){
+    if(!tasks.loader){
+      throw new Error('The "' + tasks.taskName(actionNameGraph) + '" task can only print the graph of tasks ' +
+        'that were added via a kitchen sink, but its task group was not loaded by one.');
+    }
+    console.log(new ActionGraph(tasks.loader).addRegisteredTasks().format(tasks.config.tasks.graphFormat));
+  }, {
+    description: 'Prints the graph of all kitchen sink tasks as JSON or Graphviz DOT.',
+    flags: {
+      '--ks.tasks.graphFormat=dot': 'Prints the graph in the Graphviz DOT language instead of JSON.'
+    },
+    examples: function(taskName){
+      return ['gulp ' + taskName + ' --ks.tasks.graphFormat=dot | dot -Tsvg > tasks.svg'];
+    }
+  });
+
+});
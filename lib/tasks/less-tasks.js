@@ -15,6 +15,8 @@ const actionNameHint = 'hint';
 
 // Imports
 const pipes = require('../lazypipes/less-pipes');
+const BuildConfig = require('../types/build-config');
+const streams = require('../utils/streams');
 
 
 
@@ -43,16 +45,70 @@ module.exports = require('../types/task-group').createTasksModule(fallbackGroupN
 
   const config = tasks.config;
 
+  // Declare the settings of the 'less' config section
+  config.defineSchema(tasks.configSection, {
+    type: 'object',
+    properties: {
+      srcFiles:       { type: ['string', 'array'], items: { type: 'string' } },
+      bldDir:         { type: 'string' },
+      lessConfig:     { type: 'object' },
+      lessHintConfig: { type: 'object' },
+      actions:        BuildConfig.actionsSchema([actionNameBuild, actionNameHint])
+    }
+  });
+
+  // Returns the stages added to each of an action's extension points
+  function pipeStages(actionName){
+    const stages = {};
+    tasks.getExtensionPoints(actionName).forEach(function(point){
+      stages[point] = tasks.pipeStages(actionName, point);
+    });
+    return stages;
+  }
+
+  // Returns a function that reports the LESS hinter's results of the
+  // given severity for a file
+  function hintReporter(severity){
+    return function(file){
+      file.lesshint.results.forEach(function(result){
+        if(result.severity === severity){
+          tasks.report(actionNameHint, severity,
+            result.file + ':' + result.line + ':' + result.column + ' ' + result.message + ' (' + result.linter + ')');
+        }
+      });
+    };
+  }
+
+  // Returns a function that reports each file an action processes
+  function fileReporter(actionName){
+    return function(file){
+      tasks.report(actionName, 'fileProcessed', file.path);
+    };
+  }
+
   /*
    Compiles all LESS source files and writes the resulting
    CSS to the dist folder.
    */
   tasks.addAction(actionNameBuild, function(){
-    const buildPipe = pipes.createBuildPipe( config.less.lessConfig );
+    const actionConfig = tasks.actionConfig(actionNameBuild, 'lessConfig');
+    const buildPipe = pipes.createBuildPipe( actionConfig.modeOptions(), pipeStages(actionNameBuild), fileReporter(actionNameBuild) );
 
-    return gulp.src( config.srcGlobs(config.less.srcFiles) )
-      .pipe(buildPipe())
-      .pipe(gulp.dest( config.bldPath(config.less.bldDir) ));
+    return streams.pipeline([
+      tasks.src(actionNameBuild, gulp),
+      buildPipe(),
+      gulp.dest( actionConfig.destPath() )
+    ]);
+  }, {
+    description: 'Compiles the LESS source files into CSS.',
+    flags: {
+      '--prod': 'Builds in production mode (e.g. minified output).',
+      '--dev':  'Builds in development mode.'
+    },
+    examples: function(taskName){
+      return ['gulp ' + taskName + ' --prod'];
+    },
+    extensionPoints: ['beforeCompile', 'afterCompile', 'beforeDest']
   });
 
   /*
@@ -60,10 +116,20 @@ module.exports = require('../types/task-group').createTasksModule(fallbackGroupN
    reports any warnings or errors.
    */
   tasks.addAction(actionNameHint, function(){
-    const hintPipe = pipes.createHintPipe( config.less.lessHintConfig );
+    const actionConfig = tasks.actionConfig(actionNameHint, 'lessHintConfig');
+    const hintPipe = pipes.createHintPipe( actionConfig.modeOptions(), hintReporter('error'), hintReporter('warning'), pipeStages(actionNameHint), fileReporter(actionNameHint) );
 
-    return gulp.src( config.srcGlobs(config.less.srcFiles) )
-      .pipe(hintPipe());
+    return streams.pipeline([
+      tasks.src(actionNameHint, gulp),
+      hintPipe()
+    ]);
+  }, {
+    description: 'Checks the LESS source files for problems and reports them.',
+    dest: false,
+    extensionPoints: ['beforeHint', 'afterHint'],
+    examples: function(taskName){
+      return ['gulp ' + taskName];
+    }
   });
 
 });
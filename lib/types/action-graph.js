@@ -0,0 +1,591 @@
+/**
+ * Module that exports a class for building and checking the graph of
+ * dependencies between the actions of task groups.
+ *
+ * @see module:gulp-kitchen-sink/types/action-graph
+ *
+ * @file
+ */
+"use strict";
+
+const util = require('util');
+
+
+/**
+ * Constructs an action graph error.
+ *
+ * These are thrown by
+ * {@link module:gulp-kitchen-sink/types/action-graph#assertValid|assertValid()}
+ * and list every problem that was found, so that they can all be fixed in one go.
+ *
+ * @param {string[]} problems   Descriptions of the problems that were found.
+ *
+ * @constructor
+ * @extends Error
+ *
+ * @alias module:gulp-kitchen-sink/types/action-graph.ActionGraphError
+ */
+function ActionGraphError(problems){
+  Error.call(this);
+  Error.captureStackTrace(this, ActionGraphError);
+
+  /**
+   * The error's name.
+   *
+   * @member {string}
+   */
+  this.name = 'ActionGraphError';
+
+  /**
+   * Descriptions of the problems that were found.
+   *
+   * @member {string[]}
+   */
+  this.problems = problems;
+
+  /**
+   * A description of all problems that were found.
+   *
+   * @member {string}
+   */
+  this.message = 'Invalid task dependencies:\n' + problems.map(function(problem){
+    return '  - ' + problem;
+  }).join('\n');
+}
+util.inherits(ActionGraphError, Error);
+
+
+/**
+ * A node of an action graph, representing one action of a task group.
+ *
+ * @typedef {Object} module:gulp-kitchen-sink/types/action-graph~actionNode
+ *
+ * @property {string} id            The node's ID, made up of the group and action names.
+ * @property {string} groupName     The name of the action's task group.
+ * @property {string} actionName    The action's name.
+ * @property {string} taskName      The name of the Gulp task the action is (or would be)
+ *                                  added as.
+ * @property {string[]} deps        The IDs of the nodes of the actions this action depends on.
+ */
+
+
+/**
+ * A plain description of an action graph, e.g. for saving it as JSON (see
+ * {@link module:gulp-kitchen-sink/types/action-graph#toJSON|toJSON()}).
+ *
+ * @typedef {Object} module:gulp-kitchen-sink/types/action-graph~graphData
+ *
+ * @property {Array.<{name: string, actions: string[]}>} groups
+ *                                  The task groups in the graph and the names of
+ *                                  their actions in the graph.
+ * @property {Array.<module:gulp-kitchen-sink/types/action-graph~actionData>} actions
+ *                                  The actions in the graph.
+ * @property {Array.<module:gulp-kitchen-sink/types/action-graph~edgeData>} edges
+ *                                  The dependencies between the actions.
+ */
+
+/**
+ * A plain description of an action in an action graph.
+ *
+ * @typedef {Object} module:gulp-kitchen-sink/types/action-graph~actionData
+ *
+ * @property {string} id            The ID of the action's node.
+ * @property {string} groupName     The name of the action's task group.
+ * @property {string} actionName    The action's name.
+ * @property {string} taskName      The name of the Gulp task the action is (or would be)
+ *                                  added as.
+ * @property {boolean} registered   Whether the action was added to Gulp via the graph's
+ *                                  group loader.
+ * @property {string[]} srcGlobs    The action's inputs (see
+ *                                  {@link module:gulp-kitchen-sink/types/task-group#actionInputs|actionInputs()}).
+ * @property {?string} destPath     The action's output directory (see
+ *                                  {@link module:gulp-kitchen-sink/types/task-group#actionDestPath|actionDestPath()}).
+ */
+
+/**
+ * A plain description of a dependency between two actions in an action graph.
+ *
+ * @typedef {Object} module:gulp-kitchen-sink/types/action-graph~edgeData
+ *
+ * @property {string} from          The ID of the node of the dependent action.
+ * @property {string} to            The ID of the node of the action it depends on.
+ * @property {boolean} external     Whether the actions belong to different task groups
+ *                                  (i.e. the dependency is declared via an
+ *                                  {@link module:gulp-kitchen-sink/types/task-group.ActionDependency|ActionDependency}
+ *                                  object).
+ */
+
+
+/**
+ * This module exports an action graph constructor.
+ *
+ * Action graphs contain the actions of task groups and the dependencies
+ * between them, including dependencies on actions in other task groups (see
+ * {@link module:gulp-kitchen-sink/types/task-group.ActionDependency|ActionDependency}).
+ * Task groups are looked up via a
+ * {@link module:gulp-kitchen-sink/types/group-loader|group loader}.
+ *
+ * They are used to find problems with dependencies before any tasks are handed
+ * to Gulp, where they would otherwise only surface when the tasks are run:
+ *
+ * * Dependencies on task groups or actions that do not exist.
+ * * Circular dependencies.
+ * * Task name collisions, where several actions would be added to Gulp
+ *   with the same task name.
+ *
+ * @example <caption>Checking the dependencies of an action</caption>
+ *
+ * var graph = new (require('gulp-kitchen-sink/types/action-graph'))(groupLoader);
+ *
+ * graph.addAction('less', 'build');
+ * graph.validate(); // Returns: [] (hopefully!)
+ *
+ *
+ * @param {module:gulp-kitchen-sink/types/group-loader} loader
+ *                        The group loader to look up task groups with.
+ *
+ * @constructor
+ *
+ * @exports gulp-kitchen-sink/types/action-graph
+ */
+function ActionGraph(loader){
+
+  /**
+   * The group loader used to look up task groups.
+   *
+   * @member {module:gulp-kitchen-sink/types/group-loader}
+   */
+  this.loader = loader;
+
+  /**
+   * The graph's nodes, keyed by their IDs.
+   *
+   * @member {Object.<string, module:gulp-kitchen-sink/types/action-graph~actionNode>}
+   */
+  this.nodes = {};
+
+  /**
+   * Descriptions of dependencies on task groups or actions that do not exist,
+   * which were found while adding actions.
+   *
+   * @member {string[]}
+   * @private
+   */
+  this._missing = [];
+}
+
+/**
+ * Returns the ID of the node for an action.
+ *
+ * @param {string} groupName    The name of the action's task group.
+ * @param {string} actionName   The action's name.
+ *
+ * @returns {string}  The node ID.
+ */
+ActionGraph.nodeId = function(groupName, actionName){
+  return groupName + '/' + actionName;
+};
+
+/**
+ * Adds an action and, recursively, all actions it depends on to this graph.
+ *
+ * Dependencies on task groups or actions that do not exist are recorded and
+ * reported by {@link module:gulp-kitchen-sink/types/action-graph#validate|validate()}.
+ *
+ * @param {string} groupName    The name of the action's task group.
+ * @param {string} actionName   The action's name.
+ *
+ * @returns {?module:gulp-kitchen-sink/types/action-graph~actionNode}
+ *                              The action's node, or `null` if the task group
+ *                              or action does not exist.
+ */
+ActionGraph.prototype.addAction = function(groupName, actionName){
+  return this._addAction(groupName, actionName, null);
+};
+
+/**
+ * Adds all actions of a task group (and all actions they depend on) to this graph.
+ *
+ * @param {string} groupName    The task group's name.
+ *
+ * @returns {module:gulp-kitchen-sink/types/action-graph~actionNode[]}
+ *                              The nodes of the task group's actions.
+ */
+ActionGraph.prototype.addGroup = function(groupName){
+  if(!this.loader.hasTaskGroup(groupName)){
+    this._missing.push('The task group "' + groupName + '" does not exist.');
+    return [];
+  }
+  return this.loader.taskGroup(groupName).getActions().map(function(actionName){
+    return this.addAction(groupName, actionName);
+  }, this);
+};
+
+/**
+ * Adds all actions of all available and loaded task groups (and all actions
+ * they depend on) to this graph.
+ *
+ * Note that this loads all available task group modules.
+ *
+ * @returns {module:gulp-kitchen-sink/types/action-graph}  This graph.
+ */
+ActionGraph.prototype.addAllGroups = function(){
+  const loader = this.loader;
+  loader.availableTaskGroups().concat(loader.loadedTaskGroups()).forEach(function(groupName, i, groupNames){
+    if(groupNames.indexOf(groupName) === i){
+      this.addGroup(groupName);
+    }
+  }, this);
+  return this;
+};
+
+/**
+ * Adds all actions of all task groups that were loaded so far (and all
+ * actions they depend on) to this graph.
+ *
+ * Unlike {@link module:gulp-kitchen-sink/types/action-graph#addAllGroups|addAllGroups()},
+ * this only loads the task groups that these actions depend on.
+ *
+ * @returns {module:gulp-kitchen-sink/types/action-graph}  This graph.
+ */
+ActionGraph.prototype.addLoadedGroups = function(){
+  this.loader.loadedTaskGroups().forEach(function(groupName){
+    this.addGroup(groupName);
+  }, this);
+  return this;
+};
+
+/**
+ * Adds an action and its dependencies to this graph.
+ *
+ * @param {string} groupName    The name of the action's task group.
+ * @param {string} actionName   The action's name.
+ * @param {?module:gulp-kitchen-sink/types/action-graph~actionNode} dependent
+ *                              The node of the action that depends on this action,
+ *                              if any. Used for reporting missing dependencies.
+ *
+ * @returns {?module:gulp-kitchen-sink/types/action-graph~actionNode}
+ *                              The action's node, or `null` if the task group
+ *                              or action does not exist.
+ *
+ * @private
+ */
+ActionGraph.prototype._addAction = function(groupName, actionName, dependent){
+  const id = ActionGraph.nodeId(groupName, actionName);
+  if(this.nodes.hasOwnProperty(id)){
+    return this.nodes[id];
+  }
+
+  const requiredBy = dependent ? ' (required by "' + dependent.taskName + '")' : '';
+  if(!this.loader.hasTaskGroup(groupName)){
+    this._missing.push('The task group "' + groupName + '" does not exist' + requiredBy + '.');
+    return null;
+  }
+  const taskGroup = this.loader.taskGroup(groupName);
+  if(!taskGroup.hasAction(actionName)){
+    this._missing.push('The "' + groupName + '" task group has no "' + actionName + '" action' + requiredBy + '.');
+    return null;
+  }
+
+  const node = this.nodes[id] = {
+    id: id,
+    groupName: groupName,
+    actionName: actionName,
+    taskName: taskGroup.taskName(actionName),
+    deps: []
+  };
+
+  taskGroup.getActionDeps(actionName).forEach(function(dep){
+    if(this._addAction(dep.groupName, dep.actionName, node)){
+      node.deps.push(ActionGraph.nodeId(dep.groupName, dep.actionName));
+    }
+  }, this);
+
+  return node;
+};
+
+/**
+ * Adds the actions of all tasks that were added to Gulp via this graph's group
+ * loader (and all actions they depend on) to this graph.
+ *
+ * @returns {module:gulp-kitchen-sink/types/action-graph}  This graph.
+ */
+ActionGraph.prototype.addRegisteredTasks = function(){
+  this.loader.registeredTasks().forEach(function(taskName){
+    const owner = this.loader.taskOwner(taskName);
+    this.addAction(owner.groupName, owner.actionName);
+  }, this);
+  return this;
+};
+
+/**
+ * Finds circular dependencies between the actions in this graph.
+ *
+ * @returns {Array.<string[]>}  The cycles that were found. Each cycle is an
+ *                              array of the IDs of the nodes involved, starting
+ *                              and ending with the same node.
+ */
+ActionGraph.prototype.findCycles = function(){
+  const nodes = this.nodes;
+  const cycles = [];
+  const done = {};
+  const path = [];
+
+  const visit = function(id){
+    const pathIndex = path.indexOf(id);
+    if(pathIndex !== -1){
+      cycles.push(path.slice(pathIndex).concat(id));
+      return;
+    }
+    if(done[id]){
+      return;
+    }
+    path.push(id);
+    nodes[id].deps.forEach(visit);
+    path.pop();
+    done[id] = true;
+  };
+
+  Object.keys(nodes).forEach(visit);
+  return cycles;
+};
+
+/**
+ * Returns the order in which actions in this graph would run, so that every
+ * action runs after the actions it depends on.
+ *
+ * Dependencies are ordered the way they were declared, which matches the
+ * order Gulp uses when it runs them one after the other. Actions that are part
+ * of a circular dependency are only included once.
+ *
+ * @param {string[]} [ids]  The IDs of the nodes to run. Defaults to all nodes
+ *                          in this graph.
+ *
+ * @returns {string[]}      The IDs of the nodes to run (including all of their
+ *                          dependencies), in the order they would run.
+ */
+ActionGraph.prototype.runOrder = function(ids){
+  const nodes = this.nodes;
+  const order = [];
+  const visited = {};
+
+  const visit = function(id){
+    if(visited[id] || !nodes.hasOwnProperty(id)){
+      return;
+    }
+    visited[id] = true;
+    nodes[id].deps.forEach(visit);
+    order.push(id);
+  };
+
+  (ids || Object.keys(nodes)).forEach(visit);
+  return order;
+};
+
+/**
+ * Finds task name collisions, where several actions are (or would be) added
+ * to Gulp with the same task name.
+ *
+ * Besides the actions in this graph, the tasks that were already added to Gulp
+ * via the group loader are taken into account.
+ *
+ * @returns {Object.<string, string[]>}   For each colliding task name, the IDs of the
+ *                                        nodes of all actions that use it.
+ */
+ActionGraph.prototype.findCollisions = function(){
+  const owners = {};
+  const collisions = {};
+  var id, node, owner, taskName;
+
+  for(id in this.nodes){
+    node = this.nodes[id];
+    if(!owners.hasOwnProperty(node.taskName)){
+      owners[node.taskName] = [];
+      owner = this.loader.taskOwner(node.taskName);
+      if(owner){
+        owners[node.taskName].push(ActionGraph.nodeId(owner.groupName, owner.actionName));
+      }
+    }
+    if(owners[node.taskName].indexOf(id) === -1){
+      owners[node.taskName].push(id);
+    }
+  }
+
+  for(taskName in owners){
+    if(owners[taskName].length > 1){
+      collisions[taskName] = owners[taskName];
+    }
+  }
+  return collisions;
+};
+
+/**
+ * Checks this graph for dependencies on task groups or actions that do not exist,
+ * circular dependencies and task name collisions.
+ *
+ * @returns {string[]}  Descriptions of the problems that were found. Empty if
+ *                      there are none.
+ */
+ActionGraph.prototype.validate = function(){
+  const nodes = this.nodes;
+  const describe = function(id){
+    return nodes.hasOwnProperty(id) ? '"' + nodes[id].taskName + '"' : id;
+  };
+  const problems = this._missing.slice();
+
+  this.findCycles().forEach(function(cycle){
+    problems.push('Circular dependency: ' + cycle.map(describe).join(' -> '));
+  });
+
+  const collisions = this.findCollisions();
+  Object.keys(collisions).forEach(function(taskName){
+    problems.push('Task name collision: "' + taskName + '" is generated for ' +
+      collisions[taskName].map(function(id){
+        const parts = id.split('/');
+        return 'the "' + parts[1] + '" action of the "' + parts[0] + '" task group';
+      }).join(' and ') + '. Check your task naming settings.');
+  });
+
+  return problems;
+};
+
+/**
+ * Checks this graph for problems (see
+ * {@link module:gulp-kitchen-sink/types/action-graph#validate|validate()})
+ * and throws an error if there are any.
+ *
+ * @throws {module:gulp-kitchen-sink/types/action-graph.ActionGraphError}
+ *                      If any problems were found.
+ */
+ActionGraph.prototype.assertValid = function(){
+  const problems = this.validate();
+  if(problems.length > 0){
+    throw new ActionGraphError(problems);
+  }
+};
+
+/**
+ * Describes this graph as a plain object, which can be saved as JSON.
+ *
+ * This is called by `JSON.stringify()`, so graphs can be passed to it directly.
+ * Task groups, actions and dependencies are sorted by name, so that the
+ * descriptions of graphs with the same contents are the same.
+ *
+ * @returns {module:gulp-kitchen-sink/types/action-graph~graphData}
+ *                      The description.
+ */
+ActionGraph.prototype.toJSON = function(){
+  const loader = this.loader;
+  const nodes = this.nodes;
+  const groups = [];
+  const edges = [];
+
+  const actions = Object.keys(nodes).sort().map(function(id){
+    const node = nodes[id];
+    const taskGroup = loader.taskGroup(node.groupName);
+    const owner = loader.taskOwner(node.taskName);
+
+    if(groups.length === 0 || groups[groups.length - 1].name !== node.groupName){
+      groups.push({name: node.groupName, actions: []});
+    }
+    groups[groups.length - 1].actions.push(node.actionName);
+
+    taskGroup.getActionDeps(node.actionName).forEach(function(dep){
+      const depId = ActionGraph.nodeId(dep.groupName, dep.actionName);
+      if(node.deps.indexOf(depId) !== -1){
+        edges.push({from: id, to: depId, external: !!dep.isExternalTo(taskGroup)});
+      }
+    });
+
+    return {
+      id: id,
+      groupName: node.groupName,
+      actionName: node.actionName,
+      taskName: node.taskName,
+      registered: !!owner && owner.groupName === node.groupName && owner.actionName === node.actionName,
+      srcGlobs: taskGroup.actionInputs(node.actionName),
+      destPath: taskGroup.actionDestPath(node.actionName)
+    };
+  });
+
+  return {groups: groups, actions: actions, edges: edges};
+};
+
+// Quotes a string for use as an ID or attribute value in the DOT language
+function dotString(value){
+  return '"' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+}
+
+/**
+ * Describes this graph in the DOT language of Graphviz, so that it can be
+ * rendered as a diagram (e.g. via `dot -Tsvg`).
+ *
+ * Each task group is drawn as a cluster containing its actions, which are
+ * labelled with their task names, source globs and destination paths. Arrows
+ * point from actions to the actions they depend on. Dependencies on actions in
+ * other task groups are drawn dashed, and actions that were not added to Gulp
+ * are drawn grey.
+ *
+ * @returns {string}    The DOT description.
+ */
+ActionGraph.prototype.toDOT = function(){
+  const data = this.toJSON();
+  const actions = {};
+  const lines = ['digraph tasks {', '  rankdir=LR;', '  node [shape=box];'];
+
+  data.actions.forEach(function(action){
+    actions[action.id] = action;
+  });
+
+  data.groups.forEach(function(group){
+    lines.push('  subgraph ' + dotString('cluster_' + group.name) + ' {');
+    lines.push('    label=' + dotString(group.name) + ';');
+    group.actions.forEach(function(actionName){
+      const action = actions[ActionGraph.nodeId(group.name, actionName)];
+      var label = action.taskName;
+      if(action.srcGlobs.length > 0){
+        label += '\nsrc: ' + action.srcGlobs.join(', ');
+      }
+      if(action.destPath !== null){
+        label += '\ndest: ' + action.destPath;
+      }
+      lines.push('    ' + dotString(action.id) + ' [label=' + dotString(label) +
+        (action.registered ? '' : ', color=grey, fontcolor=grey') + '];');
+    });
+    lines.push('  }');
+  });
+
+  data.edges.forEach(function(edge){
+    lines.push('  ' + dotString(edge.from) + ' -> ' + dotString(edge.to) + (edge.external ? ' [style=dashed]' : '') + ';');
+  });
+
+  lines.push('}');
+  return lines.join('\n');
+};
+
+/**
+ * Exports this graph in one of the supported formats: `json` (see
+ * {@link module:gulp-kitchen-sink/types/action-graph#toJSON|toJSON()}) or
+ * `dot` (see {@link module:gulp-kitchen-sink/types/action-graph#toDOT|toDOT()}).
+ *
+ * @param {string} [format=json]  The format to export this graph in.
+ *
+ * @returns {string}              The exported graph.
+ *
+ * @throws {Error}                If the format is unknown.
+ */
+ActionGraph.prototype.format = function(format){
+  switch(format || 'json'){
+    case 'json':
+      return JSON.stringify(this, null, 2);
+    case 'dot':
+      return this.toDOT();
+    default:
+      throw new Error('Unknown graph format "' + format + '". The supported formats are: json, dot');
+  }
+};
+
+
+
+module.exports = ActionGraph;
+module.exports.ActionGraphError = ActionGraphError;
@@ -13,10 +13,14 @@
 
 const path = require('path');
 
+const objects = require('../utils/objects');
+const configOverrides = require('../utils/config-overrides');
+const ConfigSchema = require('./config-schema');
+
 
 /**
- * The separating character used between the prefixName, groupName and actionName
- * components of a generated Gulp task name.
+ * The default separating character used between the prefixName, groupName and
+ * actionName components of a generated Gulp task name.
  *
  * @type {string}
  * @default
@@ -26,13 +30,216 @@ const path = require('path');
  */
 const TASK_NAME_SEPARATOR = ':';
 
+/**
+ * The name of the development build mode.
+ *
+ * @type {string}
+ * @default
+ *
+ * @memberof module:gulp-kitchen-sink/types/build-config~
+ * @private
+ */
+const MODE_DEV = 'dev';
+
+/**
+ * The name of the production build mode.
+ *
+ * @type {string}
+ * @default
+ *
+ * @memberof module:gulp-kitchen-sink/types/build-config~
+ * @private
+ */
+const MODE_PROD = 'prod';
+
+/**
+ * The source of config values that were set by the build config's constructor.
+ *
+ * @type {string}
+ * @default
+ *
+ * @memberof module:gulp-kitchen-sink/types/build-config~
+ * @private
+ */
+const SOURCE_DEFAULT = 'default';
+
+/**
+ * The source of config values that were set directly (i.e. usually from a gulpfile).
+ *
+ * @type {string}
+ * @default
+ *
+ * @memberof module:gulp-kitchen-sink/types/build-config~
+ * @private
+ */
+const SOURCE_GULPFILE = 'gulpfile';
+
+
+/**
+ * The schemas of the config sections that every build config has.
+ *
+ * @type {Object.<string, module:gulp-kitchen-sink/types/config-schema~schemaNode>}
+ *
+ * @memberof module:gulp-kitchen-sink/types/build-config~
+ * @private
+ */
+const CORE_SCHEMA = {
+  mode: {
+    type: 'string',
+    enum: [MODE_DEV, MODE_PROD]
+  },
+  paths: {
+    type: 'object',
+    properties: {
+      srcRoot:      { type: 'string' },
+      bldRootDev:   { type: 'string' },
+      bldRootProd:  { type: 'string' },
+      extraSrcRoots: {
+        type: 'array',
+        items: { type: 'string' }
+      }
+    }
+  },
+  tasks: {
+    type: 'object',
+    properties: {
+      defaultPrefixName:  { type: ['string', 'boolean'] },
+      groupBeforeAction:  { type: 'boolean' },
+      separator:          { type: 'string' },
+      nameFn:             { type: ['function', 'null'] },
+      use:                { type: 'object' },
+      dryRun:             { type: 'boolean' },
+      strictInputs:       { type: 'boolean' },
+      graphFormat:        { type: 'string', enum: ['json', 'dot'] },
+      aggregates:         { type: 'object' }
+    }
+  },
+  log: {
+    type: 'object',
+    properties: {
+      level:  { type: 'string', enum: ['silent', 'info', 'verbose', 'debug'] },
+      format: { type: 'string', enum: ['text', 'json'] }
+    }
+  }
+};
+
+
+// Works out which build mode was requested via the environment or
+// command-line arguments and returns it together with a description of
+// where it came from. Returns null if no mode was requested.
+// (See BuildConfig.detectMode() for details)
+function findModeSetting(env, argv){
+  env = env || {};
+  argv = argv || [];
+
+  if(argv.indexOf('--' + MODE_PROD) !== -1){
+    return {mode: MODE_PROD, source: 'CLI flag --' + MODE_PROD};
+  }
+  if(argv.indexOf('--' + MODE_DEV) !== -1){
+    return {mode: MODE_DEV, source: 'CLI flag --' + MODE_DEV};
+  }
+  if(env.KS_MODE === MODE_PROD || env.KS_MODE === MODE_DEV){
+    return {mode: env.KS_MODE, source: 'environment variable KS_MODE'};
+  }
+  if(env.NODE_ENV === 'production'){
+    return {mode: MODE_PROD, source: 'environment variable NODE_ENV'};
+  }
+  return null;
+}
+
+
+/**
+ * Constructs an action config.
+ *
+ * Action configs hold the settings of an individual action within a task
+ * group (e.g. the `hint` action of the `less` group): which source files it
+ * processes, where it writes its output to and which plug-in options it uses.
+ *
+ * Usually, you won't need to construct your own action config objects. Instead,
+ * use a build config's {@link module:gulp-kitchen-sink/types/build-config#actionConfig|actionConfig()}
+ * method, which works out each setting from the build config's values.
+ *
+ * @param {module:gulp-kitchen-sink/types/build-config} bldConfig
+ *                                        The build config this action config belongs to.
+ * @param {string|string[]} srcSuffixGlobs
+ *                                        The action's source globs, relative to the
+ *                                        source root.
+ * @param {string} destSuffix             The action's output directory, relative to the
+ *                                        build root.
+ * @param {Object} options                The action's plug-in options.
+ *
+ * @constructor
+ *
+ * @alias module:gulp-kitchen-sink/types/build-config.ActionConfig
+ */
+function ActionConfig(bldConfig, srcSuffixGlobs, destSuffix, options){
+
+  /**
+   * The build config this action config belongs to.
+   *
+   * @member {module:gulp-kitchen-sink/types/build-config}
+   */
+  this.bldConfig = bldConfig;
+
+  /**
+   * The action's source globs, relative to the source root.
+   *
+   * @member {string|string[]}
+   */
+  this.srcSuffixGlobs = srcSuffixGlobs || [];
+
+  /**
+   * The action's output directory, relative to the build root.
+   *
+   * @member {string}
+   */
+  this.destSuffix = destSuffix || '';
+
+  /**
+   * The action's plug-in options.
+   *
+   * These may contain `dev` and `prod` properties for build mode
+   * specific options.
+   *
+   * @member {Object}
+   */
+  this.options = options || {};
+}
+
+/**
+ * Returns the full source globs for this action.
+ *
+ * @returns {string|string[]}   The full source globs, as returned by
+ *                              the build config's
+ *                              {@link module:gulp-kitchen-sink/types/build-config#srcGlobs|srcGlobs()}
+ *                              method.
+ */
+ActionConfig.prototype.srcGlobs = function(){
+  return this.bldConfig.srcGlobs(this.srcSuffixGlobs);
+};
+
+/**
+ * Returns the full output directory path for this action.
+ *
+ * @returns {string}  The output directory path, as returned by the
+ *                    build config's
+ *                    {@link module:gulp-kitchen-sink/types/build-config#bldPath|bldPath()}
+ *                    method.
+ */
+ActionConfig.prototype.destPath = function(){
+  return this.bldConfig.bldPath(this.destSuffix);
+};
 
-// function ActionConfig(bldConfig, ){
-//   this.bldConfig = bldConfig;
-//   this.srcSuffixGlobs = [];
-//   this.destSuffix = '';
-//   this.options = {};
-// }
+/**
+ * Returns this action's plug-in options for the current build mode.
+ *
+ * @returns {Object}  The plug-in options, as returned by the build config's
+ *                    {@link module:gulp-kitchen-sink/types/build-config#modeOptions|modeOptions()}
+ *                    method.
+ */
+ActionConfig.prototype.modeOptions = function(){
+  return this.bldConfig.modeOptions(this.options);
+};
 
 
 /**
@@ -70,6 +277,38 @@ const TASK_NAME_SEPARATOR = ':';
  */
 function BuildConfig(){
 
+  // The schema that this config's values are validated against.
+  // (Non-enumerable, so that it isn't mistaken for a config section)
+  Object.defineProperty(this, '_schema', {
+    value: new ConfigSchema(),
+    writable: true
+  });
+  for(var sectionName in CORE_SCHEMA){
+    this._schema.define(sectionName, CORE_SCHEMA[sectionName]);
+  }
+
+  // Where each config value came from, keyed by the values' key paths.
+  // (Non-enumerable, so that it isn't mistaken for a config section)
+  Object.defineProperty(this, '_sources', {
+    value: {},
+    writable: true
+  });
+
+  /**
+   * The build mode.
+   *
+   * Either `'dev'` (for development builds) or `'prod'` (for production
+   * builds). Amongst other things, this determines which build root
+   * directory {@link module:gulp-kitchen-sink/types/build-config#bldPath|bldPath()}
+   * uses and which plug-in options
+   * {@link module:gulp-kitchen-sink/types/build-config#modeOptions|modeOptions()}
+   * picks.
+   *
+   * @member {string}
+   * @default 'dev'
+   */
+  this.mode = MODE_DEV;
+
   /**
    * The path components used for the build.
    *
@@ -78,11 +317,16 @@ function BuildConfig(){
    * @property {string} srcRoot=src       The root directory of all source files.
    * @property {string} bldRootDev=dist   The root directory of development build output
    * @property {string} bldRootProd=dist  The root directory of production build output
+   * @property {string[]} extraSrcRoots=[] Additional root directories of source files.
+   *                                      Source globs are looked for in these too, after
+   *                                      the `srcRoot` (see
+   *                                      {@link module:gulp-kitchen-sink/types/build-config#srcGlobs|srcGlobs()}).
    */
   this.paths = {
-    srcRoot:      'src',
-    bldRootDev:   'dist',
-    bldRootProd:  'dist'
+    srcRoot:        'src',
+    bldRootDev:     'dist',
+    bldRootProd:    'dist',
+    extraSrcRoots:  []
   };
 
   /**
@@ -96,26 +340,144 @@ function BuildConfig(){
    * @property {boolean} groupBeforeAction=true             Whether to put task group names before action
    *                                                        names, when generating task names (`true`). Or
    *                                                        whether to flip the order (`false`).
+   * @property {string} separator=:                         The separator placed between the prefix, group
+   *                                                        and action names, when generating task names.
+   * @property {?module:gulp-kitchen-sink/types/build-config~taskNameFn} nameFn=null
+   *                                                        A custom function for generating task names.
+   *                                                        If set, it replaces the default naming scheme
+   *                                                        (and the settings above are only passed to it).
+   * @property {Object.<string, (boolean|string[])>} use={}  The task groups and actions to add by
+   *                                                        {@link module:gulp-kitchen-sink~KitchenSink#addSelectedTasks|KitchenSink#addSelectedTasks()}.
+   *                                                        Maps group names to either `true` (to add all
+   *                                                        of the group's actions), an array of action
+   *                                                        names or `false` (to add none).
+   * @property {boolean} dryRun=false                       Whether tasks should only report what they
+   *                                                        would do (the source globs, matched files and
+   *                                                        destination paths of their actions), rather
+   *                                                        than running their actions.
+   * @property {boolean} strictInputs=false                 Whether tasks should fail, rather than be skipped,
+   *                                                        when the source globs of their actions match no
+   *                                                        files.
+   * @property {string} graphFormat=json                    The format that the `config:graph` task prints
+   *                                                        the task graph in: `json` or `dot` (the Graphviz
+   *                                                        DOT language).
+   * @property {Object.<string, (string[]|boolean)>} aggregates
+   *                                                        The aggregate tasks added by
+   *                                                        {@link module:gulp-kitchen-sink~KitchenSink#addAggregateTasks|KitchenSink#addAggregateTasks()}.
+   *                                                        Maps aggregate task names to the action names
+   *                                                        (or names of other aggregate tasks) they run,
+   *                                                        or to `false` to not add them. By default,
+   *                                                        there are `build`, `lint` and `watch` aggregates.
    *
    */
   this.tasks = {
     defaultPrefixName:  false,
-    groupBeforeAction:  true
+    groupBeforeAction:  true,
+    separator:          TASK_NAME_SEPARATOR,
+    nameFn:             null,
+    use:                {},
+    dryRun:             false,
+    strictInputs:       false,
+    graphFormat:        'json',
+    aggregates:         {
+      build:  ['build'],
+      lint:   ['lint', 'hint'],
+      watch:  ['watch']
+    }
+  };
+
+  /**
+   * Settings relating to the log messages of tasks (see
+   * {@link module:gulp-kitchen-sink/types/logger|logger}).
+   *
+   * @member {object}
+   *
+   * @property {string} level=info      How much to log: `silent` (nothing), `info` (warnings
+   *                                    and errors), `verbose` (also when tasks start and end)
+   *                                    or `debug` (also every file that tasks process).
+   * @property {string} format=text     The format of log messages: `text` (human-readable
+   *                                    lines) or `json` (one JSON object per line, e.g. for
+   *                                    CI systems).
+   */
+  this.log = {
+    level:  'info',
+    format: 'text'
   };
 
 
   /**
+   * Settings relating to the LESS tasks.
+   *
+   * @member {object}
    *
+   * @property {string|string[]} srcFiles             Globs of LESS source files, relative to the
+   *                                                    source root. Defaults to all `.less` files
+   *                                                    within `less/`.
+   * @property {string} bldDir=less                     The output directory, relative to the build root.
+   * @property {object} lessConfig                      Options for the LESS compiler. May contain `dev`
+   *                                                    and `prod` properties for build mode specific
+   *                                                    options.
+   * @property {object} lessHintConfig                  Options for the LESS hinter. May contain `dev`
+   *                                                    and `prod` properties for build mode specific
+   *                                                    options.
+   * @property {object} actions                         Per-action settings (`build` and `hint`), which
+   *                                                    override the ones above. See
+   *                                                    {@link module:gulp-kitchen-sink/types/build-config#actionConfig|actionConfig()}.
    */
   this.less = {
     srcFiles: 'less/**/*.less',
     bldDir: 'less',
     lessConfig: {},
-    lessHintConfig: {}
+    lessHintConfig: {},
+    actions: {}
   };
 
+  this._recordSources(this, SOURCE_DEFAULT);
 }
 
+// ########## Static properties
+
+/**
+ * The name of the development build mode.
+ *
+ * @type {string}
+ * @default 'dev'
+ */
+BuildConfig.MODE_DEV = MODE_DEV;
+
+/**
+ * The name of the production build mode.
+ *
+ * @type {string}
+ * @default 'prod'
+ */
+BuildConfig.MODE_PROD = MODE_PROD;
+
+/**
+ * The source reported for config values that were set by the build config's
+ * constructor.
+ *
+ * @type {string}
+ * @default 'default'
+ *
+ * @see module:gulp-kitchen-sink/types/build-config#sourceOf
+ */
+BuildConfig.SOURCE_DEFAULT = SOURCE_DEFAULT;
+
+/**
+ * The source reported for config values that were changed directly, rather
+ * than via {@link module:gulp-kitchen-sink/types/build-config#merge|merge()}
+ * or {@link module:gulp-kitchen-sink/types/build-config#set|set()}. Usually,
+ * that means they were set in a gulpfile.
+ *
+ * @type {string}
+ * @default 'gulpfile'
+ *
+ * @see module:gulp-kitchen-sink/types/build-config#sourceOf
+ */
+BuildConfig.SOURCE_GULPFILE = SOURCE_GULPFILE;
+
+
 // ########## Static methods
 
 /**
@@ -143,8 +505,482 @@ BuildConfig.addTrailingSlash = function(dir){
 };
 
 
+/**
+ * Works out which build mode was requested via the environment
+ * or command-line arguments.
+ *
+ * The following are checked, in order of precedence:
+ *
+ * 1. A `--prod` or `--dev` command-line flag.
+ * 2. The `KS_MODE` environment variable (`'prod'` or `'dev'`).
+ * 3. The `NODE_ENV` environment variable. If it is `'production'`,
+ *    the production mode is used.
+ *
+ * @example
+ *
+ * BuildConfig.detectMode(process.env, process.argv);
+ * // Returns 'prod' when run via: gulp less:build --prod
+ *
+ * @param {Object} [env]        Environment variables (e.g. `process.env`).
+ * @param {string[]} [argv]     Command-line arguments (e.g. `process.argv`).
+ *
+ * @returns {string|undefined}  The requested build mode, or `undefined` if
+ *                              none was requested.
+ */
+BuildConfig.detectMode = function(env, argv){
+  const setting = findModeSetting(env, argv);
+  return setting ? setting.mode : undefined;
+};
+
+
+/**
+ * Returns a schema node for the `actions` property of a config section.
+ *
+ * Task group modules can use this when declaring their config section's
+ * schema, so that the per-action settings understood by
+ * {@link module:gulp-kitchen-sink/types/build-config#actionConfig|actionConfig()}
+ * are validated too.
+ *
+ * @example
+ *
+ * bldConfig.defineSchema('sass', {
+ *   type: 'object',
+ *   properties: {
+ *     srcFiles: { type: ['string', 'array'] },
+ *     actions:  BuildConfig.actionsSchema(['build', 'lint'])
+ *   }
+ * });
+ *
+ * @param {string[]} actionNames    The names of the group's actions.
+ *
+ * @returns {module:gulp-kitchen-sink/types/config-schema~schemaNode}
+ *                                  The schema node.
+ */
+BuildConfig.actionsSchema = function(actionNames){
+  const properties = {};
+  for(var i=0; i<actionNames.length; ++i){
+    properties[actionNames[i]] = {
+      type: 'object',
+      properties: {
+        srcFiles: { type: ['string', 'array'], items: { type: 'string' } },
+        bldDir:   { type: 'string' },
+        options:  { type: 'object' }
+      }
+    };
+  }
+  return {
+    type: 'object',
+    properties: properties
+  };
+};
+
+
 // ########## Instance methods
 
+/**
+ * Deep-merges the given values into this build config.
+ *
+ * Nested objects are merged property by property, so only the values
+ * that are provided will be changed. Any other values (including arrays)
+ * replace the existing ones.
+ *
+ * @example
+ *
+ * bldConfig.merge({
+ *   paths: { srcRoot: 'source' },
+ *   less: { srcFiles: ['main.less'] }
+ * });
+ *
+ * bldConfig.paths.srcRoot;    // Returns: 'source'
+ * bldConfig.paths.bldRootDev; // Returns: 'dist' (i.e. unchanged)
+ *
+ * @param {Object} values   The config values to merge in.
+ * @param {string} [source] Where the values came from (e.g. the path of a config
+ *                          file). This is reported by
+ *                          {@link module:gulp-kitchen-sink/types/build-config#sourceOf|sourceOf()}.
+ *                          Defaults to `'gulpfile'`.
+ *
+ * @returns {module:gulp-kitchen-sink/types/build-config}  This build config.
+ */
+BuildConfig.prototype.merge = function(values, source){
+  objects.deepMerge(this, values);
+  this._recordSources(values, source || SOURCE_GULPFILE);
+  return this;
+};
+
+/**
+ * Sets a single config value, identified by its key path.
+ *
+ * Unlike setting the value directly, this lets you say where the value
+ * came from, which is then reported by
+ * {@link module:gulp-kitchen-sink/types/build-config#sourceOf|sourceOf()}.
+ *
+ * @example
+ *
+ * bldConfig.set('paths.srcRoot', 'source', 'my build script');
+ * bldConfig.sourceOf('paths.srcRoot'); // Returns: 'my build script'
+ *
+ * @param {string} keyPath    The key path of the value (e.g. `'paths.srcRoot'`).
+ * @param {*} value           The value to set.
+ * @param {string} [source]   Where the value came from. Defaults to `'gulpfile'`.
+ */
+BuildConfig.prototype.set = function(keyPath, value, source){
+  objects.setPath(this, keyPath, value);
+
+  var flattened = {};
+  if(objects.isPlainObject(value) && Object.keys(value).length > 0){
+    flattened = objects.flatten(value, keyPath);
+  }
+  else{
+    flattened[keyPath] = value;
+  }
+  this._recordSources(flattened, source || SOURCE_GULPFILE, true);
+};
+
+/**
+ * Sets the build mode, if one was requested via the environment or
+ * command-line arguments.
+ *
+ * @param {Object} [env]        Environment variables (e.g. `process.env`).
+ * @param {string[]} [argv]     Command-line arguments (e.g. `process.argv`).
+ *
+ * @returns {string|undefined}  The requested build mode, or `undefined` if
+ *                              none was requested (in which case the mode
+ *                              is left unchanged).
+ *
+ * @see module:gulp-kitchen-sink/types/build-config.detectMode
+ */
+BuildConfig.prototype.useDetectedMode = function(env, argv){
+  const setting = findModeSetting(env, argv);
+  if(setting){
+    this.set('mode', setting.mode, setting.source);
+    return setting.mode;
+  }
+  return undefined;
+};
+
+/**
+ * Applies any config value overrides given via environment variables or
+ * command-line flags.
+ *
+ * Environment variables are named after the key path of the value they
+ * override, e.g. `KS_PATHS_SRCROOT` overrides `paths.srcRoot`. Command-line
+ * flags use the key path directly, e.g. `--ks.less.bldDir=css`. Values are
+ * converted to the type of the value they override, so that booleans, numbers
+ * and arrays can be overridden too (e.g. `--ks.tasks.defaultPrefixName=false`).
+ *
+ * Command-line flags take precedence over environment variables.
+ *
+ * @param {Object} [env]        Environment variables (e.g. `process.env`).
+ * @param {string[]} [argv]     Command-line arguments (e.g. `process.argv`).
+ *
+ * @returns {module:gulp-kitchen-sink/utils/config-overrides~override[]}
+ *                              The overrides that were applied.
+ *
+ * @throws {Error}  If an override's value cannot be converted to the
+ *                  required type.
+ *
+ * @see module:gulp-kitchen-sink/utils/config-overrides
+ */
+BuildConfig.prototype.useOverrides = function(env, argv){
+  const self = this;
+  const applied = [];
+  const apply = function(override){
+    self.set(override.path, override.value, override.source);
+    applied.push(override);
+  };
+
+  configOverrides.fromEnv(this, env).forEach(apply);
+  configOverrides.fromArgv(this, argv).forEach(apply);
+  return applied;
+};
+
+/**
+ * Returns where a config value came from.
+ *
+ * Values set by this build config's constructor are reported as `'default'`.
+ * Values set via {@link module:gulp-kitchen-sink/types/build-config#merge|merge()}
+ * or {@link module:gulp-kitchen-sink/types/build-config#set|set()} are reported
+ * with the source that was given there (e.g. the config file they came from).
+ * Values that have since been changed directly (usually in a gulpfile) are
+ * reported as `'gulpfile'`.
+ *
+ * @param {string} keyPath  The key path of the value (e.g. `'paths.srcRoot'`).
+ *
+ * @returns {string}        A description of the value's source.
+ */
+BuildConfig.prototype.sourceOf = function(keyPath){
+  const record = this._sources[keyPath];
+  if(record && objects.deepEqual(record.value, objects.getPath(this, keyPath))){
+    return record.source;
+  }
+  return SOURCE_GULPFILE;
+};
+
+/**
+ * Describes all of this config's values and where they came from.
+ *
+ * @returns {module:gulp-kitchen-sink/types/build-config~valueExplanation[]}
+ *                    One entry for each config value.
+ *
+ * @see module:gulp-kitchen-sink/types/build-config#sourceOf
+ */
+BuildConfig.prototype.explain = function(){
+  const values = objects.flatten(this);
+  return Object.keys(values).map(function(keyPath){
+    return {
+      path: keyPath,
+      value: values[keyPath],
+      source: this.sourceOf(keyPath)
+    };
+  }, this);
+};
+
+// Documenting a type returned above
+/**
+ * A config value and where it came from.
+ *
+ * @typedef {Object} module:gulp-kitchen-sink/types/build-config~valueExplanation
+ *
+ * @property {string} path    The value's key path (e.g. `'paths.srcRoot'`).
+ * @property {*} value        The value.
+ * @property {string} source  Where the value came from.
+ */
+
+/**
+ * Records where the given values came from.
+ *
+ * @param {Object} values           The values, which have just been set on this config.
+ * @param {string} source           Where they came from.
+ * @param {boolean} [isFlattened]   True if the values are already flattened into
+ *                                  key paths.
+ *
+ * @private
+ */
+BuildConfig.prototype._recordSources = function(values, source, isFlattened){
+  const flattened = isFlattened ? values : objects.flatten(values);
+  for(var keyPath in flattened){
+    if(flattened[keyPath] !== undefined){
+      this._sources[keyPath] = {
+        source: source,
+        value: objects.deepClone(flattened[keyPath])
+      };
+    }
+  }
+};
+
+/**
+ * Creates a new build config that is a copy of this one.
+ *
+ * All config values and declared section schemas are deep-copied. The
+ * derived config is independent of this one, so subsequent changes to
+ * either config do not affect the other.
+ *
+ * @example
+ *
+ * bldConfig.paths.srcRoot = 'source';
+ *
+ * var childConfig = bldConfig.derive();
+ * childConfig.paths.srcRoot;  // Returns: 'source'
+ *
+ * childConfig.paths.srcRoot = 'other';
+ * bldConfig.paths.srcRoot;    // Returns: 'source' (i.e. unchanged)
+ *
+ * @returns {module:gulp-kitchen-sink/types/build-config}  The derived build config.
+ */
+BuildConfig.prototype.derive = function(){
+  const derived = new BuildConfig();
+  var key;
+  for(key in this){
+    if(this.hasOwnProperty(key)){
+      derived[key] = objects.deepClone(this[key]);
+    }
+  }
+  for(key in this._schema.sections){
+    derived.defineSchema(key, this._schema.sections[key]);
+  }
+  derived._sources = objects.deepClone(this._sources);
+  return derived;
+};
+
+/**
+ * Declares the schema of a config section.
+ *
+ * Task group modules should use this to declare the settings of the config
+ * sections they contribute, so that typos and invalid values can be reported
+ * by {@link module:gulp-kitchen-sink/types/build-config#validate|validate()}.
+ *
+ * @example
+ *
+ * bldConfig.defineSchema('sass', {
+ *   type: 'object',
+ *   properties: {
+ *     srcFiles:   { type: ['string', 'array'], items: { type: 'string' } },
+ *     sassConfig: { type: 'object' }
+ *   }
+ * });
+ *
+ * @param {string} sectionName    The config section's name.
+ * @param {module:gulp-kitchen-sink/types/config-schema~schemaNode} schemaNode
+ *                                The config section's schema.
+ */
+BuildConfig.prototype.defineSchema = function(sectionName, schemaNode){
+  this._schema.define(sectionName, schemaNode);
+};
+
+/**
+ * Checks this config's values against the declared schemas of its sections
+ * and throws an error describing every problem found.
+ *
+ * Unknown settings, settings with the wrong type and invalid values are all
+ * reported along with their key paths. For unknown settings, similarly named
+ * known settings are suggested.
+ *
+ * @example
+ *
+ * bldConfig.paths.srcroot = 'foo';
+ * bldConfig.validate();
+ * // Throws:
+ * // Invalid build config:
+ * //   - paths.srcroot: Unknown setting. Did you mean "srcRoot"?
+ *
+ * @param {string[]} [ignoredSections]  Names of config sections that may be
+ *                                      present without a declared schema.
+ *                                      (e.g. ones belonging to task groups
+ *                                      that have not been loaded)
+ *
+ * @throws {module:gulp-kitchen-sink/types/config-schema.ConfigValidationError}
+ *                                      If any problems were found.
+ */
+BuildConfig.prototype.validate = function(ignoredSections){
+  this._schema.assertValid(this, ignoredSections);
+};
+
+/**
+ * Returns the config for an individual action of a task group.
+ *
+ * Actions can have their own settings in the `actions` property of their
+ * group's config section. For example, `less.actions.hint` holds the
+ * settings of the LESS group's `hint` action. The following settings are
+ * supported:
+ *
+ * * `srcFiles`: The source globs, relative to the source root.
+ * * `bldDir`: The output directory, relative to the build root.
+ * * `options`: The plug-in options.
+ *
+ * Any setting that an action does not have falls back to the section's
+ * `srcFiles` and `bldDir` properties and, for the options, the section
+ * property named by `optionsKey`.
+ *
+ * @example
+ *
+ * bldConfig.less.srcFiles = 'less/main.less';
+ * bldConfig.less.actions.hint = {
+ *   srcFiles: 'less/**' + '/*.less'
+ * };
+ *
+ * bldConfig.actionConfig('less', 'hint', 'lessHintConfig').srcGlobs();
+ * // Returns: 'src/less/**' + '/*.less'
+ *
+ * bldConfig.actionConfig('less', 'build', 'lessConfig').srcGlobs();
+ * // Returns: 'src/less/main.less'
+ *
+ * @param {string} sectionName    The name of the group's config section (e.g. `'less'`).
+ * @param {string} actionName     The action's name (e.g. `'hint'`).
+ * @param {string} [optionsKey]   The name of the section property holding the plug-in
+ *                                options to fall back to (e.g. `'lessHintConfig'`).
+ *
+ * @returns {module:gulp-kitchen-sink/types/build-config.ActionConfig}
+ *                                The action's config.
+ */
+BuildConfig.prototype.actionConfig = function(sectionName, actionName, optionsKey){
+  const section = this[sectionName] || {};
+  const actionSettings = (section.actions && section.actions[actionName]) || {};
+
+  function setting(actionKey, sectionKey){
+    return actionSettings[actionKey] !== undefined ? actionSettings[actionKey] : section[sectionKey];
+  }
+
+  return new ActionConfig(
+    this,
+    setting('srcFiles', 'srcFiles'),
+    setting('bldDir', 'bldDir'),
+    optionsKey ? setting('options', optionsKey) : actionSettings.options
+  );
+};
+
+/**
+ * Checks whether this config is set to the production build mode.
+ *
+ * @returns {boolean}   True if the build mode is `'prod'`, false
+ *                      otherwise.
+ */
+BuildConfig.prototype.isProd = function(){
+  return this.mode === MODE_PROD;
+};
+
+/**
+ * Returns the build root directory for the current build mode.
+ *
+ * That is `paths.bldRootProd` in production mode and `paths.bldRootDev`
+ * otherwise.
+ *
+ * @returns {string}  The build root directory.
+ */
+BuildConfig.prototype.bldRoot = function(){
+  return this.isProd() ? this.paths.bldRootProd : this.paths.bldRootDev;
+};
+
+/**
+ * Returns plug-in options for the current build mode.
+ *
+ * Options objects may contain `dev` and/or `prod` properties, which hold
+ * options that only apply in that build mode. This method returns a copy
+ * of the options without those properties, which are instead merged over
+ * the top of the shared options, as per the current build mode.
+ *
+ * @example
+ *
+ * bldConfig.less.lessConfig = {
+ *   paths: ['includes'],
+ *   prod: { compress: true }
+ * };
+ *
+ * bldConfig.mode = 'prod';
+ * bldConfig.modeOptions(bldConfig.less.lessConfig);
+ * // Returns: { paths: ['includes'], compress: true }
+ *
+ * bldConfig.mode = 'dev';
+ * bldConfig.modeOptions(bldConfig.less.lessConfig);
+ * // Returns: { paths: ['includes'] }
+ *
+ * @param {Object} [options]    The plug-in options.
+ *
+ * @returns {Object}  The plug-in options for the current build mode.
+ */
+BuildConfig.prototype.modeOptions = function(options){
+  var resolved = {};
+  var key;
+  options = options || {};
+
+  for(key in options){
+    if(options.hasOwnProperty(key) && key !== MODE_DEV && key !== MODE_PROD){
+      resolved[key] = options[key];
+    }
+  }
+
+  const modeSpecific = options[this.mode];
+  if(modeSpecific){
+    for(key in modeSpecific){
+      if(modeSpecific.hasOwnProperty(key)){
+        resolved[key] = modeSpecific[key];
+      }
+    }
+  }
+
+  return resolved;
+};
+
 /**
  * Returns the source directory path (with a guaranteed trailing
  * slash) or appends a path to the source path.
@@ -179,19 +1015,53 @@ BuildConfig.prototype.srcPath = function(suffix){
   }
 };
 
+/**
+ * Returns all source root directories: the `paths.srcRoot` followed by
+ * any `paths.extraSrcRoots`.
+ *
+ * @example
+ *
+ * bldConfig.paths.srcRoot = 'src';
+ * bldConfig.paths.extraSrcRoots = ['shared/src'];
+ *
+ * bldConfig.srcRoots();
+ * // Returns: ['src', 'shared/src']
+ *
+ * @returns {string[]}  The de-duplicated source root directories.
+ */
+BuildConfig.prototype.srcRoots = function(){
+  const roots = [this.paths.srcRoot];
+  (this.paths.extraSrcRoots || []).forEach(function(root){
+    if(roots.indexOf(root) === -1){
+      roots.push(root);
+    }
+  });
+  return roots;
+};
+
 /**
  * Takes any number of glob patterns, relative to the source directory,
  * and returns them as a single array of full glob patterns.
  *
  * Accepts any number of glob strings and/or arrays of glob strings
  * as parameters. Each individual glob provided will be appended to the
- * source directory path (using srcPath()), so that the output contains
- * full path globs.
+ * source directory path, so that the output contains full path globs.
+ * Globs are treated as follows:
+ *
+ * * Negated globs (starting with `!`) keep their `!` prefix in front of
+ *   the full path, so that they continue to exclude files.
+ * * Absolute globs are used as they are.
+ * * Globs that go up the directory tree (e.g. `'../shared/*.less'`) are
+ *   resolved relative to the source directory, using Node's `path.join()`.
+ * * If `paths.extraSrcRoots` are set, relative globs are appended to each
+ *   of the {@link module:gulp-kitchen-sink/types/build-config#srcRoots|source roots}
+ *   in turn, so that files are looked for in all of them.
  *
  * The output will always be a single, de-duplicated array of glob strings
- * (or, if there is only one unique pattern, a glob string). This method is
- * therefore useful for creating (an arrays) globs to be used with Gulp
- * plug-ins like gulp.src().
+ * (or, if there is only one unique pattern, a glob string). The order of
+ * the globs is preserved, which matters to `gulp.src()` when mixing normal
+ * and negated globs. This method is therefore useful for creating (an arrays)
+ * globs to be used with Gulp plug-ins like gulp.src().
  *
  * @example <caption>No args or empty args</caption>
  *
@@ -234,6 +1104,20 @@ BuildConfig.prototype.srcPath = function(suffix){
  * // ]
  * // Note how 'foo/index.html' only appears once in the output!
  *
+ *
+ * @example <caption>Negated and absolute globs</caption>
+ *
+ * bldConfig.srcGlobs('less/**', '!less/vendor/**', '/opt/shared/*.less');
+ * // Returns ['foo/less/**', '!foo/less/vendor/**', '/opt/shared/*.less']
+ *
+ *
+ * @example <caption>Extra source roots</caption>
+ *
+ * bldConfig.paths.extraSrcRoots = ['bar'];
+ *
+ * bldConfig.srcGlobs('*.less', '!_*.less');
+ * // Returns ['foo/*.less', 'bar/*.less', '!foo/_*.less', '!bar/_*.less']
+ *
  * @param {...(string|string[])} [globs]
  *                    Any number of strings and/or arrays of strings, which
  *                    are each glob patterns relative to the source dir.
@@ -242,16 +1126,10 @@ BuildConfig.prototype.srcPath = function(suffix){
  *                    Either a single, de-duplicated array of full path glob
  *                    patterns, or if there is only one unique glob it is
  *                    returned as a string. If no or only empty globs were
- *                    provided, the source directory is returned.
+ *                    provided, the source directory (or directories) is returned.
  */
 BuildConfig.prototype.srcGlobs = function( /* glob strings and/or arrays */ ){
-  // If not suffixes were given, simply return
-  // the src path
-  if(arguments.length === 0){
-    return this.srcPath();
-  }
-
-  // Otherwise concatenate all args into a single,
+  // Concatenate all args into a single,
   // de-duplicated array of glob strings
   var globs = [];
   var i, j, arg;
@@ -279,24 +1157,46 @@ BuildConfig.prototype.srcGlobs = function( /* glob strings and/or arrays */ ){
     }
   }
 
-  // If combined args yielded an empty array,
-  // just return the src path
+  // If no globs were given, just use the
+  // src path(s)
   if(globs.length === 0){
-    return this.srcPath();
+    globs.push('');
   }
 
-  // Prepend the src root to each glob
-  globs = globs.map(function(suffix){
-    return this.srcPath(suffix);
-  }, this);
+  // Prepend the src roots to each glob
+  const roots = this.srcRoots();
+  const fullGlobs = [];
+  globs.forEach(function(glob){
+    const negated = glob.charAt(0) === '!';
+    const pattern = negated ? glob.substr(1) : glob;
+    var expanded;
+
+    if(path.isAbsolute(pattern)){
+      expanded = [pattern];
+    }
+    else{
+      expanded = roots.map(function(root){
+        return pattern ? path.join(root, pattern) : BuildConfig.addTrailingSlash(root);
+      });
+    }
+
+    expanded.forEach(function(fullGlob){
+      if(negated){
+        fullGlob = '!' + fullGlob;
+      }
+      if(fullGlobs.indexOf(fullGlob) === -1){
+        fullGlobs.push(fullGlob);
+      }
+    });
+  });
 
   // If there is only one glob, return
   // it as string...
-  if(globs.length === 1){
-    return globs[0];
+  if(fullGlobs.length === 1){
+    return fullGlobs[0];
   }
   else {
-    return globs;
+    return fullGlobs;
   }
 };
 
@@ -304,6 +1204,9 @@ BuildConfig.prototype.srcGlobs = function( /* glob strings and/or arrays */ ){
  * Returns the build directory path (with a guaranteed trailing
  * slash) or appends a path to the build path.
  *
+ * The build directory depends on the current build mode (see
+ * {@link module:gulp-kitchen-sink/types/build-config#bldRoot|bldRoot()}).
+ *
  * Note that this function uses Node's `path.join()`, so suffixes
  * that go up the directory tree will be processed relative to
  * the build directory path.
@@ -316,13 +1219,30 @@ BuildConfig.prototype.srcGlobs = function( /* glob strings and/or arrays */ ){
  */
 BuildConfig.prototype.bldPath = function(suffix){
   if(suffix){
-    return path.join(this.paths.bldRootDev, suffix);
+    return path.join(this.bldRoot(), suffix);
   }
   else{
-    return BuildConfig.addTrailingSlash(this.paths.bldRootDev);
+    return BuildConfig.addTrailingSlash(this.bldRoot());
   }
 };
 
+// Documenting callback used by tasks.nameFn
+/**
+ * Generates a Gulp task name.
+ *
+ * @callback taskNameFn
+ * @memberof module:gulp-kitchen-sink/types/build-config~
+ *
+ * @param {string|boolean} prefixName   The namespace prefix (`false` or an empty string
+ *                                      if there is none).
+ * @param {string} groupName            The task's group name.
+ * @param {string} actionName           The task's action name.
+ * @param {module:gulp-kitchen-sink/types/build-config} config
+ *                                      The build config the name is generated for.
+ *
+ * @returns {string}    The complete Gulp task name.
+ */
+
 /**
  * Creates a complete Gulp task name from a group name, action name and
  * optional prefix name.
@@ -336,6 +1256,28 @@ BuildConfig.prototype.bldPath = function(suffix){
  * this config object's default prefix (in tasks.defaultPrefixName
  * will be used). If that is blank, no prefix will be added.
  *
+ * The components are joined with this config object's tasks.separator
+ * (`:` by default).
+ *
+ * Alternatively, a custom naming function can be provided via the
+ * tasks.nameFn property. It is then used to generate all task names
+ * instead.
+ *
+ * @example <caption>Custom separators and naming functions</caption>
+ *
+ * bldConfig.createTaskName('less', 'build');
+ * // Returns: 'less:build'
+ *
+ * bldConfig.tasks.separator = '.';
+ * bldConfig.createTaskName('less', 'build');
+ * // Returns: 'less.build'
+ *
+ * bldConfig.tasks.nameFn = function(prefixName, groupName, actionName){
+ *   return actionName + '-' + groupName;
+ * };
+ * bldConfig.createTaskName('less', 'build');
+ * // Returns: 'build-less'
+ *
  * @param {string} groupName      The task's group name.
  * @param {string} actionName     The task's action name.
  * @param {string} [prefixName]   THe task's prefix name.
@@ -346,16 +1288,22 @@ BuildConfig.prototype.createTaskName = function(groupName, actionName, prefixNam
   // Fallback to default prefix name
   var prefix = prefixName || this.tasks.defaultPrefixName;
 
+  if( typeof this.tasks.nameFn === 'function' ){
+    return this.tasks.nameFn(prefix, groupName, actionName, this);
+  }
+
+  const separator = typeof this.tasks.separator === 'string' ? this.tasks.separator : TASK_NAME_SEPARATOR;
+
   var taskName;
   if( this.tasks.groupBeforeAction ){
-    taskName = groupName + TASK_NAME_SEPARATOR + actionName;
+    taskName = groupName + separator + actionName;
   }
   else{
-    taskName = actionName + TASK_NAME_SEPARATOR + groupName;
+    taskName = actionName + separator + groupName;
   }
 
   if(prefix){
-    taskName = prefix + TASK_NAME_SEPARATOR + taskName;
+    taskName = prefix + separator + taskName;
   }
 
   return taskName;
@@ -364,3 +1312,4 @@ BuildConfig.prototype.createTaskName = function(groupName, actionName, prefixNam
 
 
 module.exports = BuildConfig;
+module.exports.ActionConfig = ActionConfig;
@@ -0,0 +1,362 @@
+/**
+ * Module that exports a class for declaring and checking the expected
+ * structure of build config objects.
+ *
+ * @see module:gulp-kitchen-sink/types/config-schema
+ *
+ * @file
+ */
+"use strict";
+
+const util = require('util');
+
+const isPlainObject = require('../utils/objects').isPlainObject;
+
+
+/**
+ * The maximum number of "did you mean" suggestions given for an unknown key.
+ *
+ * @type {number}
+ * @default
+ *
+ * @memberof module:gulp-kitchen-sink/types/config-schema~
+ * @private
+ */
+const MAX_SUGGESTIONS = 3;
+
+
+// Returns the Levenshtein distance between two strings.
+function editDistance(a, b){
+  var prev = [], curr, i, j;
+  for(j=0; j<=b.length; ++j){
+    prev.push(j);
+  }
+  for(i=1; i<=a.length; ++i){
+    curr = [i];
+    for(j=1; j<=b.length; ++j){
+      curr.push(Math.min(
+        prev[j] + 1,
+        curr[j-1] + 1,
+        prev[j-1] + (a.charAt(i-1) === b.charAt(j-1) ? 0 : 1)
+      ));
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// Returns the candidates that are similar enough to the given
+// key to be worth suggesting, closest matches first.
+function suggest(key, candidates){
+  const lowerKey = key.toLowerCase();
+  const maxDistance = Math.max(2, Math.floor(key.length / 3));
+  return candidates
+    .map(function(candidate){
+      const lowerCandidate = candidate.toLowerCase();
+      return {
+        name: candidate,
+        distance: lowerCandidate === lowerKey ? 0 : editDistance(lowerKey, lowerCandidate)
+      };
+    })
+    .filter(function(match){
+      return match.distance <= maxDistance;
+    })
+    .sort(function(a, b){
+      return a.distance - b.distance;
+    })
+    .slice(0, MAX_SUGGESTIONS)
+    .map(function(match){
+      return match.name;
+    });
+}
+
+// Returns the schema type name of a value.
+function typeOf(value){
+  if(value === null){
+    return 'null';
+  }
+  if(value instanceof Array){
+    return 'array';
+  }
+  return typeof value;
+}
+
+// Joins a key onto a key path.
+function joinPath(keyPath, key){
+  return keyPath ? keyPath + '.' + key : key;
+}
+
+
+/**
+ * Constructs a config validation error.
+ *
+ * These are thrown by
+ * {@link module:gulp-kitchen-sink/types/config-schema#assertValid|assertValid()}
+ * and list every problem that was found, so that they can all be fixed in one go.
+ *
+ * @param {module:gulp-kitchen-sink/types/config-schema~problem[]} problems
+ *                              The problems that were found.
+ *
+ * @constructor
+ * @extends Error
+ *
+ * @alias module:gulp-kitchen-sink/types/config-schema.ConfigValidationError
+ */
+function ConfigValidationError(problems){
+  Error.call(this);
+  Error.captureStackTrace(this, ConfigValidationError);
+
+  /**
+   * The error's name.
+   *
+   * @member {string}
+   */
+  this.name = 'ConfigValidationError';
+
+  /**
+   * The problems that were found.
+   *
+   * @member {module:gulp-kitchen-sink/types/config-schema~problem[]}
+   */
+  this.problems = problems;
+
+  /**
+   * A description of all problems that were found.
+   *
+   * @member {string}
+   */
+  this.message = 'Invalid build config:\n' + problems.map(function(problem){
+    return '  - ' + problem.path + ': ' + problem.message;
+  }).join('\n');
+}
+util.inherits(ConfigValidationError, Error);
+
+
+/**
+ * Describes the expected value of a config setting.
+ *
+ * @typedef {Object} module:gulp-kitchen-sink/types/config-schema~schemaNode
+ *
+ * @property {string|string[]} [type]   The expected type(s): `'string'`, `'number'`,
+ *                                      `'boolean'`, `'object'`, `'array'`, `'function'`
+ *                                      or `'null'`. Any type is accepted, if omitted.
+ * @property {Array} [enum]             The allowed values.
+ * @property {Object.<string, module:gulp-kitchen-sink/types/config-schema~schemaNode>} [properties]
+ *                                      For objects, the schemas of their known properties.
+ * @property {boolean} [additionalProperties]
+ *                                      For objects, whether properties not listed in
+ *                                      `properties` are allowed. Defaults to `false` if
+ *                                      `properties` were given and `true` otherwise.
+ * @property {module:gulp-kitchen-sink/types/config-schema~schemaNode} [items]
+ *                                      For arrays, the schema of their items.
+ */
+
+/**
+ * A problem found while validating a build config.
+ *
+ * @typedef {Object} module:gulp-kitchen-sink/types/config-schema~problem
+ *
+ * @property {string} path      The key path of the offending setting (e.g. `'less.srcFiles'`).
+ * @property {string} message   A description of what is wrong.
+ */
+
+
+/**
+ * This module exports a config schema constructor.
+ *
+ * Config schemas describe the sections of a
+ * {@link module:gulp-kitchen-sink/types/build-config|build config} and the
+ * settings they may contain. They are used to catch typos and invalid values
+ * before any tasks run.
+ *
+ * Each top-level setting of a build config (usually a section like `paths` or
+ * `less`) is described by a {@link module:gulp-kitchen-sink/types/config-schema~schemaNode|schema node}.
+ * Task group modules can add schema nodes for their own config sections.
+ *
+ * @example <caption>Defining and checking a config section</caption>
+ *
+ * var schema = new (require('gulp-kitchen-sink/types/config-schema'))();
+ *
+ * schema.define('paths', {
+ *   type: 'object',
+ *   properties: {
+ *     srcRoot: { type: 'string' }
+ *   }
+ * });
+ *
+ * schema.validate({ paths: { srcroot: 'foo' } });
+ * // Returns: [{ path: 'paths.srcroot', message: 'Unknown setting. Did you mean "srcRoot"?' }]
+ *
+ * @constructor
+ *
+ * @exports gulp-kitchen-sink/types/config-schema
+ */
+function ConfigSchema(){
+
+  /**
+   * The schema nodes for each top-level config setting.
+   *
+   * @member {Object.<string, module:gulp-kitchen-sink/types/config-schema~schemaNode>}
+   */
+  this.sections = {};
+}
+
+/**
+ * Defines the schema of a top-level config setting (usually a config
+ * section).
+ *
+ * If that setting already had a schema, it will be replaced.
+ *
+ * @param {string} sectionName    The setting's name (e.g. `'less'`).
+ * @param {module:gulp-kitchen-sink/types/config-schema~schemaNode} schemaNode
+ *                                The setting's schema.
+ */
+ConfigSchema.prototype.define = function(sectionName, schemaNode){
+  this.sections[sectionName] = schemaNode;
+};
+
+/**
+ * Checks the given config values against this schema.
+ *
+ * Top-level settings that have no schema are reported as unknown, unless
+ * their names are amongst the `ignoredSections`. This is useful for sections
+ * belonging to task groups that have not been loaded, and whose schemas are
+ * therefore not yet known.
+ *
+ * @param {Object} values               The config values to check.
+ * @param {string[]} [ignoredSections]  Names of top-level settings that may
+ *                                      be present without a schema.
+ *
+ * @returns {module:gulp-kitchen-sink/types/config-schema~problem[]}
+ *                            The problems that were found. Empty if the values
+ *                            are valid.
+ */
+ConfigSchema.prototype.validate = function(values, ignoredSections){
+  const problems = [];
+  const sectionNames = Object.keys(this.sections);
+  ignoredSections = ignoredSections || [];
+
+  var key, suggestions;
+  for(key in values){
+    if(!values.hasOwnProperty(key) || typeof values[key] === 'function'){
+      continue;
+    }
+    if(this.sections.hasOwnProperty(key)){
+      this._validateNode(this.sections[key], values[key], key, problems);
+    }
+    else if(ignoredSections.indexOf(key) === -1){
+      suggestions = suggest(key, sectionNames.concat(ignoredSections));
+      problems.push(ConfigSchema._unknownKeyProblem(key, suggestions));
+    }
+  }
+  return problems;
+};
+
+/**
+ * Checks the given config values against this schema and throws an error
+ * if there are any problems.
+ *
+ * @param {Object} values               The config values to check.
+ * @param {string[]} [ignoredSections]  Names of top-level settings that may
+ *                                      be present without a schema.
+ *
+ * @throws {module:gulp-kitchen-sink/types/config-schema.ConfigValidationError}
+ *                                      If any problems were found.
+ */
+ConfigSchema.prototype.assertValid = function(values, ignoredSections){
+  const problems = this.validate(values, ignoredSections);
+  if(problems.length > 0){
+    throw new ConfigValidationError(problems);
+  }
+};
+
+/**
+ * Recursively checks a value against a schema node, adding any problems
+ * to the given array.
+ *
+ * @param {module:gulp-kitchen-sink/types/config-schema~schemaNode} node
+ *                              The schema node to check against.
+ * @param {*} value             The value to check.
+ * @param {string} keyPath      The key path of the value.
+ * @param {module:gulp-kitchen-sink/types/config-schema~problem[]} problems
+ *                              The array to add problems to.
+ *
+ * @private
+ */
+ConfigSchema.prototype._validateNode = function(node, value, keyPath, problems){
+  // Type check
+  if(node.type){
+    const types = [].concat(node.type);
+    const actualType = typeOf(value);
+    if(types.indexOf(actualType) === -1){
+      problems.push({
+        path: keyPath,
+        message: 'Expected ' + types.join(' or ') + ', but got ' + actualType + '.'
+      });
+      return;
+    }
+  }
+
+  // Allowed values
+  if(node.enum && node.enum.indexOf(value) === -1){
+    problems.push({
+      path: keyPath,
+      message: 'Invalid value ' + JSON.stringify(value) + '. Expected one of: ' +
+        node.enum.map(function(allowed){ return JSON.stringify(allowed); }).join(', ') + '.'
+    });
+    return;
+  }
+
+  var key, i;
+
+  // Object properties
+  if(node.properties && isPlainObject(value)){
+    const knownKeys = Object.keys(node.properties);
+    const allowAdditional = node.additionalProperties === true;
+    for(key in value){
+      if(!value.hasOwnProperty(key)){
+        continue;
+      }
+      if(node.properties.hasOwnProperty(key)){
+        this._validateNode(node.properties[key], value[key], joinPath(keyPath, key), problems);
+      }
+      else if(!allowAdditional){
+        problems.push(ConfigSchema._unknownKeyProblem(joinPath(keyPath, key), suggest(key, knownKeys)));
+      }
+    }
+  }
+
+  // Array items
+  if(node.items && value instanceof Array){
+    for(i=0; i<value.length; ++i){
+      this._validateNode(node.items, value[i], keyPath + '[' + i + ']', problems);
+    }
+  }
+};
+
+/**
+ * Creates a problem object for an unknown key.
+ *
+ * @param {string} keyPath          The unknown key's path.
+ * @param {string[]} suggestions    Known keys with similar names.
+ *
+ * @returns {module:gulp-kitchen-sink/types/config-schema~problem}  The problem.
+ *
+ * @private
+ */
+ConfigSchema._unknownKeyProblem = function(keyPath, suggestions){
+  var message = 'Unknown setting.';
+  if(suggestions.length > 0){
+    message += ' Did you mean ' + suggestions.map(function(suggestion){
+      return '"' + suggestion + '"';
+    }).join(' or ') + '?';
+  }
+  return {
+    path: keyPath,
+    message: message
+  };
+};
+
+
+module.exports = ConfigSchema;
+module.exports.ConfigValidationError = ConfigValidationError;
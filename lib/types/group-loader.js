@@ -8,6 +8,8 @@
 const fs = require('fs');
 const path = require('path');
 
+const groupPackages = require('../utils/group-packages');
+
 /**
  * The default task group modules directory.
  *
@@ -18,6 +20,16 @@ const path = require('path');
  */
 const TASK_MODULES_DIR = path.join(__dirname, '../tasks/');
 
+/**
+ * The version of this package, which task group packages are checked against.
+ *
+ * @type {string}
+ * @inner
+ * @private
+ * @memberof module:gulp-kitchen-sink/types/group-loader
+ */
+const KITCHEN_SINK_VERSION = require('../../package.json').version;
+
 /**
  * A regex patterns that matches valid task group module
  * filenames.
@@ -34,6 +46,30 @@ const TASK_MODULES_DIR = path.join(__dirname, '../tasks/');
  */
 const TASK_MODULE_REGEX = /^(\w+)\-tasks\.js$/;
 
+// Returns the group names of the task group modules in a directory
+function listModules(dir){
+  var groupNames = [];
+  var files = fs.readdirSync(dir);
+  var file, matches;
+  for(var i=0; i<files.length; ++i){
+    file = files[i];
+    if( (matches = file.match(TASK_MODULE_REGEX)) !== null ){
+      groupNames.push(matches[1]); // 1st matching group is task group name
+    }
+  }
+  return groupNames;
+}
+
+// Checks if a path exists and is a directory
+function isDirectory(dir){
+  try{
+    return fs.statSync(dir).isDirectory();
+  }
+  catch(e){
+    return false;
+  }
+}
+
 /**
  * This module exports a task group loader constructor.
  *
@@ -50,6 +86,20 @@ const TASK_MODULE_REGEX = /^(\w+)\-tasks\.js$/;
  * * Have a filename in the form: `[groupName]-tasks.js`.
  * * Export a {@link tasksModuleFn|task module function}.
  *
+ * Additional task group modules can be added via
+ * {@link module:gulp-kitchen-sink/types/group-loader#addModulesDir|addModulesDir()}
+ * (for directories of task group modules) and
+ * {@link module:gulp-kitchen-sink/types/group-loader#addTaskGroupModule|addTaskGroupModule()}
+ * (for task module functions, e.g. ones defined in a gulpfile). If several
+ * task group modules have the same group name, the first one found in this order
+ * is used:
+ *
+ * 1. Task module functions added via `addTaskGroupModule()`.
+ * 2. The directories added via `addModulesDir()`, in the order they were added.
+ * 3. The loader's `modulesDir`.
+ * 4. Installed packages found via
+ *    {@link module:gulp-kitchen-sink/types/group-loader#addPackagesDir|addPackagesDir()}.
+ *
  * The group loader will lazily load task groups when you use its
  * {@link module:gulp-kitchen-sink/types/group-loader#getTaskGroup|getTaskGroup()}
  * method. This is to prevent unnecessarily loading task group modules,
@@ -74,6 +124,45 @@ function GroupLoader(gulp, config, modulesDir){
   this.config = config;
   this.modulesDir = modulesDir || TASK_MODULES_DIR;
   this._taskGroups = {};
+
+  // Additional directories to look for task group modules in,
+  // in order of precedence
+  this._extraModulesDirs = [];
+
+  // Task module functions that were added directly, keyed by group name
+  this._inlineModules = {};
+
+  // The names of the task group modules in each modules directory,
+  // keyed by directory (which are only read once)
+  this._moduleListings = {};
+
+  // The directory to look for task group packages from, whether to
+  // look in its ancestors too and the packages that were found there
+  // (which are looked for lazily)
+  this._packagesDir = null;
+  this._packagesInAncestors = false;
+  this._packageGroups = null;
+
+  // The names of package task groups that were already checked for
+  // compatibility problems
+  this._checkedPackageGroups = [];
+
+  // Maps the names of the tasks that were added to Gulp via this
+  // loader to the group and action names they were created from.
+  this._registeredTasks = {};
+
+  /**
+   * A function that receives the reports of the task groups loaded via this
+   * loader (see {@link module:gulp-kitchen-sink/types/task-group#report|GulpTaskGroup#report()})
+   * while their tasks run, or `null` to ignore them.
+   *
+   * It is passed the task name, the type of report and its details. Warnings
+   * about the loader's own problems, such as incompatible task group packages,
+   * are passed to it as well, with a `null` task name.
+   *
+   * @member {?function(string, string, (string|Error))}
+   */
+  this.reportFn = null;
 }
 
 /**
@@ -93,6 +182,200 @@ GroupLoader.prototype._createModuleName = function(groupName){
   return this.modulesDir + groupName + '-tasks';
 };
 
+/**
+ * Adds a directory to look for task group modules in.
+ *
+ * Task group modules in this directory take precedence over those in
+ * directories added later and in the loader's `modulesDir`. Task groups
+ * that were already loaded are not affected.
+ *
+ * @param {string} dir  The directory.
+ *
+ * @throws {Error}      If the directory does not exist.
+ */
+GroupLoader.prototype.addModulesDir = function(dir){
+  if(!isDirectory(dir)){
+    throw new Error('Cannot add the task group modules directory "' + dir + '": It does not exist.');
+  }
+  if(this._extraModulesDirs.indexOf(dir) === -1){
+    this._extraModulesDirs.push(dir);
+  }
+};
+
+/**
+ * Adds a task group module from a task module function, such as one created
+ * via {@link module:gulp-kitchen-sink/types/task-group.createTasksModule|createTasksModule()}.
+ *
+ * This takes precedence over any task group module with the same name in the
+ * loader's module directories.
+ *
+ * @example <caption>Adding a task group defined in a gulpfile</caption>
+ *
+ * loader.addTaskGroupModule('docs', GulpTaskGroup.createTasksModule('docs', function(tasks, gulp){
+ *   tasks.addAction('build', function(){
+ *     // ...
+ *   });
+ * }));
+ *
+ * @param {string} groupName    The task group's name.
+ * @param {tasksModuleFn} tasksModuleFn
+ *                              The task module function that creates the task group.
+ *
+ * @throws {Error}              If `tasksModuleFn` is not a function or a task group
+ *                              with that name was already loaded.
+ */
+GroupLoader.prototype.addTaskGroupModule = function(groupName, tasksModuleFn){
+  if(typeof tasksModuleFn !== 'function'){
+    throw new Error('Cannot add the "' + groupName + '" task group: Task group modules must be task module functions (see createTasksModule()).');
+  }
+  if(this._taskGroups[groupName]){
+    throw new Error('Cannot add the "' + groupName + '" task group: A task group with that name was already loaded.');
+  }
+  this._inlineModules[groupName] = tasksModuleFn;
+};
+
+/**
+ * Returns the names of the task group modules in a modules directory.
+ *
+ * Each directory is only read once, since this is needed whenever the
+ * available task groups are listed or a task group is looked up.
+ *
+ * @param {string} dir    The modules directory.
+ *
+ * @returns {string[]}    The task group names.
+ *
+ * @private
+ */
+GroupLoader.prototype._listModules = function(dir){
+  if(!this._moduleListings.hasOwnProperty(dir)){
+    this._moduleListings[dir] = listModules(dir);
+  }
+  return this._moduleListings[dir];
+};
+
+/**
+ * Makes task groups from installed packages available.
+ *
+ * Packages are looked for in the `node_modules` directory of `dir` (and, if
+ * requested, those of its ancestors; see
+ * {@link module:gulp-kitchen-sink/utils/group-packages.findGroupPackages|findGroupPackages()}),
+ * the first time they are needed. They are only looked for once. Their task
+ * group modules are only loaded when the task groups are requested.
+ *
+ * Packages can declare which versions of `gulp-kitchen-sink` they work with
+ * via a peer dependency. If a package's task group is loaded and the package
+ * does not work with this version, a warning is printed.
+ *
+ * @param {string} dir  The directory to start looking in (usually the project's
+ *                      root directory).
+ * @param {boolean} [includeAncestors=false]
+ *                      Whether to look in the `node_modules` directories of the
+ *                      directory's ancestors as well.
+ */
+GroupLoader.prototype.addPackagesDir = function(dir, includeAncestors){
+  this._packagesDir = dir;
+  this._packagesInAncestors = !!includeAncestors;
+  this._packageGroups = null;
+};
+
+/**
+ * Returns the task groups provided by installed packages (see
+ * {@link module:gulp-kitchen-sink/types/group-loader#addPackagesDir|addPackagesDir()}).
+ *
+ * @returns {Array.<module:gulp-kitchen-sink/utils/group-packages~groupPackage>}
+ *                  The task group packages. Each has an additional `problem`
+ *                  property, which describes any compatibility problem
+ *                  (or is `null`).
+ */
+GroupLoader.prototype.groupPackages = function(){
+  const groups = this._findGroupPackages();
+  return Object.keys(groups).map(function(groupName){
+    const group = Object.assign({}, groups[groupName]);
+    group.problem = groupPackages.checkCompatibility(group, KITCHEN_SINK_VERSION);
+    return group;
+  });
+};
+
+/**
+ * Returns the task groups provided by installed packages, looking for them
+ * if that has not been done yet.
+ *
+ * @returns {Object.<string, module:gulp-kitchen-sink/utils/group-packages~groupPackage>}
+ *                  The task group packages, keyed by group name.
+ *
+ * @private
+ */
+GroupLoader.prototype._findGroupPackages = function(){
+  if(!this._packagesDir){
+    return {};
+  }
+  if(!this._packageGroups){
+    this._packageGroups = groupPackages.findGroupPackages(this._packagesDir, this._packagesInAncestors);
+  }
+  return this._packageGroups;
+};
+
+/**
+ * Returns where the module of a task group comes from.
+ *
+ * This is useful for finding out which of several task group modules with
+ * the same name is used (see the precedence rules above).
+ *
+ * @param {string} groupName  The task group's name.
+ *
+ * @returns {?string}   `'inline'` for task module functions added via
+ *                      {@link module:gulp-kitchen-sink/types/group-loader#addTaskGroupModule|addTaskGroupModule()},
+ *                      otherwise the path of the task group module. `null` if
+ *                      there is no task group module with that name.
+ */
+GroupLoader.prototype.taskGroupSource = function(groupName){
+  if(this._inlineModules.hasOwnProperty(groupName)){
+    return 'inline';
+  }
+  const dirs = this._extraModulesDirs;
+  var i;
+  for(i=0; i<dirs.length; ++i){
+    if(this._listModules(dirs[i]).indexOf(groupName) !== -1){
+      return path.join(dirs[i], groupName + '-tasks.js');
+    }
+  }
+  if(this._listModules(this.modulesDir).indexOf(groupName) !== -1){
+    return this._createModuleName(groupName) + '.js';
+  }
+  const packages = this._findGroupPackages();
+  if(packages.hasOwnProperty(groupName)){
+    return packages[groupName].modulePath;
+  }
+  return null;
+};
+
+/**
+ * Returns the task module function for a task group name.
+ *
+ * @param {string} groupName  The task group's name.
+ *
+ * @returns {tasksModuleFn}   The task module function.
+ *
+ * @private
+ */
+GroupLoader.prototype._tasksModuleFn = function(groupName){
+  const source = this.taskGroupSource(groupName);
+  if(source === 'inline'){
+    return this._inlineModules[groupName];
+  }
+
+  const packages = this._findGroupPackages();
+  if(packages.hasOwnProperty(groupName) && packages[groupName].modulePath === source &&
+     this._checkedPackageGroups.indexOf(groupName) === -1){
+    this._checkedPackageGroups.push(groupName);
+    const problem = groupPackages.checkCompatibility(packages[groupName], KITCHEN_SINK_VERSION);
+    if(problem && this.reportFn){
+      this.reportFn(null, 'warning', problem);
+    }
+  }
+  return require(source);
+};
+
 /**
  * Returns a task group, loading it from its module if required.
  *
@@ -104,15 +387,290 @@ GroupLoader.prototype._createModuleName = function(groupName){
  * @param {string} groupName  The name of the task group to load.
  *
  * @returns {module:gulp-kitchen-sink/types/task-group}  The requested task group object.
+ *
+ * @throws {Error}  If there is no task group with that name.
  */
 GroupLoader.prototype.taskGroup = function(groupName){
   var taskGroup = this._taskGroups[groupName];
   if(!taskGroup){
-    taskGroup = this._taskGroups[groupName] = require(this._createModuleName(groupName))(this.gulp, groupName, this.config, true);
+    this._assertTaskGroup(groupName);
+    taskGroup = this._taskGroups[groupName] = this._tasksModuleFn(groupName)(this.gulp, groupName, this.config, true);
+    taskGroup.loader = this;
   }
   return taskGroup;
 };
 
+/**
+ * Creates an additional, independently named instance of a task group.
+ *
+ * This allows the same task group module to be used several times with
+ * different settings. The new task group will be named `instanceName` (so
+ * its tasks will be named accordingly, e.g. `theme-a:build`) and will use
+ * the given build config. Once created, it is cached like any other task
+ * group, so it can be retrieved by passing its instance name to
+ * {@link module:gulp-kitchen-sink/types/group-loader#taskGroup|taskGroup()}.
+ *
+ * @param {string} groupName      The name of the task group module to use.
+ * @param {string} instanceName   The name of the new task group instance.
+ * @param {module:gulp-kitchen-sink/types/build-config} [config]
+ *                                The build config to pass to the new task group.
+ *                                Defaults to this loader's config.
+ *
+ * @returns {module:gulp-kitchen-sink/types/task-group}  The new task group.
+ *
+ * @throws {Error}  If there is no task group module with the given group name or
+ *                  if a task group with the instance name already exists.
+ */
+GroupLoader.prototype.addTaskGroupInstance = function(groupName, instanceName, config){
+  this._assertTaskGroup(groupName);
+  if(this._taskGroups[instanceName] || this.availableTaskGroups().indexOf(instanceName) !== -1){
+    throw new Error('Cannot create task group instance "' + instanceName + '": A task group with that name already exists.');
+  }
+  const taskGroup = this._taskGroups[instanceName] = this._tasksModuleFn(groupName)(this.gulp, instanceName, config || this.config, true);
+  taskGroup.loader = this;
+  return taskGroup;
+};
+
+/**
+ * Passes a task group to a function that can change its actions, before any
+ * of them are added to Gulp.
+ *
+ * The function can add new actions, replace existing ones (by adding an action
+ * with the same name) or wrap them (see
+ * {@link module:gulp-kitchen-sink/types/task-group#wrapAction|wrapAction()}).
+ * Their task names and dependencies are resolved just like those of the task
+ * group's own actions.
+ *
+ * @param {string} groupName    The name of the task group to extend.
+ * @param {module:gulp-kitchen-sink/types/task-group~addActionsFn} extendFn
+ *                              The function to pass the task group (and this
+ *                              loader's Gulp instance) to.
+ *
+ * @returns {module:gulp-kitchen-sink/types/task-group}  The task group.
+ *
+ * @throws {Error}  If there is no task group with that name or some of its
+ *                  tasks were already added to Gulp via this loader.
+ */
+GroupLoader.prototype.extendTaskGroup = function(groupName, extendFn){
+  const taskGroup = this.taskGroup(groupName);
+  const loadedTasks = this.registeredTasks().filter(function(taskName){
+    return this._registeredTasks[taskName].groupName === groupName;
+  }, this);
+
+  if(loadedTasks.length > 0){
+    throw new Error(
+      'Cannot extend the "' + groupName + '" task group, since some of its tasks were already added to Gulp: ' +
+      loadedTasks.join(', ') + '. Extend task groups before adding their tasks.'
+    );
+  }
+  extendFn(taskGroup, this.gulp);
+  return taskGroup;
+};
+
+/**
+ * Loads an action from a task group and adds it to Gulp's tasks, along with
+ * all actions it (transitively) depends on.
+ *
+ * Dependencies on actions in other task groups are loaded too, so that
+ * Gulp will find all of the task's dependencies when it runs. Dependencies
+ * that were already added via this loader are not added again.
+ *
+ * The generated task names are first checked against the names of all tasks
+ * previously added via this loader. If a different action already has the
+ * same task name (which can happen with some task naming settings), an error
+ * is thrown instead of silently replacing that task.
+ *
+ * @param {string} groupName    The name of the task group.
+ * @param {string} actionName   The name of the action to add as a task.
+ *
+ * @returns {string}  The name of the task that was added to Gulp. Use
+ *                    {@link module:gulp-kitchen-sink/types/group-loader#registeredTasks|registeredTasks()}
+ *                    to get the names of all tasks, including dependencies.
+ *
+ * @throws {Error}    If there is no such task group or action, or if the task
+ *                    name collides with that of another action.
+ */
+GroupLoader.prototype.loadTask = function(groupName, actionName){
+  const taskGroup = this.taskGroup(groupName);
+  const deps = taskGroup.getActionDeps(actionName);
+  const taskName = taskGroup.taskName(actionName);
+  this._checkTaskName(taskName, groupName, actionName);
+
+  // Register the task before loading its dependencies, so that
+  // circular dependencies don't cause endless recursion
+  this._registeredTasks[taskName] = {groupName: groupName, actionName: actionName};
+
+  try{
+    // Add the dependencies to Gulp first, since Gulp 4 needs
+    // them to exist when composing them
+    deps.forEach(function(dep){
+      if(!this._isLoaded(dep.groupName, dep.actionName)){
+        this.loadTask(dep.groupName, dep.actionName);
+      }
+    }, this);
+
+    taskGroup.loadTaskOnly(actionName, this.gulp);
+  }
+  catch(e){
+    // Don't leave a half-loaded task behind, so that it can be loaded again
+    delete this._registeredTasks[taskName];
+    throw e;
+  }
+  return taskName;
+};
+
+/**
+ * Checks if an action has already been added to Gulp via this loader.
+ *
+ * @param {string} groupName    The name of the action's task group.
+ * @param {string} actionName   The action's name.
+ *
+ * @returns {boolean}   True if the action's task was added.
+ *
+ * @private
+ */
+GroupLoader.prototype._isLoaded = function(groupName, actionName){
+  var taskName;
+  for(taskName in this._registeredTasks){
+    if(this._registeredTasks[taskName].groupName === groupName &&
+       this._registeredTasks[taskName].actionName === actionName){
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Loads all actions from a task group and adds them to Gulp's tasks.
+ *
+ * All task names are checked for collisions (see
+ * {@link module:gulp-kitchen-sink/types/group-loader#loadTask|loadTask()})
+ * before any of them are added.
+ *
+ * @param {string} groupName    The name of the task group.
+ *
+ * @returns {string[]}  The names of the tasks that were added to Gulp.
+ *
+ * @throws {Error}      If a task name collides with that of another action.
+ */
+GroupLoader.prototype.loadAllTasks = function(groupName){
+  const taskGroup = this.taskGroup(groupName);
+  const actionNames = taskGroup.getActions();
+  const claimed = {};
+  var i, taskName;
+
+  // Check every name before adding anything to Gulp
+  for(i=0; i<actionNames.length; ++i){
+    taskName = taskGroup.taskName(actionNames[i]);
+    this._checkTaskName(taskName, groupName, actionNames[i]);
+    if(claimed.hasOwnProperty(taskName)){
+      throw GroupLoader._collisionError(taskName, {groupName: groupName, actionName: claimed[taskName]}, groupName, actionNames[i]);
+    }
+    claimed[taskName] = actionNames[i];
+  }
+
+  const taskNames = [];
+  for(i=0; i<actionNames.length; ++i){
+    taskNames.push(this.loadTask(groupName, actionNames[i]));
+  }
+  return taskNames;
+};
+
+/**
+ * Returns the names of all tasks that were added to Gulp via this loader.
+ *
+ * @returns {string[]}  The task names.
+ */
+GroupLoader.prototype.registeredTasks = function(){
+  return Object.keys(this._registeredTasks);
+};
+
+/**
+ * Returns the group and action names of the action that a task was
+ * added to Gulp for via this loader.
+ *
+ * @param {string} taskName   The task name.
+ *
+ * @returns {?{groupName: string, actionName: string}}
+ *                            The task's group and action names, or `null` if no task
+ *                            with that name was added via this loader.
+ */
+GroupLoader.prototype.taskOwner = function(taskName){
+  return this._registeredTasks[taskName] || null;
+};
+
+/**
+ * Checks if a task group exists, i.e. if it has either been loaded already
+ * or is available as a task group module.
+ *
+ * @param {string} groupName  The task group name to check.
+ *
+ * @returns {boolean}         True if the task group exists.
+ */
+GroupLoader.prototype.hasTaskGroup = function(groupName){
+  return this._taskGroups.hasOwnProperty(groupName) || this.availableTaskGroups().indexOf(groupName) !== -1;
+};
+
+/**
+ * Throws an error if a task group does not exist.
+ *
+ * @param {string} groupName  The task group name to check.
+ *
+ * @throws {Error}  If there is no task group with that name.
+ *
+ * @private
+ */
+GroupLoader.prototype._assertTaskGroup = function(groupName){
+  if(!this.hasTaskGroup(groupName)){
+    throw new Error(
+      'Unknown task group "' + groupName + '". Available task groups: ' +
+      this.availableTaskGroups().concat(this.loadedTaskGroups()).filter(function(name, i, names){
+        return names.indexOf(name) === i;
+      }).join(', ')
+    );
+  }
+};
+
+/**
+ * Throws an error if a task name was already added to Gulp for
+ * a different action.
+ *
+ * @param {string} taskName     The task name to check.
+ * @param {string} groupName    The name of the group that the task would be added for.
+ * @param {string} actionName   The name of the action that the task would be added for.
+ *
+ * @throws {Error}  If the task name collides with that of another action.
+ *
+ * @private
+ */
+GroupLoader.prototype._checkTaskName = function(taskName, groupName, actionName){
+  const owner = this._registeredTasks[taskName];
+  if(owner && (owner.groupName !== groupName || owner.actionName !== actionName)){
+    throw GroupLoader._collisionError(taskName, owner, groupName, actionName);
+  }
+};
+
+/**
+ * Creates an error describing a task name collision.
+ *
+ * @param {string} taskName     The colliding task name.
+ * @param {Object} owner        The group and action names of the action that
+ *                              already uses the task name.
+ * @param {string} groupName    The name of the group whose action collided.
+ * @param {string} actionName   The name of the action that collided.
+ *
+ * @returns {Error}   The error.
+ *
+ * @private
+ */
+GroupLoader._collisionError = function(taskName, owner, groupName, actionName){
+  return new Error(
+    'Task name collision: "' + taskName + '" is generated for both the "' + owner.actionName +
+    '" action of the "' + owner.groupName + '" task group and the "' + actionName +
+    '" action of the "' + groupName + '" task group. Check your task naming settings.'
+  );
+};
+
 /**
  * Returns the names of all task groups that have been loaded.
  *
@@ -125,9 +683,11 @@ GroupLoader.prototype.loadedTaskGroups = function(){
 /**
  * Lists the names of all available task group modules.
  *
- * This method will scan the task module directory for JS files
+ * This method will scan the task module directories for JS files
  * whose names are in the form: `[groupName]-tasks.js` and
- * return their `groupName` portions.
+ * return their `groupName` portions, along with the names of any
+ * task module functions that were added directly and of any task
+ * groups provided by installed packages.
  *
  * This function will *not* attempt to load any of the modules.
  * To do that you must use
@@ -139,15 +699,16 @@ GroupLoader.prototype.loadedTaskGroups = function(){
  * @returns {string[]}  The names of all available task group modules.
  */
 GroupLoader.prototype.availableTaskGroups = function(){
-  var groupNames = [];
-  var files = fs.readdirSync(this.modulesDir);
-  var file, matches;
-  for(var i=0; i<files.length; ++i){
-    file = files[i];
-    if( (matches = file.match(TASK_MODULE_REGEX)) !== null ){
-      groupNames.push(matches[1]); // 1st matching group is task group name
+  var groupNames = Object.keys(this._inlineModules);
+  const addGroupName = function(groupName){
+    if(groupNames.indexOf(groupName) === -1){
+      groupNames.push(groupName);
     }
-  }
+  };
+  this._extraModulesDirs.concat(this.modulesDir).forEach(function(dir){
+    this._listModules(dir).forEach(addGroupName);
+  }, this);
+  Object.keys(this._findGroupPackages()).forEach(addGroupName);
   return groupNames;
 };
 
@@ -0,0 +1,215 @@
+/**
+ * Module that exports a class for logging the events of kitchen sinks
+ * (see {@link module:gulp-kitchen-sink~KitchenSink}) as text or JSON lines.
+ *
+ * @see module:gulp-kitchen-sink/types/logger
+ *
+ * @file
+ */
+"use strict";
+
+
+/**
+ * The log levels, from least to most detailed.
+ *
+ * @type {string[]}
+ * @inner
+ * @private
+ * @memberof module:gulp-kitchen-sink/types/logger
+ */
+const LEVELS = ['silent', 'info', 'verbose', 'debug'];
+
+/**
+ * The log level of each kitchen sink event.
+ *
+ * Task errors are only logged at the info level if they happened during
+ * {@link module:gulp-kitchen-sink~KitchenSink#run|KitchenSink#run()}. When Gulp
+ * runs the tasks, it already prints their errors itself.
+ *
+ * @type {Object.<string, string>}
+ * @inner
+ * @private
+ * @memberof module:gulp-kitchen-sink/types/logger
+ */
+const EVENT_LEVELS = {
+  taskError:  'verbose',
+  warning:    'info',
+  info:       'info',
+  taskStart:  'verbose',
+  taskEnd:    'verbose',
+  file:       'debug'
+};
+
+/**
+ * How files are described in text log messages, by the stage they are at.
+ *
+ * @type {Object.<string, string>}
+ * @inner
+ * @private
+ * @memberof module:gulp-kitchen-sink/types/logger
+ */
+const FILE_VERBS = {
+  read:       'Read',
+  processed:  'Processing',
+  written:    'Wrote'
+};
+
+
+/**
+ * This module exports a logger constructor.
+ *
+ * Loggers write the events of kitchen sinks to the console (or any other
+ * output), depending on the `log` settings of a build config:
+ *
+ * * `level`: How much to log. At the `info` level, messages (such as what
+ *   tasks would do in dry runs), warnings and errors are logged. The `verbose` level adds when tasks start and end and the `debug`
+ *   level adds every file that tasks read, process or write. The `silent`
+ *   level logs nothing.
+ * * `format`: Either `text`, for human-readable lines, or `json`, for one JSON
+ *   object per line (e.g. for CI systems to parse).
+ *
+ * The settings are looked up whenever an event is logged, so they can still be
+ * changed after the logger was created.
+ *
+ * @example <caption>Logging a kitchen sink's events</caption>
+ *
+ * const Logger = require('gulp-kitchen-sink/types/logger');
+ *
+ * new Logger(kitchenSink.config).attach(kitchenSink);
+ *
+ *
+ * @param {module:gulp-kitchen-sink/types/build-config} config
+ *                              The build config whose `log` settings to use.
+ * @param {function(string)} [write]
+ *                              The function that writes each line. Defaults to
+ *                              `console.log()`.
+ *
+ * @constructor
+ * @exports gulp-kitchen-sink/types/logger
+ */
+function Logger(config, write){
+
+  /**
+   * The build config whose `log` settings are used.
+   *
+   * @member {module:gulp-kitchen-sink/types/build-config}
+   */
+  this.config = config;
+
+  /**
+   * The function that writes each line.
+   *
+   * @member {function(string)}
+   */
+  this.write = write || function(line){
+    console.log(line);
+  };
+}
+
+/**
+ * The log levels, from least to most detailed.
+ *
+ * @type {string[]}
+ */
+Logger.LEVELS = LEVELS;
+
+/**
+ * Checks if events of a given level are logged with the current settings.
+ *
+ * @param {string} level    The level to check.
+ *
+ * @returns {boolean}       True if they are logged.
+ */
+Logger.prototype.isEnabled = function(level){
+  const maxLevel = LEVELS.indexOf(this.config.log.level);
+  return level !== 'silent' && LEVELS.indexOf(level) <= (maxLevel === -1 ? LEVELS.indexOf('info') : maxLevel);
+};
+
+/**
+ * Logs a kitchen sink event, if its level is enabled.
+ *
+ * (See {@link module:gulp-kitchen-sink/types/logger~EVENT_LEVELS|EVENT_LEVELS}
+ * for the level of each event.)
+ *
+ * @param {string} eventName    The event's name.
+ * @param {Object} event        The event object.
+ */
+Logger.prototype.log = function(eventName, event){
+  const level = eventName === 'taskError' && event.duringRun ? 'info' : EVENT_LEVELS[eventName] || 'info';
+  if(this.isEnabled(level)){
+    this.write(this.config.log.format === 'json' ?
+      this.formatJSON(level, eventName, event) :
+      this.formatText(eventName, event));
+  }
+};
+
+/**
+ * Formats a kitchen sink event as a line of human-readable text.
+ *
+ * @param {string} eventName    The event's name.
+ * @param {Object} event        The event object.
+ *
+ * @returns {string}            The text.
+ */
+Logger.prototype.formatText = function(eventName, event){
+  const prefix = event.taskName ? '[' + event.taskName + '] ' : '';
+  switch(eventName){
+    case 'taskStart':
+      return prefix + 'Started';
+    case 'taskEnd':
+      return prefix + (event.error ? 'Failed' : 'Finished') + ' after ' + event.duration + ' ms';
+    case 'file':
+      return prefix + (FILE_VERBS[event.stage] || event.stage) + ' ' + event.path;
+    case 'info':
+      return prefix + event.message;
+    case 'warning':
+      return prefix + 'Warning: ' + event.message;
+    case 'taskError':
+      return prefix + 'Error: ' + event.message;
+    default:
+      return prefix + eventName;
+  }
+};
+
+/**
+ * Formats a kitchen sink event as a line of JSON.
+ *
+ * The JSON object has the time, level and name of the event, followed by the
+ * event object's properties. Error objects are left out, since their messages
+ * are included already.
+ *
+ * @param {string} level        The event's log level.
+ * @param {string} eventName    The event's name.
+ * @param {Object} event        The event object.
+ *
+ * @returns {string}            The JSON.
+ */
+Logger.prototype.formatJSON = function(level, eventName, event){
+  const entry = {time: new Date().toISOString(), level: level, event: eventName};
+  Object.keys(event).forEach(function(key){
+    if(!(event[key] instanceof Error)){
+      entry[key] = event[key];
+    }
+  });
+  return JSON.stringify(entry);
+};
+
+/**
+ * Logs all events of a kitchen sink (or any other event emitter that emits
+ * the same events).
+ *
+ * @param {EventEmitter} emitter   The kitchen sink.
+ *
+ * @returns {module:gulp-kitchen-sink/types/logger}  This logger.
+ */
+Logger.prototype.attach = function(emitter){
+  Object.keys(EVENT_LEVELS).forEach(function(eventName){
+    emitter.on(eventName, function(event){
+      this.log(eventName, event);
+    }.bind(this));
+  }, this);
+  return this;
+};
+
+
+module.exports = Logger;
@@ -0,0 +1,145 @@
+/**
+ * Module that exports a class for collecting what tasks did while they
+ * ran: the files they read and wrote and the warnings and errors they
+ * reported.
+ *
+ * @see module:gulp-kitchen-sink/types/run-result
+ *
+ * @file
+ */
+"use strict";
+
+
+/**
+ * A warning or error that a task reported.
+ *
+ * @typedef {Object} module:gulp-kitchen-sink/types/run-result~problem
+ *
+ * @property {?string} taskName   The name of the task that reported it, or `null`
+ *                                if it is not known.
+ * @property {string} message     A description of the problem.
+ * @property {?Error} error       The error object, if there is one.
+ */
+
+
+/**
+ * This module exports a run result constructor.
+ *
+ * Run results are filled in from the reports of task groups (see
+ * {@link module:gulp-kitchen-sink/types/task-group#report|report()})
+ * while their tasks run. They are what
+ * {@link module:gulp-kitchen-sink~KitchenSink#run|KitchenSink#run()} resolves with.
+ *
+ * @constructor
+ * @exports gulp-kitchen-sink/types/run-result
+ */
+function RunResult(){
+
+  /**
+   * The names of the tasks that ran, in the order they started.
+   *
+   * @member {string[]}
+   */
+  this.tasks = [];
+
+  /**
+   * The paths of the source files that the tasks read.
+   *
+   * @member {string[]}
+   */
+  this.filesRead = [];
+
+  /**
+   * The paths of the files that the tasks wrote.
+   *
+   * @member {string[]}
+   */
+  this.filesWritten = [];
+
+  /**
+   * The warnings that the tasks reported, including tasks that were skipped.
+   *
+   * @member {module:gulp-kitchen-sink/types/run-result~problem[]}
+   */
+  this.warnings = [];
+
+  /**
+   * The errors that the tasks reported, including those that made them fail.
+   *
+   * @member {module:gulp-kitchen-sink/types/run-result~problem[]}
+   */
+  this.errors = [];
+}
+
+// Adds a value to an array, unless it already contains it
+function addOnce(values, value){
+  if(values.indexOf(value) === -1){
+    values.push(value);
+  }
+}
+
+/**
+ * Records something that a task reported.
+ *
+ * The report types are:
+ *
+ * * `start`: The task started. `detail` is ignored.
+ * * `end`: The task ended. `detail` is the error it failed with, if any (which
+ *   is also reported separately).
+ * * `fileRead`: The task read a source file. `detail` is its path.
+ * * `fileProcessed`: A file passed through the task's pipe. `detail` is its path.
+ * * `fileWritten`: The task wrote a file. `detail` is its path.
+ * * `info`: The task reported a message, e.g. what it would do in a dry run.
+ *   `detail` is the message.
+ * * `warning`: The task reported a warning. `detail` is its message.
+ * * `error`: The task reported an error. `detail` is either its message or
+ *   an `Error`.
+ *
+ * Reports of any other type are ignored, so that task groups can report
+ * more than this records.
+ *
+ * @param {?string} taskName          The name of the task, if known.
+ * @param {string} type               The type of report.
+ * @param {string|Error} [detail]     The details of the report.
+ */
+RunResult.prototype.record = function(taskName, type, detail){
+  switch(type){
+    case 'start':
+      this.tasks.push(taskName);
+      break;
+    case 'fileRead':
+      addOnce(this.filesRead, detail);
+      break;
+    case 'fileWritten':
+      addOnce(this.filesWritten, detail);
+      break;
+    case 'warning':
+      this.warnings.push({taskName: taskName, message: detail, error: null});
+      break;
+    case 'error':
+      if(!this.hasError(detail)){
+        this.errors.push({
+          taskName: taskName,
+          message: detail instanceof Error ? detail.message : String(detail),
+          error: detail instanceof Error ? detail : null
+        });
+      }
+      break;
+  }
+};
+
+/**
+ * Checks if an error object was already recorded.
+ *
+ * @param {*} error     The error to check.
+ *
+ * @returns {boolean}   True if it was recorded.
+ */
+RunResult.prototype.hasError = function(error){
+  return error instanceof Error && this.errors.some(function(problem){
+    return problem.error === error;
+  });
+};
+
+
+module.exports = RunResult;
@@ -10,6 +10,12 @@
  */
 "use strict";
 
+const stream = require('stream');
+
+const dryRun = require('../utils/dry-run');
+const gulpCompat = require('../utils/gulp-compat');
+const streams = require('../utils/streams');
+
 
 
 /**
@@ -111,6 +117,11 @@ ActionDependency.prototype.taskName = function(config){
  * `tasks.defaultPrefixName` property. Then task names will become:
  * `[prefixName]:[groupName]:[taskName]` (e.g. `foo:sass:build`).
  *
+ * The separator between the name components can be changed via the config object's
+ * `tasks.separator` property. For complete control over task names, a custom naming
+ * function can be set as the config object's `tasks.nameFn` property (see
+ * {@link module:gulp-kitchen-sink/types/build-config#createTaskName|createTaskName()}).
+ *
  * Initially, the task group will not contain any actions. These
  * need to be added via the {@link module:gulp-kitchen-sink/types/task-group#addAction|addAction()} method.
  *
@@ -147,11 +158,14 @@ ActionDependency.prototype.taskName = function(config){
  *                    A reference to the config object to use.
  *                    This should normally be a reference to the global config
  *                    object.
+ * @param {string} [configSection]
+ *                    The name of the config section holding this group's
+ *                    settings. Defaults to the group name.
  * @constructor
  *
  * @exports gulp-kitchen-sink/types/task-group
  */
-function GulpTaskGroup(groupName, config){
+function GulpTaskGroup(groupName, config, configSection){
 
   /**
    * This task group's name.
@@ -167,6 +181,24 @@ function GulpTaskGroup(groupName, config){
    */
   this.config = config;
 
+  /**
+   * The name of the config section holding this group's settings.
+   *
+   * @member {string}
+   */
+  this.configSection = configSection || groupName;
+
+  /**
+   * The group loader that loaded this task group.
+   *
+   * This is `null`, unless this task group was loaded via a
+   * {@link module:gulp-kitchen-sink/types/group-loader|group loader}.
+   * Task groups can use it to find out about other task groups.
+   *
+   * @member {?module:gulp-kitchen-sink/types/group-loader}
+   */
+  this.loader = null;
+
   /**
    * The task loader functions for this group's actions.
    *
@@ -179,6 +211,51 @@ function GulpTaskGroup(groupName, config){
    * @private
    */
   this._taskLoaders = {};
+
+  /**
+   * The dependencies of this group's actions.
+   *
+   * This takes the form of an object whose keys are the action names
+   * and whose corresponding values are arrays of action names and/or
+   * {@link module:gulp-kitchen-sink/types/task-group.ActionDependency|ActionDependency objects}.
+   *
+   * @member {Object}
+   *
+   * @private
+   */
+  this._actionDeps = {};
+
+  /**
+   * The options of this group's actions, keyed by action name.
+   *
+   * @member {Object.<string, module:gulp-kitchen-sink/types/task-group~actionOptions>}
+   *
+   * @private
+   */
+  this._actionOptions = {};
+
+  /**
+   * The functions of this group's actions, keyed by action name.
+   *
+   * @member {Object.<string, external:gulp~gulpTaskFn>}
+   *
+   * @private
+   */
+  this._actionFns = {};
+
+  /**
+   * The pipe stages that were added to the extension points of this group's
+   * actions.
+   *
+   * This takes the form of an object whose keys are the action names and whose
+   * values are objects mapping extension point names to arrays of
+   * {@link module:gulp-kitchen-sink/types/task-group~pipeStage|pipe stages}.
+   *
+   * @member {Object}
+   *
+   * @private
+   */
+  this._pipeStages = {};
 }
 
 /**
@@ -190,6 +267,254 @@ GulpTaskGroup.prototype.getActions = function(){
   return Object.keys(this._taskLoaders);
 };
 
+/**
+ * Checks if this task group has an action with the given name.
+ *
+ * @param {string} actionName   The action name to check.
+ * @returns {boolean}           True if this group has the action.
+ */
+GulpTaskGroup.prototype.hasAction = function(actionName){
+  return this._taskLoaders.hasOwnProperty(actionName);
+};
+
+/**
+ * Returns the dependencies of one of this group's actions.
+ *
+ * Dependencies on actions in other task groups are converted into
+ * {@link module:gulp-kitchen-sink/types/task-group.ActionDependency|ActionDependency objects}
+ * and those on actions in this group are converted into action dependency objects for this
+ * group, so that all dependencies can be treated the same way.
+ *
+ * @param {string} actionName   The name of an action in this group.
+ * @returns {module:gulp-kitchen-sink/types/task-group.ActionDependency[]}
+ *                              The action's dependencies.
+ *
+ * @throws {Error}              If this group has no such action.
+ */
+GulpTaskGroup.prototype.getActionDeps = function(actionName){
+  this._assertAction(actionName);
+  return this._actionDeps[actionName].map(function(dep){
+    return dep instanceof ActionDependency ? dep : this.actionDep(dep);
+  }, this);
+};
+
+/**
+ * Returns the options of one of this group's actions.
+ *
+ * @param {string} actionName   The name of an action in this group.
+ * @returns {module:gulp-kitchen-sink/types/task-group~actionOptions}
+ *                              The action's options.
+ *
+ * @throws {Error}              If this group has no such action.
+ */
+GulpTaskGroup.prototype.getActionOptions = function(actionName){
+  this._assertAction(actionName);
+  return this._actionOptions[actionName];
+};
+
+/**
+ * Returns the inputs of one of this group's actions, i.e. the globs of the
+ * source files it reads.
+ *
+ * These are given by the action's `src` option. By default, they are the source
+ * globs of the action's {@link module:gulp-kitchen-sink/types/task-group#actionConfig|action config},
+ * if this group has a config section.
+ *
+ * @param {string} actionName   The name of an action in this group.
+ * @returns {string[]}          The source globs. Empty if the action reads no
+ *                              source files.
+ *
+ * @throws {Error}              If this group has no such action.
+ */
+GulpTaskGroup.prototype.actionInputs = function(actionName){
+  const src = this.getActionOptions(actionName).src;
+  if(typeof src === 'function'){
+    return [].concat(src.call(this, actionName));
+  }
+  if(src === false || !this._hasConfigSection()){
+    return [];
+  }
+  return [].concat(this.actionConfig(actionName).srcGlobs());
+};
+
+/**
+ * Returns the directory that one of this group's actions writes its output to.
+ *
+ * This is given by the action's `dest` option. By default, it is the destination
+ * path of the action's {@link module:gulp-kitchen-sink/types/task-group#actionConfig|action config},
+ * if this group has a config section.
+ *
+ * @param {string} actionName   The name of an action in this group.
+ * @returns {?string}           The destination path, or `null` if the action
+ *                              writes no files.
+ *
+ * @throws {Error}              If this group has no such action.
+ */
+GulpTaskGroup.prototype.actionDestPath = function(actionName){
+  const dest = this.getActionOptions(actionName).dest;
+  if(typeof dest === 'function'){
+    return dest.call(this, actionName);
+  }
+  if(dest === false || !this._hasConfigSection()){
+    return null;
+  }
+  return this.actionConfig(actionName).destPath();
+};
+
+/**
+ * Creates a stream of the source files of one of this group's actions, i.e. the
+ * files matched by its {@link module:gulp-kitchen-sink/types/task-group#actionInputs|inputs}.
+ *
+ * Actions should read their source files via this, rather than via `gulp.src()`
+ * directly. It reports each file that is read and, if the inputs match no files,
+ * a warning that the action was skipped. If the `tasks.strictInputs` setting of
+ * this group's build config is enabled, the stream emits an error instead, which
+ * fails the task.
+ *
+ * Any errors of the returned stream's source are emitted by it as well.
+ *
+ * @param {string} actionName   The name of an action in this group.
+ * @param {external:gulp} gulp  The Gulp instance to read the files with.
+ *
+ * @returns {Stream}            The stream of source files.
+ *
+ * @throws {Error}              If this group has no such action or the action
+ *                              has no inputs.
+ */
+GulpTaskGroup.prototype.src = function(actionName, gulp){
+  const self = this;
+  const inputs = this.actionInputs(actionName);
+  var fileCount = 0;
+
+  if(inputs.length === 0){
+    throw new Error('The "' + actionName + '" action of the "' + this.groupName + '" task group has no inputs to read.');
+  }
+
+  const checkFiles = new stream.Transform({
+    objectMode: true,
+    transform: function(file, encoding, callback){
+      fileCount++;
+      self.report(actionName, 'fileRead', file.path);
+      callback(null, file);
+    },
+    flush: function(callback){
+      if(fileCount > 0){
+        return callback();
+      }
+      const message = 'The source globs of the "' + self.taskName(actionName) + '" task match no files: ' + inputs.join(', ');
+      if(self.config.tasks.strictInputs){
+        return callback(new Error(message + '. (Disable tasks.strictInputs to skip such tasks instead.)'));
+      }
+      self.report(actionName, 'warning', message + '. The task was skipped.');
+      callback();
+    }
+  });
+
+  return streams.pipeline([gulp.src(inputs), checkFiles]);
+};
+
+/**
+ * Checks if this group's config section exists in its build config.
+ *
+ * @returns {boolean}   True if it exists.
+ *
+ * @private
+ */
+GulpTaskGroup.prototype._hasConfigSection = function(){
+  const section = this.config[this.configSection];
+  return !!section && typeof section === 'object' && !(section instanceof Array);
+};
+
+/**
+ * Returns the names of the extension points of one of this group's actions.
+ *
+ * @param {string} actionName   The name of an action in this group.
+ * @returns {string[]}          The extension point names (see the action's
+ *                              `extensionPoints` option).
+ *
+ * @throws {Error}              If this group has no such action.
+ */
+GulpTaskGroup.prototype.getExtensionPoints = function(actionName){
+  return (this.getActionOptions(actionName).extensionPoints || []).slice();
+};
+
+/**
+ * Adds a stage to an extension point of one of this group's actions.
+ *
+ * Extension points are named places in an action's pipe, where additional
+ * stages can be inserted without having to copy the whole action. Which
+ * extension points an action has is given by its `extensionPoints` option.
+ * Stages are inserted in the order they were added and are looked up whenever
+ * the action runs, so they can be added before or after the action was added
+ * to Gulp.
+ *
+ * @example <caption>Adding vendor prefixes to all compiled CSS files</caption>
+ *
+ * var autoprefixer = require('gulp-autoprefixer');
+ *
+ * tasks.addPipeStage('build', 'afterCompile', autoprefixer, {browsers: ['last 2 versions']});
+ *
+ * @param {string} actionName   The name of an action in this group.
+ * @param {string} point        The name of one of the action's extension points.
+ * @param {function} fn         A function that returns a transform stream, such as a
+ *                              Gulp plug-in or a lazypipe.
+ * @param {...*} [args]         Any arguments to call `fn` with.
+ *
+ * @throws {Error}              If this group has no such action or the action
+ *                              has no such extension point.
+ */
+GulpTaskGroup.prototype.addPipeStage = function(actionName, point, fn){
+  const points = this.getExtensionPoints(actionName);
+  if(points.indexOf(point) === -1){
+    throw new Error(
+      'The "' + actionName + '" action of the "' + this.groupName + '" task group has no "' + point + '" extension point. ' +
+      (points.length > 0 ? 'Available extension points: ' + points.join(', ') : 'It has no extension points.')
+    );
+  }
+  if(typeof fn !== 'function'){
+    throw new Error('Pipe stages must be functions that return a stream (e.g. a Gulp plug-in or a lazypipe).');
+  }
+
+  const actionStages = this._pipeStages[actionName] = this._pipeStages[actionName] || {};
+  (actionStages[point] = actionStages[point] || []).push({
+    fn: fn,
+    args: Array.prototype.slice.call(arguments, 3)
+  });
+};
+
+/**
+ * Returns the stages that were added to an extension point of one of this
+ * group's actions.
+ *
+ * @param {string} actionName   The name of an action in this group.
+ * @param {string} point        The name of the extension point.
+ * @returns {module:gulp-kitchen-sink/types/task-group~pipeStage[]}
+ *                              The stages, in the order they were added.
+ */
+GulpTaskGroup.prototype.pipeStages = function(actionName, point){
+  const actionStages = this._pipeStages[actionName];
+  return actionStages && actionStages[point] ? actionStages[point].slice() : [];
+};
+
+/**
+ * Throws an error if this task group has no action with the given name.
+ *
+ * @param {string} actionName   The action name to check.
+ *
+ * @throws {Error}  If this group has no such action.
+ *
+ * @private
+ */
+GulpTaskGroup.prototype._assertAction = function(actionName){
+  if(!this.hasAction(actionName)){
+    const actionNames = this.getActions();
+    throw new Error(
+      'Unknown action "' + actionName + '" in the "' + this.groupName + '" task group. ' +
+      (actionNames.length > 0 ? 'Available actions: ' + actionNames.join(', ') : 'It has no actions.')
+    );
+  }
+};
+
 /**
  * Returns an action dependency object for the given
  * action name.
@@ -224,6 +549,25 @@ GulpTaskGroup.prototype.taskName = function(actionName){
   return this.config.createTaskName(this.groupName, actionName);
 };
 
+/**
+ * Returns the config for one of this group's actions.
+ *
+ * The settings are looked up in this group's
+ * {@link module:gulp-kitchen-sink/types/task-group#configSection|config section}.
+ *
+ * @param {string} actionName     The name of an action in this group.
+ * @param {string} [optionsKey]   The name of the config section property holding
+ *                                the plug-in options to fall back to.
+ *
+ * @returns {module:gulp-kitchen-sink/types/build-config.ActionConfig}
+ *                                The action's config.
+ *
+ * @see module:gulp-kitchen-sink/types/build-config#actionConfig
+ */
+GulpTaskGroup.prototype.actionConfig = function(actionName, optionsKey){
+  return this.config.actionConfig(this.configSection, actionName, optionsKey);
+};
+
 // Documenting a type used below
 /**
  * Either a string or an {@link module:gulp-kitchen-sink/types/task-group.ActionDependency|ActionDependency object}.
@@ -260,6 +604,58 @@ GulpTaskGroup.prototype.resolveDeps = function(deps){
   return resolvedDeps;
 };
 
+// Documenting a type used below
+/**
+ * Options for an action.
+ *
+ * @typedef {Object} module:gulp-kitchen-sink/types/task-group~actionOptions
+ *
+ * @property {boolean} [series=false]   Whether the action's dependencies should run one
+ *                                      after the other (in the order given), rather than
+ *                                      concurrently. This is only supported on Gulp 4,
+ *                                      since Gulp 3 always runs dependencies concurrently.
+ * @property {string} [description]     A short description of what the action does.
+ * @property {Object.<string, string>} [flags]
+ *                                      Descriptions of the command-line flags that affect
+ *                                      the action, keyed by flag (e.g. `'--prod'`).
+ * @property {string[]|function(string): string[]} [examples]
+ *                                      Example command lines that use the action, or a
+ *                                      function that returns them given the action's task
+ *                                      name. Use a function if the examples include the task
+ *                                      name, which may change after the action was added.
+ * @property {boolean|function} [src=true]
+ *                                      The action's inputs (see
+ *                                      {@link module:gulp-kitchen-sink/types/task-group#actionInputs|actionInputs()}):
+ *                                      `true` for the source globs given by its
+ *                                      {@link module:gulp-kitchen-sink/types/task-group#actionConfig|action config},
+ *                                      a function that returns the source globs or `false` if
+ *                                      the action reads no source files.
+ * @property {boolean|function} [dest=true]
+ *                                      The action's output directory (see
+ *                                      {@link module:gulp-kitchen-sink/types/task-group#actionDestPath|actionDestPath()}):
+ *                                      `true` for the destination path given by its action
+ *                                      config, a function that returns the path or `false` if
+ *                                      the action writes no files.
+ * @property {boolean} [aggregate=true] Whether the action should be included in aggregate
+ *                                      tasks (see
+ *                                      {@link module:gulp-kitchen-sink~KitchenSink#addAggregateTasks|KitchenSink#addAggregateTasks()}).
+ * @property {string[]} [extensionPoints]
+ *                                      The names of the places in the action's pipe where
+ *                                      additional stages can be inserted (see
+ *                                      {@link module:gulp-kitchen-sink/types/task-group#addPipeStage|addPipeStage()}).
+ */
+
+// Documenting a type used below
+/**
+ * A stage that was added to an extension point of an action's pipe.
+ *
+ * @typedef {Object} module:gulp-kitchen-sink/types/task-group~pipeStage
+ *
+ * @property {function} fn      A function that returns a transform stream, such as a
+ *                              Gulp plug-in or a lazypipe.
+ * @property {Array} args       The arguments to call `fn` with.
+ */
+
 /**
  * Adds an action to this task group.
  *
@@ -273,9 +669,33 @@ GulpTaskGroup.prototype.resolveDeps = function(deps){
  * you can add actions to Gulp as tasks. At that point, the action names are
  * resolved to the corresponding task names, as per this group's config object.
  *
+ * Actions work with both Gulp 3 and Gulp 4. On Gulp 4, the action's dependencies
+ * are composed via `gulp.parallel()` (or `gulp.series()`, if the `series` option
+ * is set) and run before the action's function.
+ *
+ * The action's options can also describe the action. This is shown by the
+ * {@link module:gulp-kitchen-sink~KitchenSink#addHelpTask|help task} and,
+ * on Gulp 4, by `gulp --tasks`.
+ *
  * If this group already contains an action with the same action name,
  * then that action will be overwritten by the new one.
  *
+ * @example <caption>A described action</caption>
+ *
+ * tasks.addAction('build', function(){
+ *   // ...
+ * }, {
+ *   description: 'Compiles the source files.',
+ *   flags: { '--prod': 'Minifies the output.' },
+ *   examples: ['gulp my-group:build --prod']
+ * });
+ *
+ * @example <caption>An action whose dependencies run one after the other</caption>
+ *
+ * tasks.addAction('release', ['clean', 'build'], function(){
+ *   // ...
+ * }, { series: true });
+ *
  * @param {string} actionName     The name of the action being added. (e.g.
  *                                'build', 'clean', 'lint')
  * @param {module:gulp-kitchen-sink/types/task-group~stringOrActionDep[]} [deps]
@@ -286,23 +706,80 @@ GulpTaskGroup.prototype.resolveDeps = function(deps){
  *                      operations. This is exactly the same function
  *                      that you'd pass to `gulp.task()`, if you were
  *                      using Gulp directly.
+ * @param {module:gulp-kitchen-sink/types/task-group~actionOptions} [options]
+ *                      The action's options.
  */
 GulpTaskGroup.prototype.addAction = function(){
   var actionName = arguments[0];
-  var actionDeps, taskFn;
-  if(arguments.length == 2){
-    actionDeps = [];
-    taskFn = arguments[1];
-  }
-  else{
-    // assume 3rd argument
-    actionDeps = arguments[1];
-    taskFn = arguments[2];
+  var actionDeps = [];
+  var taskFn, options;
+  var i, arg;
+  for(i=1; i<arguments.length; ++i){
+    arg = arguments[i];
+    if(arg instanceof Array){
+      actionDeps = arg;
+    }
+    else if(typeof arg === 'function'){
+      taskFn = arg;
+    }
+    else if(arg && typeof arg === 'object'){
+      options = arg;
+    }
   }
 
+  this._actionDeps[actionName] = actionDeps;
+  this._actionOptions[actionName] = options || {};
+  this._actionFns[actionName] = taskFn;
   this._taskLoaders[actionName] = this._createTaskLoaderFn(actionName, actionDeps, taskFn);
 };
 
+/**
+ * Returns the function of one of this group's actions.
+ *
+ * @param {string} actionName   The name of an action in this group.
+ * @returns {external:gulp~gulpTaskFn}
+ *                              The action's function.
+ *
+ * @throws {Error}              If this group has no such action.
+ */
+GulpTaskGroup.prototype.getActionFn = function(actionName){
+  this._assertAction(actionName);
+  return this._actionFns[actionName];
+};
+
+/**
+ * Replaces the function of one of this group's actions with a wrapped
+ * version of it.
+ *
+ * The action keeps its dependencies, options and pipe stages. This is
+ * useful for doing additional work before or after an existing action,
+ * without having to re-implement it.
+ *
+ * @example <caption>Logging when an action has finished</caption>
+ *
+ * tasks.wrapAction('build', function(buildFn){
+ *   return function(){
+ *     return buildFn.apply(this, arguments).on('end', function(){
+ *       console.log('Build finished!');
+ *     });
+ *   };
+ * });
+ *
+ * @param {string} actionName   The name of an action in this group.
+ * @param {function} wrapFn     A function that is passed the action's current function
+ *                              and returns the function to replace it with.
+ *
+ * @throws {Error}              If this group has no such action or `wrapFn` does not
+ *                              return a function.
+ */
+GulpTaskGroup.prototype.wrapAction = function(actionName, wrapFn){
+  const taskFn = wrapFn(this.getActionFn(actionName));
+  if(typeof taskFn !== 'function'){
+    throw new Error('Cannot wrap the "' + actionName + '" action of the "' + this.groupName + '" task group: The wrapper did not return a function.');
+  }
+  this.addAction(actionName, this._actionDeps[actionName], taskFn, this._actionOptions[actionName]);
+};
+
 /**
  * Creates a function that resolves an action's name and dependencies to the
  * corresponding task names and adds it to Gulp's tasks.
@@ -334,6 +811,10 @@ GulpTaskGroup.prototype._createTaskLoaderFn = function(actionName, actionDeps, t
   /**
    * Loads an action and adds it as a task to Gulp via `gulp.task(...)`.
    *
+   * On Gulp 4, its dependencies are composed via `gulp.series()` or
+   * `gulp.parallel()` (see
+   * {@link module:gulp-kitchen-sink/utils/gulp-compat.defineTask|defineTask()}).
+   *
    * The task's name (and the names of its dependencies) are generated when this function
    * executes from the task group's name, the action name and the settings in the group's
    * config object.
@@ -349,27 +830,173 @@ GulpTaskGroup.prototype._createTaskLoaderFn = function(actionName, actionDeps, t
    */
   return function(gulp){
     var taskName = this.taskName(actionName);
-    if(actionDeps && actionDeps.length > 0){
-      // Resolve dep names
-      var taskDeps = this.resolveDeps(actionDeps);
-      // Add task to Gulp
-      gulp.task(
-        taskName,
-        taskDeps,
-        taskFn
-      );
-    }
-    else{
-      // No deps. Add task to Gulp directly.
-      gulp.task(
-        taskName,
-        taskFn
-      );
-    }
+    // Resolve dep names and add task to Gulp
+    gulpCompat.defineTask(
+      gulp,
+      taskName,
+      this.resolveDeps(actionDeps),
+      this._createRunnableFn(actionName, taskFn),
+      this._actionOptions[actionName]
+    );
     return taskName;
   }.bind(this);
 };
 
+/**
+ * Reports something that one of this group's actions did while it ran, e.g.
+ * which files it read or wrote or a warning.
+ *
+ * Reports are passed to the {@link module:gulp-kitchen-sink/types/group-loader#reportFn|report function}
+ * of the group loader that loaded this task group, if it has one. Otherwise, they
+ * are ignored. Actions are wrapped so that they report when they start and end,
+ * the files their streams write and any errors they fail with, while
+ * {@link module:gulp-kitchen-sink/types/task-group#src|src()} reports the files
+ * they read. Actions can report anything else (such as warnings or the files
+ * they process) themselves.
+ *
+ * See {@link module:gulp-kitchen-sink/types/run-result#record|RunResult#record()}
+ * for the types of reports.
+ *
+ * @param {string} actionName     The name of the action.
+ * @param {string} type           The type of report.
+ * @param {string|Error} [detail] The details of the report.
+ *
+ * @returns {boolean}             True if the report was passed on, false if it
+ *                                was ignored.
+ */
+GulpTaskGroup.prototype.report = function(actionName, type, detail){
+  if(!this._isReporting()){
+    return false;
+  }
+  this.loader.reportFn(this.taskName(actionName), type, detail);
+  return true;
+};
+
+/**
+ * Checks if anything receives this group's reports.
+ *
+ * @returns {boolean}   True if reports are passed on.
+ *
+ * @private
+ */
+GulpTaskGroup.prototype._isReporting = function(){
+  return !!this.loader && typeof this.loader.reportFn === 'function';
+};
+
+/**
+ * Wraps an action's function, so that it only runs when it should and reports
+ * its progress.
+ *
+ * When this group's build config has the `tasks.dryRun` setting enabled,
+ * the action only reports what it would do (as an `info` report).
+ *
+ * The setting is checked whenever the task runs, so it can still be changed
+ * after the task was added to Gulp. The returned function takes a completion
+ * callback if (and only if) the action's function does, so that Gulp treats
+ * both the same way.
+ *
+ * While running, the action's progress is passed to
+ * {@link module:gulp-kitchen-sink/types/task-group#report|report()}.
+ *
+ * @param {string} actionName   The name of the action.
+ * @param {external:gulp~gulpTaskFn} taskFn
+ *                              The action's function.
+ * @returns {external:gulp~gulpTaskFn}
+ *                              The wrapped function.
+ *
+ * @private
+ */
+GulpTaskGroup.prototype._createRunnableFn = function(actionName, taskFn){
+  const self = this;
+
+  // Returns a function that reports that the action has ended
+  // (and the error it failed with, if any). It only reports
+  // the first time it is called.
+  const createEndFn = function(){
+    var ended = false;
+    return function(err){
+      if(ended){
+        return;
+      }
+      ended = true;
+      if(err){
+        self.report(actionName, 'error', err);
+      }
+      self.report(actionName, 'end', err || null);
+    };
+  };
+
+  // Returns true if the action should not run, i.e. in dry runs
+  // (where it only reports what it would do)
+  const preventRun = function(){
+    if(self.config.tasks.dryRun){
+      self.report(actionName, 'info', 'Dry run: ' + dryRun.formatStep(dryRun.createStep(self, actionName)));
+      return true;
+    }
+    return false;
+  };
+
+  // Calls the action's function and reports the files written by the stream
+  // it returns, as well as when it ends
+  const run = function(context, args, end){
+    var result;
+    try{
+      result = taskFn.apply(context, args);
+    }
+    catch(e){
+      end(e);
+      throw e;
+    }
+
+    if(result && typeof result.pipe === 'function' && typeof result.on === 'function'){
+      if(self._isReporting() && self.actionDestPath(actionName) !== null){
+        result.on('data', function(file){
+          self.report(actionName, 'fileWritten', file.path);
+        });
+      }
+      result.on('error', end);
+      result.on(result.readable ? 'end' : 'finish', function(){
+        end();
+      });
+    }
+    else if(result && typeof result.then === 'function'){
+      result.then(function(){
+        end();
+      }, end);
+    }
+    else if(taskFn.length === 0){
+      end();
+    }
+    return result;
+  };
+
+  if(taskFn.length > 0){
+    return function(done){
+      const end = createEndFn();
+      self.report(actionName, 'start');
+      if(preventRun()){
+        end(null);
+        return done();
+      }
+      const args = Array.prototype.slice.call(arguments);
+      args[0] = function(err){
+        end(err);
+        return done.apply(this, arguments);
+      };
+      return run(this, args, end);
+    };
+  }
+  return function(){
+    const end = createEndFn();
+    self.report(actionName, 'start');
+    if(preventRun()){
+      end(null);
+      return Promise.resolve();
+    }
+    return run(this, arguments, end);
+  };
+};
+
 /**
  * Loads the specified action and adds it to Gulp's tasks.
  *
@@ -377,6 +1004,14 @@ GulpTaskGroup.prototype._createTaskLoaderFn = function(actionName, actionDeps, t
  * it depends on) will be converted to the corresponding Gulp
  * task names as per the settings in this group's config object.
  *
+ * If this task group was loaded via a
+ * {@link module:gulp-kitchen-sink/types/group-loader|group loader}, the
+ * action is loaded via that loader's
+ * {@link module:gulp-kitchen-sink/types/group-loader#loadTask|loadTask()}
+ * method. That also loads all actions that this action (transitively)
+ * depends on, including those in other task groups, and adds them to the
+ * loader's Gulp instance.
+ *
  * @param {string} actionName     The name of the action from this group that
  *                                should be added as a task.
  * @param {external:gulp} gulp
@@ -384,8 +1019,35 @@ GulpTaskGroup.prototype._createTaskLoaderFn = function(actionName, actionDeps, t
  *                      added to.
  *
  * @return {string}   The name of the task that was added to Gulp.
+ *
+ * @throws {Error}    If this group has no such action.
  */
 GulpTaskGroup.prototype.loadTask = function(actionName, gulp){
+  if(this.loader){
+    return this.loader.loadTask(this.groupName, actionName);
+  }
+  return this.loadTaskOnly(actionName, gulp);
+};
+
+/**
+ * Loads the specified action and adds it to Gulp's tasks, without
+ * loading any of the actions it depends on.
+ *
+ * The Gulp task will still declare its dependencies, so the tasks of
+ * those actions must be added to Gulp separately.
+ *
+ * @param {string} actionName     The name of the action from this group that
+ *                                should be added as a task.
+ * @param {external:gulp} gulp
+ *                      The Gulp instance that the task will be
+ *                      added to.
+ *
+ * @return {string}   The name of the task that was added to Gulp.
+ *
+ * @throws {Error}    If this group has no such action.
+ */
+GulpTaskGroup.prototype.loadTaskOnly = function(actionName, gulp){
+  this._assertAction(actionName);
   return this._taskLoaders[actionName](gulp);
 };
 
@@ -483,8 +1145,9 @@ GulpTaskGroup.createTasksModule = function(fallbackGroupName, addActionsFn){
       config = require('../shared/config');
     }
 
-    // Create a new task group
-    const tasks = new GulpTaskGroup(groupName, config);
+    // Create a new task group. Its settings are always in the
+    // config section named after the fallback group name.
+    const tasks = new GulpTaskGroup(groupName, config, fallbackGroupName);
 
     // If a function for adding tasks was provided, run it
     if(addActionsFn){
@@ -0,0 +1,278 @@
+/**
+ * Module that exports functions for discovering and loading project
+ * build config files.
+ *
+ * @file
+ */
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * The config file names that are looked for, in order of precedence.
+ *
+ * @type {string[]}
+ * @inner
+ * @private
+ * @memberof module:gulp-kitchen-sink/utils/config-file
+ */
+const CONFIG_FILE_NAMES = [
+  'kitchensink.config.js',
+  'kitchensink.config.json'
+];
+
+/**
+ * The property of a `package.json` file that may contain build config
+ * values.
+ *
+ * @type {string}
+ * @inner
+ * @private
+ * @memberof module:gulp-kitchen-sink/utils/config-file
+ */
+const PACKAGE_JSON_KEY = 'kitchenSink';
+
+/**
+ * The config property that lists the presets a config extends.
+ *
+ * @type {string}
+ * @inner
+ * @private
+ * @memberof module:gulp-kitchen-sink/utils/config-file
+ */
+const EXTENDS_KEY = 'extends';
+
+// Returns true if the given path exists and is a file.
+function isFile(filePath){
+  try{
+    return fs.statSync(filePath).isFile();
+  }
+  catch(e){
+    return false;
+  }
+}
+
+// Loads a JS or JSON file and returns its exports.
+function loadFile(filePath){
+  // Ensure a fresh copy is loaded each time, in case the
+  // file has changed since it was last required
+  delete require.cache[require.resolve(filePath)];
+  return require(filePath);
+}
+
+
+/**
+ * Finds the project's build config file in the given directory.
+ *
+ * The following are looked for, in order of precedence:
+ *
+ * 1. `kitchensink.config.js`
+ * 2. `kitchensink.config.json`
+ * 3. A `"kitchenSink"` property in `package.json`
+ *
+ * @param {string} dir    The directory to look in.
+ *
+ * @returns {string|null} The path of the file that was found or `null`
+ *                        if there is none.
+ *
+ * @alias module:gulp-kitchen-sink/utils/config-file.findConfigFile
+ */
+function findConfigFile(dir){
+  var filePath, i;
+  for(i=0; i<CONFIG_FILE_NAMES.length; ++i){
+    filePath = path.resolve(dir, CONFIG_FILE_NAMES[i]);
+    if(isFile(filePath)){
+      return filePath;
+    }
+  }
+
+  filePath = path.resolve(dir, 'package.json');
+  if(isFile(filePath) && loadFile(filePath).hasOwnProperty(PACKAGE_JSON_KEY)){
+    return filePath;
+  }
+
+  return null;
+}
+
+/**
+ * Loads build config values from a config file.
+ *
+ * If the file is a `package.json` file, only the values of its
+ * `"kitchenSink"` property are returned.
+ *
+ * @param {string} filePath   The path of the config file.
+ *
+ * @returns {Object}    The build config values from the file.
+ *
+ * @throws {Error}      If the file does not exist or does not contain
+ *                      an object.
+ *
+ * @alias module:gulp-kitchen-sink/utils/config-file.loadConfigFile
+ */
+function loadConfigFile(filePath){
+  filePath = path.resolve(filePath);
+  if(!isFile(filePath)){
+    throw new Error('Build config file not found: ' + filePath);
+  }
+
+  var values = loadFile(filePath);
+  if(path.basename(filePath) === 'package.json'){
+    values = values[PACKAGE_JSON_KEY];
+  }
+
+  if(values === null || typeof values !== 'object' || values instanceof Array){
+    throw new Error('Build config file does not contain an object: ' + filePath);
+  }
+  return values;
+}
+
+
+// Returns true if the given preset name refers to a local file, rather
+// than an npm module.
+function isLocalPreset(name){
+  return path.isAbsolute(name) || name === '.' || name === '..' ||
+    name.indexOf('./') === 0 || name.indexOf('../') === 0;
+}
+
+/**
+ * Works out the path of a preset's file.
+ *
+ * Local presets (i.e. absolute paths or paths starting with `./` or `../`)
+ * are resolved relative to the given directory. Anything else is treated as
+ * the name of an npm module, which is looked for in the `node_modules`
+ * directories of the given directory and its parents.
+ *
+ * @param {string} name       The preset's name, as given in an `extends` list.
+ * @param {string} baseDir    The directory of the config that extends the preset.
+ *
+ * @returns {string}    The path of the preset's file.
+ *
+ * @throws {Error}      If the preset cannot be found.
+ *
+ * @alias module:gulp-kitchen-sink/utils/config-file.resolvePreset
+ */
+function resolvePreset(name, baseDir){
+  var dir = path.resolve(baseDir);
+  var parentDir;
+
+  if(isLocalPreset(name)){
+    try{
+      return require.resolve(path.resolve(dir, name));
+    }
+    catch(e){
+      throw new Error('Build config preset "' + name + '" not found in ' + dir);
+    }
+  }
+
+  // Look for the module in node_modules directories, working up
+  // towards the file system root
+  for(;;){
+    try{
+      return require.resolve(path.join(dir, 'node_modules', name));
+    }
+    catch(e){
+      parentDir = path.dirname(dir);
+      if(parentDir === dir){
+        throw new Error('Build config preset "' + name + '" not found. Is it installed?');
+      }
+      dir = parentDir;
+    }
+  }
+}
+
+/**
+ * A layer of build config values, as loaded from a config file or preset.
+ *
+ * @typedef {Object} module:gulp-kitchen-sink/utils/config-file~configLayer
+ *
+ * @property {Object} values    The build config values (without the `extends` property).
+ * @property {string} source    Where the values came from (e.g. `'config file /foo/kitchensink.config.json'`
+ *                              or `'preset @ourteam/kitchen-sink-preset'`).
+ */
+
+/**
+ * Loads build config values from a config file and all presets it extends.
+ *
+ * Config files and presets may have an `extends` property, which names
+ * one or more presets (see
+ * {@link module:gulp-kitchen-sink/utils/config-file.resolvePreset|resolvePreset()}).
+ * These can in turn extend other presets.
+ *
+ * The returned layers are in the order in which they should be merged into
+ * a build config: each preset comes before the config that extends it, and
+ * the presets listed in an `extends` property are in the order given. The
+ * config file's own values always come last.
+ *
+ * @example <caption>A config file extending two presets</caption>
+ *
+ * // kitchensink.config.json
+ * {
+ *   "extends": ["@ourteam/kitchen-sink-preset", "./build/local-preset.js"],
+ *   "paths": { "srcRoot": "source" }
+ * }
+ *
+ * @param {string} filePath   The path of the config file.
+ *
+ * @returns {module:gulp-kitchen-sink/utils/config-file~configLayer[]}
+ *                      The config layers.
+ *
+ * @throws {Error}      If any file or preset cannot be found or loaded, or if
+ *                      presets extend each other in a cycle.
+ *
+ * @alias module:gulp-kitchen-sink/utils/config-file.loadConfigLayers
+ */
+function loadConfigLayers(filePath){
+  filePath = path.resolve(filePath);
+  const layers = [];
+  addLayers(filePath, 'config file ' + filePath, [], [filePath], layers);
+  return layers;
+}
+
+// Recursively loads a config file's presets and then the file itself,
+// appending them to the layers array. The chain contains the names of
+// the configs that led to this one and the paths are used to detect
+// cycles.
+function addLayers(filePath, source, chain, filePaths, layers){
+  const values = loadConfigFile(filePath);
+  const presetNames = values.hasOwnProperty(EXTENDS_KEY) ? [].concat(values[EXTENDS_KEY]) : [];
+  const baseDir = path.dirname(filePath);
+  const ownValues = {};
+  var key;
+
+  chain = chain.concat(source);
+
+  presetNames.forEach(function(name){
+    if(typeof name !== 'string'){
+      throw new Error('Invalid build config preset ' + JSON.stringify(name) + ' in ' + filePath +
+        '. Expected a module name or file path.');
+    }
+    const presetPath = resolvePreset(name, baseDir);
+    if(filePaths.indexOf(presetPath) !== -1){
+      throw new Error('Circular build config presets: ' +
+        chain.concat('preset ' + name).join(' -> '));
+    }
+    addLayers(presetPath, 'preset ' + name, chain, filePaths.concat(presetPath), layers);
+  });
+
+  for(key in values){
+    if(values.hasOwnProperty(key) && key !== EXTENDS_KEY){
+      ownValues[key] = values[key];
+    }
+  }
+  layers.push({
+    values: ownValues,
+    source: source
+  });
+}
+
+
+/**
+ * @module gulp-kitchen-sink/utils/config-file
+ */
+module.exports = {
+  findConfigFile: findConfigFile,
+  loadConfigFile: loadConfigFile,
+  loadConfigLayers: loadConfigLayers,
+  resolvePreset: resolvePreset
+};
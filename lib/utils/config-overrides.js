@@ -0,0 +1,253 @@
+/**
+ * Module that exports functions for finding build config overrides in
+ * environment variables and command-line arguments.
+ *
+ * @file
+ */
+"use strict";
+
+const objects = require('./objects');
+
+/**
+ * The prefix of environment variables that override config values.
+ *
+ * @type {string}
+ * @inner
+ * @private
+ * @memberof module:gulp-kitchen-sink/utils/config-overrides
+ */
+const ENV_PREFIX = 'KS_';
+
+/**
+ * The prefix of command-line flags that override config values.
+ *
+ * @type {string}
+ * @inner
+ * @private
+ * @memberof module:gulp-kitchen-sink/utils/config-overrides
+ */
+const FLAG_PREFIX = '--ks.';
+
+/**
+ * The key paths of config values that are not overridden by the generic
+ * environment variables, because they have dedicated ones (e.g. `KS_MODE`).
+ *
+ * @type {string[]}
+ * @inner
+ * @private
+ * @memberof module:gulp-kitchen-sink/utils/config-overrides
+ */
+const ENV_EXCLUDED_PATHS = ['mode'];
+
+
+/**
+ * A config value override.
+ *
+ * @typedef {Object} module:gulp-kitchen-sink/utils/config-overrides~override
+ *
+ * @property {string} path      The key path of the config value (e.g. `'paths.srcRoot'`).
+ * @property {*} value          The new value, coerced to the type of the current value.
+ * @property {string} source    Where the override came from (e.g. `'CLI flag --ks.paths.srcRoot'`).
+ */
+
+
+/**
+ * Converts a string into a value of the same type as an existing value.
+ *
+ * * Booleans: `'true'`, `'yes'`, `'on'` and `'1'` are `true`. `'false'`, `'no'`,
+ *   `'off'`, `'0'` and `''` are `false`.
+ * * Numbers: Any numeric string.
+ * * Arrays: Either a JSON array or a comma-separated list.
+ * * Objects: A JSON object.
+ * * Strings: The string is used as is.
+ *
+ * If the existing value is `null` or `undefined`, the string is parsed as JSON
+ * if possible, and used as is otherwise. Functions cannot be overridden.
+ *
+ * @param {string} str      The string to convert.
+ * @param {*} current       The existing value, whose type should be matched.
+ *
+ * @returns {*}   The converted value.
+ *
+ * @throws {Error}  If the string cannot be converted to the required type.
+ *
+ * @alias module:gulp-kitchen-sink/utils/config-overrides.coerce
+ */
+function coerce(str, current){
+  const lower = str.trim().toLowerCase();
+  var value;
+
+  if(typeof current === 'function'){
+    throw new Error('Functions cannot be overridden');
+  }
+
+  if(typeof current === 'boolean'){
+    if(['true', 'yes', 'on', '1'].indexOf(lower) !== -1){
+      return true;
+    }
+    if(['false', 'no', 'off', '0', ''].indexOf(lower) !== -1){
+      return false;
+    }
+    throw new Error('Expected a boolean, but got "' + str + '"');
+  }
+
+  if(typeof current === 'number'){
+    value = Number(str);
+    if(lower === '' || isNaN(value)){
+      throw new Error('Expected a number, but got "' + str + '"');
+    }
+    return value;
+  }
+
+  if(current instanceof Array){
+    if(str.trim().charAt(0) === '['){
+      value = parseJSON(str);
+      if(!(value instanceof Array)){
+        throw new Error('Expected an array, but got "' + str + '"');
+      }
+      return value;
+    }
+    return str.split(',').map(function(item){
+      return item.trim();
+    }).filter(function(item){
+      return item.length > 0;
+    });
+  }
+
+  if(objects.isPlainObject(current)){
+    value = parseJSON(str);
+    if(!objects.isPlainObject(value)){
+      throw new Error('Expected a JSON object, but got "' + str + '"');
+    }
+    return value;
+  }
+
+  if(current === null || current === undefined){
+    try{
+      return JSON.parse(str);
+    }
+    catch(e){
+      return str;
+    }
+  }
+
+  return str;
+}
+
+// Parses a JSON string, throwing a friendlier error if it is invalid
+function parseJSON(str){
+  try{
+    return JSON.parse(str);
+  }
+  catch(e){
+    throw new Error('Invalid JSON "' + str + '"');
+  }
+}
+
+// Coerces an override's value, adding the override's source to any error
+function createOverride(keyPath, str, current, source){
+  try{
+    return {
+      path: keyPath,
+      value: coerce(str, current),
+      source: source
+    };
+  }
+  catch(e){
+    throw new Error('Invalid build config override (' + source + ' for ' + keyPath + '): ' + e.message);
+  }
+}
+
+
+/**
+ * Finds config value overrides in environment variables.
+ *
+ * The environment variable names are made up of the `KS_` prefix and the
+ * config value's key path in upper case, with dots replaced by underscores.
+ * For example, `KS_PATHS_SRCROOT` overrides `paths.srcRoot`.
+ *
+ * Only existing config values can be overridden this way. Environment variables
+ * that do not match any config value are ignored, as is `KS_MODE`, which
+ * selects the build mode instead (see
+ * {@link module:gulp-kitchen-sink/types/build-config.detectMode|detectMode()}).
+ *
+ * @param {Object} config   The config values.
+ * @param {Object} env      The environment variables (e.g. `process.env`).
+ *
+ * @returns {module:gulp-kitchen-sink/utils/config-overrides~override[]}
+ *                          The overrides that were found.
+ *
+ * @throws {Error}          If a value cannot be converted to the required type.
+ *
+ * @alias module:gulp-kitchen-sink/utils/config-overrides.fromEnv
+ */
+function fromEnv(config, env){
+  const values = objects.flatten(config);
+  const overrides = [];
+  var keyPath, envName;
+  for(keyPath in values){
+    if(ENV_EXCLUDED_PATHS.indexOf(keyPath) !== -1){
+      continue;
+    }
+    envName = ENV_PREFIX + keyPath.replace(/\./g, '_').toUpperCase();
+    if(env && env.hasOwnProperty(envName)){
+      overrides.push(createOverride(keyPath, env[envName], values[keyPath], 'environment variable ' + envName));
+    }
+  }
+  return overrides;
+}
+
+/**
+ * Finds config value overrides in command-line arguments.
+ *
+ * The flags are made up of the `--ks.` prefix and the config value's key path,
+ * followed by `=` and the value (e.g. `--ks.less.bldDir=css`). A flag without
+ * a value sets the config value to `true`. The next argument is never taken as
+ * the value, since it may well be the name of a task to run.
+ *
+ * Unlike environment variables, flags may add config values that do not exist
+ * yet. Typos are then caught by the build config's validation.
+ *
+ * @param {Object} config   The config values.
+ * @param {string[]} argv   The command-line arguments (e.g. `process.argv`).
+ *
+ * @returns {module:gulp-kitchen-sink/utils/config-overrides~override[]}
+ *                          The overrides that were found, in the order they
+ *                          were given.
+ *
+ * @throws {Error}          If a value cannot be converted to the required type.
+ *
+ * @alias module:gulp-kitchen-sink/utils/config-overrides.fromArgv
+ */
+function fromArgv(config, argv){
+  const overrides = [];
+  (argv || []).forEach(function(arg){
+    var keyPath, str;
+    if(arg.indexOf(FLAG_PREFIX) !== 0){
+      return;
+    }
+
+    const eqIndex = arg.indexOf('=');
+    if(eqIndex !== -1){
+      keyPath = arg.substring(FLAG_PREFIX.length, eqIndex);
+      str = arg.substring(eqIndex + 1);
+    }
+    else{
+      keyPath = arg.substring(FLAG_PREFIX.length);
+      str = 'true';
+    }
+
+    overrides.push(createOverride(keyPath, str, objects.getPath(config, keyPath), 'CLI flag ' + FLAG_PREFIX + keyPath));
+  });
+  return overrides;
+}
+
+
+/**
+ * @module gulp-kitchen-sink/utils/config-overrides
+ */
+module.exports = {
+  coerce: coerce,
+  fromEnv: fromEnv,
+  fromArgv: fromArgv
+};
@@ -0,0 +1,185 @@
+/**
+ * Module that exports functions for describing the build config that is
+ * in effect and formatting those descriptions for output.
+ *
+ * @file
+ */
+"use strict";
+
+const yaml = require('js-yaml');
+
+const objects = require('./objects');
+
+
+/**
+ * A description of a build config and the task groups that use it.
+ *
+ * @typedef {Object} module:gulp-kitchen-sink/utils/config-report~configReport
+ *
+ * @property {string} mode      The build mode.
+ * @property {Object} config    The config values.
+ * @property {Object.<string, string>} sources
+ *                              Where each config value came from, keyed by the values' key paths.
+ * @property {Object.<string, Object>} groups
+ *                              For each task group that has a config section, its config section
+ *                              name and, for each of its actions, the task name, expanded source
+ *                              globs and build path.
+ */
+
+
+/**
+ * Creates a report describing a build config and the task groups that use it.
+ *
+ * Only task groups whose config section exists in their build config are included.
+ *
+ * @param {module:gulp-kitchen-sink/types/build-config} config
+ *                              The build config to describe.
+ * @param {module:gulp-kitchen-sink/types/task-group[]} [taskGroups]
+ *                              The task groups to describe.
+ *
+ * @returns {module:gulp-kitchen-sink/utils/config-report~configReport}  The report.
+ *
+ * @alias module:gulp-kitchen-sink/utils/config-report.createReport
+ */
+function createReport(config, taskGroups){
+  const report = {
+    mode: config.mode,
+    config: {},
+    sources: {},
+    groups: {}
+  };
+
+  var key;
+  for(key in config){
+    if(config.hasOwnProperty(key)){
+      report.config[key] = objects.deepClone(config[key]);
+    }
+  }
+
+  config.explain().forEach(function(explanation){
+    report.sources[explanation.path] = explanation.source;
+  });
+
+  (taskGroups || []).forEach(function(taskGroup){
+    if(!objects.isPlainObject(taskGroup.config[taskGroup.configSection])){
+      return;
+    }
+    const groupReport = report.groups[taskGroup.groupName] = {
+      configSection: taskGroup.configSection,
+      actions: {}
+    };
+    taskGroup.getActions().forEach(function(actionName){
+      const actionConfig = taskGroup.actionConfig(actionName);
+      groupReport.actions[actionName] = {
+        taskName: taskGroup.taskName(actionName),
+        srcGlobs: actionConfig.srcGlobs(),
+        bldPath: actionConfig.destPath()
+      };
+    });
+  });
+
+  return report;
+}
+
+/**
+ * Formats a config report as JSON.
+ *
+ * @param {module:gulp-kitchen-sink/utils/config-report~configReport} report
+ *                      The report to format.
+ *
+ * @returns {string}    The JSON.
+ *
+ * @alias module:gulp-kitchen-sink/utils/config-report.formatJSON
+ */
+function formatJSON(report){
+  return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Formats a config report as YAML.
+ *
+ * Values that cannot be represented in YAML (e.g. functions) are omitted.
+ *
+ * @param {module:gulp-kitchen-sink/utils/config-report~configReport} report
+ *                      The report to format.
+ *
+ * @returns {string}    The YAML.
+ *
+ * @alias module:gulp-kitchen-sink/utils/config-report.formatYAML
+ */
+function formatYAML(report){
+  return yaml.safeDump(report, {skipInvalid: true});
+}
+
+/**
+ * Formats a config report as human-readable text, which lists every config
+ * value alongside where it came from.
+ *
+ * @param {module:gulp-kitchen-sink/utils/config-report~configReport} report
+ *                      The report to format.
+ *
+ * @returns {string}    The text.
+ *
+ * @alias module:gulp-kitchen-sink/utils/config-report.formatText
+ */
+function formatText(report){
+  const values = objects.flatten(report.config);
+  const keyPaths = Object.keys(report.sources);
+  const lines = ['Build config (mode: ' + report.mode + ')', ''];
+
+  const rows = keyPaths.map(function(keyPath){
+    return [keyPath, formatValue(values[keyPath]), report.sources[keyPath]];
+  });
+  const widths = [0, 0];
+  rows.forEach(function(row){
+    widths[0] = Math.max(widths[0], row[0].length);
+    widths[1] = Math.max(widths[1], row[1].length);
+  });
+  rows.forEach(function(row){
+    lines.push('  ' + pad(row[0], widths[0]) + '  ' + pad(row[1], widths[1]) + '  (' + row[2] + ')');
+  });
+
+  const groupNames = Object.keys(report.groups);
+  if(groupNames.length > 0){
+    lines.push('', 'Task groups', '');
+    groupNames.forEach(function(groupName){
+      const groupReport = report.groups[groupName];
+      lines.push('  ' + groupName + ' (config section: ' + groupReport.configSection + ')');
+      Object.keys(groupReport.actions).forEach(function(actionName){
+        const actionReport = groupReport.actions[actionName];
+        lines.push('    ' + actionReport.taskName);
+        lines.push('      srcGlobs: ' + [].concat(actionReport.srcGlobs).join(', '));
+        lines.push('      bldPath:  ' + actionReport.bldPath);
+      });
+    });
+  }
+
+  return lines.join('\n');
+}
+
+// Formats a config value for formatText()
+function formatValue(value){
+  if(typeof value === 'function'){
+    return '[function' + (value.name ? ' ' + value.name : '') + ']';
+  }
+  return value === undefined ? 'undefined' : JSON.stringify(value);
+}
+
+// Pads a string with trailing spaces, up to the given length
+function pad(str, length){
+  while(str.length < length){
+    str += ' ';
+  }
+  return str;
+}
+
+
+/**
+ * @module gulp-kitchen-sink/utils/config-report
+ */
+module.exports = {
+  createReport: createReport,
+  formatJSON: formatJSON,
+  formatYAML: formatYAML,
+  formatText: formatText
+};
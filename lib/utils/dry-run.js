@@ -0,0 +1,131 @@
+/**
+ * Module that exports functions for describing what the actions of task
+ * groups would do, without running them, and formatting those descriptions
+ * for output.
+ *
+ * @file
+ */
+"use strict";
+
+const glob = require('glob');
+
+
+/**
+ * A description of what one action would do when run.
+ *
+ * @typedef {Object} module:gulp-kitchen-sink/utils/dry-run~step
+ *
+ * @property {string} taskName      The name of the action's task.
+ * @property {string} groupName     The name of the action's task group.
+ * @property {string} actionName    The action's name.
+ * @property {string[]} srcGlobs    The source globs the action reads. Empty if it reads
+ *                                  no source files.
+ * @property {string[]} files       The files that the source globs currently match.
+ * @property {?string} destPath     The path the action writes its output to, or `null`
+ *                                  if it writes no files.
+ */
+
+
+/**
+ * Returns the files that some globs match.
+ *
+ * As with `gulp.src()`, globs that start with `!` exclude the files they
+ * match. Directories are not included.
+ *
+ * @param {string|string[]} globs   The globs to match.
+ * @param {string} [cwd]            The directory relative globs are resolved against.
+ *                                  Defaults to the current working directory.
+ *
+ * @returns {string[]}  The matched file paths, sorted and without duplicates.
+ *
+ * @alias module:gulp-kitchen-sink/utils/dry-run.matchFiles
+ */
+function matchFiles(globs, cwd){
+  globs = [].concat(globs);
+  const ignore = globs.filter(function(pattern){
+    return pattern.charAt(0) === '!';
+  }).map(function(pattern){
+    return pattern.slice(1);
+  });
+  const files = [];
+
+  globs.forEach(function(pattern){
+    if(pattern.charAt(0) === '!'){
+      return;
+    }
+    glob.sync(pattern, {cwd: cwd || process.cwd(), ignore: ignore, nodir: true}).forEach(function(file){
+      if(files.indexOf(file) === -1){
+        files.push(file);
+      }
+    });
+  });
+
+  return files.sort();
+}
+
+/**
+ * Describes what an action of a task group would do when run.
+ *
+ * The source globs and destination path are the action's inputs and output
+ * directory (see {@link module:gulp-kitchen-sink/types/task-group#actionInputs|actionInputs()}
+ * and {@link module:gulp-kitchen-sink/types/task-group#actionDestPath|actionDestPath()}).
+ *
+ * @param {module:gulp-kitchen-sink/types/task-group} taskGroup
+ *                              The task group.
+ * @param {string} actionName   The name of the action to describe.
+ *
+ * @returns {module:gulp-kitchen-sink/utils/dry-run~step}  The description.
+ *
+ * @alias module:gulp-kitchen-sink/utils/dry-run.createStep
+ */
+function createStep(taskGroup, actionName){
+  const srcGlobs = taskGroup.actionInputs(actionName);
+  return {
+    taskName: taskGroup.taskName(actionName),
+    groupName: taskGroup.groupName,
+    actionName: actionName,
+    srcGlobs: srcGlobs,
+    files: srcGlobs.length > 0 ? matchFiles(srcGlobs) : [],
+    destPath: taskGroup.actionDestPath(actionName)
+  };
+}
+
+/**
+ * Formats the description of an action as human-readable text.
+ *
+ * @param {module:gulp-kitchen-sink/utils/dry-run~step} step
+ *                      The description to format.
+ *
+ * @returns {string}    The text.
+ *
+ * @alias module:gulp-kitchen-sink/utils/dry-run.formatStep
+ */
+function formatStep(step){
+  const lines = [step.taskName];
+
+  if(step.srcGlobs.length > 0){
+    lines.push('  Source globs: ' + step.srcGlobs.join(', '));
+    lines.push('  Matched files (' + step.files.length + '):');
+    step.files.forEach(function(file){
+      lines.push('    ' + file);
+    });
+  }
+  if(step.destPath !== null){
+    lines.push('  Destination: ' + step.destPath);
+  }
+  if(step.srcGlobs.length === 0 && step.destPath === null){
+    lines.push('  (reads and writes no files)');
+  }
+
+  return lines.join('\n');
+}
+
+
+/**
+ * @module gulp-kitchen-sink/utils/dry-run
+ */
+module.exports = {
+  matchFiles: matchFiles,
+  createStep: createStep,
+  formatStep: formatStep
+};
@@ -0,0 +1,215 @@
+/**
+ * Module that exports functions for discovering task group modules in
+ * installed npm packages.
+ *
+ * @file
+ */
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+
+/**
+ * The name prefix of packages that provide a task group.
+ *
+ * A package named `gulp-kitchen-sink-group-svg` (or `@scope/gulp-kitchen-sink-group-svg`)
+ * provides the `svg` task group via its main module.
+ *
+ * @type {string}
+ * @inner
+ * @private
+ * @memberof module:gulp-kitchen-sink/utils/group-packages
+ */
+const PACKAGE_PREFIX = 'gulp-kitchen-sink-group-';
+
+/**
+ * The package.json field that packages can use to declare the task groups they
+ * provide, as an object mapping group names to module paths (relative to the
+ * package's directory).
+ *
+ * @type {string}
+ * @inner
+ * @private
+ * @memberof module:gulp-kitchen-sink/utils/group-packages
+ */
+const PACKAGE_FIELD = 'kitchenSinkGroups';
+
+/**
+ * The name of this package, which task group packages can declare as a peer
+ * dependency to state which versions they are compatible with.
+ *
+ * @type {string}
+ * @inner
+ * @private
+ * @memberof module:gulp-kitchen-sink/utils/group-packages
+ */
+const KITCHEN_SINK_PACKAGE = 'gulp-kitchen-sink';
+
+
+/**
+ * A task group that is provided by an installed package.
+ *
+ * @typedef {Object} module:gulp-kitchen-sink/utils/group-packages~groupPackage
+ *
+ * @property {string} groupName         The task group's name.
+ * @property {string} packageName       The name of the package that provides it.
+ * @property {string} version           The package's version.
+ * @property {string} modulePath        The path of the task group module.
+ * @property {?string} requiredVersion  The versions of `gulp-kitchen-sink` the package
+ *                                      works with (a semver range), if it declares them.
+ */
+
+
+// Reads and parses a package.json file. Returns null if it
+// cannot be read.
+function readPackageJson(packageDir){
+  try{
+    return JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8'));
+  }
+  catch(e){
+    return null;
+  }
+}
+
+// Returns the names of all packages in a node_modules directory,
+// including scoped ones
+function listPackages(nodeModulesDir){
+  var entries;
+  try{
+    entries = fs.readdirSync(nodeModulesDir);
+  }
+  catch(e){
+    return [];
+  }
+
+  return entries.reduce(function(packageNames, entry){
+    if(entry.charAt(0) === '@'){
+      return packageNames.concat(listPackages(path.join(nodeModulesDir, entry)).map(function(name){
+        return entry + '/' + name;
+      }));
+    }
+    if(entry.charAt(0) !== '.'){
+      packageNames.push(entry);
+    }
+    return packageNames;
+  }, []);
+}
+
+// Returns the task groups that a package provides
+function packageGroups(packageName, packageDir){
+  const pkg = readPackageJson(packageDir);
+  if(!pkg){
+    return [];
+  }
+
+  const peerDeps = pkg.peerDependencies || {};
+  const deps = pkg.dependencies || {};
+  const info = function(groupName, modulePath){
+    return {
+      groupName: groupName,
+      packageName: packageName,
+      version: pkg.version,
+      modulePath: modulePath,
+      requiredVersion: peerDeps[KITCHEN_SINK_PACKAGE] || deps[KITCHEN_SINK_PACKAGE] || null
+    };
+  };
+
+  if(pkg[PACKAGE_FIELD] && typeof pkg[PACKAGE_FIELD] === 'object'){
+    return Object.keys(pkg[PACKAGE_FIELD]).map(function(groupName){
+      return info(groupName, path.resolve(packageDir, pkg[PACKAGE_FIELD][groupName]));
+    });
+  }
+
+  const baseName = packageName.split('/').pop();
+  if(baseName.indexOf(PACKAGE_PREFIX) === 0 && baseName.length > PACKAGE_PREFIX.length){
+    return [info(baseName.slice(PACKAGE_PREFIX.length), packageDir)];
+  }
+  return [];
+}
+
+/**
+ * Finds the task groups provided by installed packages.
+ *
+ * Packages are looked for in the `node_modules` directory of a directory and,
+ * if requested, in those of its ancestors. A package provides task groups if either:
+ *
+ * * Its name is `gulp-kitchen-sink-group-[groupName]` (optionally scoped), in
+ *   which case its main module is the task group module.
+ * * Its package.json has a `kitchenSinkGroups` field, which maps group names to
+ *   the paths of task group modules within the package.
+ *
+ * If several packages provide a task group with the same name, the one in the
+ * nearest `node_modules` directory is used.
+ *
+ * Note that this does not load any of the task group modules.
+ *
+ * @param {string} baseDir    The directory to start looking in.
+ * @param {boolean} [includeAncestors=false]
+ *                            Whether to look in the `node_modules` directories of
+ *                            the directory's ancestors as well.
+ *
+ * @returns {Object.<string, module:gulp-kitchen-sink/utils/group-packages~groupPackage>}
+ *                            The task groups, keyed by group name.
+ *
+ * @alias module:gulp-kitchen-sink/utils/group-packages.findGroupPackages
+ */
+function findGroupPackages(baseDir, includeAncestors){
+  const groups = {};
+  var dir = path.resolve(baseDir);
+  var parentDir, nodeModulesDir;
+
+  for(;;){
+    nodeModulesDir = path.join(dir, 'node_modules');
+    listPackages(nodeModulesDir).forEach(function(packageName){
+      packageGroups(packageName, path.join(nodeModulesDir, packageName)).forEach(function(group){
+        if(!groups.hasOwnProperty(group.groupName)){
+          groups[group.groupName] = group;
+        }
+      });
+    });
+
+    parentDir = path.dirname(dir);
+    if(!includeAncestors || parentDir === dir){
+      return groups;
+    }
+    dir = parentDir;
+  }
+}
+
+/**
+ * Checks whether a task group package works with a version of
+ * `gulp-kitchen-sink`.
+ *
+ * @param {module:gulp-kitchen-sink/utils/group-packages~groupPackage} group
+ *                            The task group package.
+ * @param {string} version    The `gulp-kitchen-sink` version.
+ *
+ * @returns {?string}         A description of the problem, or `null` if the package
+ *                            works with the version (or does not say which versions
+ *                            it works with).
+ *
+ * @alias module:gulp-kitchen-sink/utils/group-packages.checkCompatibility
+ */
+function checkCompatibility(group, version){
+  const from = 'The "' + group.groupName + '" task group from ' + group.packageName + '@' + group.version;
+  if(!group.requiredVersion){
+    return null;
+  }
+  if(!semver.validRange(group.requiredVersion)){
+    return from + ' declares an invalid gulp-kitchen-sink version range: "' + group.requiredVersion + '".';
+  }
+  if(!semver.satisfies(version, group.requiredVersion)){
+    return from + ' requires gulp-kitchen-sink ' + group.requiredVersion + ', but ' + version + ' is installed. It may not work as expected.';
+  }
+  return null;
+}
+
+
+/**
+ * @module gulp-kitchen-sink/utils/group-packages
+ */
+module.exports = {
+  findGroupPackages: findGroupPackages,
+  checkCompatibility: checkCompatibility
+};
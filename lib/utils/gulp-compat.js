@@ -0,0 +1,174 @@
+/**
+ * Module that exports functions for using Gulp 3 and Gulp 4 instances
+ * interchangeably.
+ *
+ * Gulp 4 replaced Gulp 3's `gulp.task(name, deps, fn)` signature with
+ * `gulp.series()` and `gulp.parallel()` for composing tasks. These functions
+ * hide the differences from the task group layer.
+ *
+ * @file
+ */
+"use strict";
+
+
+/**
+ * Checks if a Gulp instance is Gulp 4 (or later).
+ *
+ * Rather than looking at version numbers, this checks for the presence of
+ * the `gulp.series()` and `gulp.parallel()` functions that were added in
+ * Gulp 4.
+ *
+ * @param {external:gulp} gulp  The Gulp instance to check.
+ *
+ * @returns {boolean}   True if `gulp` is Gulp 4 (or later).
+ *
+ * @alias module:gulp-kitchen-sink/utils/gulp-compat.isGulp4
+ */
+function isGulp4(gulp){
+  return typeof gulp.series === 'function' && typeof gulp.parallel === 'function';
+}
+
+/**
+ * Checks if a task has been added to a Gulp instance.
+ *
+ * @param {external:gulp} gulp    The Gulp instance.
+ * @param {string} taskName       The task name to check.
+ *
+ * @returns {boolean}   True if the task exists.
+ *
+ * @alias module:gulp-kitchen-sink/utils/gulp-compat.hasTask
+ */
+function hasTask(gulp, taskName){
+  if(isGulp4(gulp)){
+    return !!gulp.task(taskName);
+  }
+  return gulp.hasTask(taskName);
+}
+
+/**
+ * Adds a task with dependencies to a Gulp instance.
+ *
+ * On Gulp 3, the task is added via `gulp.task(name, deps, fn)`, so its
+ * dependencies always run concurrently (Gulp 3 has no way of running them
+ * in series) before the task itself.
+ *
+ * On Gulp 4, the task's dependencies are composed via `gulp.series()` or
+ * `gulp.parallel()` and run before the task itself. If some dependencies
+ * have not been added to Gulp yet, their composition is deferred until the
+ * task runs, since Gulp 4 needs to look up tasks when composing them. Any
+ * description and flags are set on the task function, so that `gulp --tasks`
+ * shows them.
+ *
+ * @param {external:gulp} gulp        The Gulp instance to add the task to.
+ * @param {string} taskName           The task's name.
+ * @param {string[]} depNames         The names of the tasks it depends on.
+ * @param {external:gulp~gulpTaskFn} fn
+ *                                    The function that performs the task.
+ * @param {Object} [options]          Options.
+ * @param {boolean} [options.series=false]
+ *                                    Whether the dependencies should run one after
+ *                                    the other (in the given order), rather than
+ *                                    concurrently. Only supported on Gulp 4.
+ * @param {string} [options.description]
+ *                                    A description of the task. Only used on Gulp 4.
+ * @param {Object.<string, string>} [options.flags]
+ *                                    Descriptions of the command-line flags the task
+ *                                    supports, keyed by flag. Only used on Gulp 4.
+ *
+ * @returns {function}  The function that was added as the task.
+ *
+ * @alias module:gulp-kitchen-sink/utils/gulp-compat.defineTask
+ */
+function defineTask(gulp, taskName, depNames, fn, options){
+  options = options || {};
+  depNames = depNames || [];
+
+  if(!isGulp4(gulp)){
+    if(depNames.length > 0){
+      gulp.task(taskName, depNames, fn);
+    }
+    else{
+      gulp.task(taskName, fn);
+    }
+    return fn;
+  }
+
+  var taskFn = fn;
+  if(depNames.length > 0){
+    const compose = function(){
+      const deps = options.series ? gulp.series.apply(gulp, depNames) : gulp.parallel.apply(gulp, depNames);
+      return gulp.series(deps, fn);
+    };
+    const allDefined = depNames.every(function(depName){
+      return hasTask(gulp, depName);
+    });
+
+    if(allDefined){
+      taskFn = compose();
+    }
+    else{
+      taskFn = function(done){
+        return compose()(done);
+      };
+    }
+  }
+  if(options.description){
+    taskFn.description = options.description;
+  }
+  if(options.flags){
+    taskFn.flags = options.flags;
+  }
+  gulp.task(taskName, taskFn);
+  return taskFn;
+}
+
+/**
+ * Runs tasks of a Gulp instance, as the `gulp` command-line tool would.
+ *
+ * On Gulp 3, the tasks are run via `gulp.start()`, so they run concurrently
+ * (after their dependencies). On Gulp 4, they are run one after the other via
+ * `gulp.series()`.
+ *
+ * @param {external:gulp} gulp        The Gulp instance.
+ * @param {string[]} taskNames        The names of the tasks to run.
+ * @param {function(?Error)} callback Called when the tasks have finished, with
+ *                                    the error that made them fail (if any).
+ *
+ * @alias module:gulp-kitchen-sink/utils/gulp-compat.runTasks
+ */
+function runTasks(gulp, taskNames, callback){
+  if(!isGulp4(gulp)){
+    gulp.start.apply(gulp, taskNames.concat(function(err){
+      callback(err || null);
+    }));
+    return;
+  }
+
+  var composed;
+  try{
+    composed = gulp.series.apply(gulp, taskNames);
+  }
+  catch(e){
+    callback(e);
+    return;
+  }
+  // Gulp 4 also emits an error event for each task that fails, which
+  // throws if nobody listens (as the gulp command-line tool does)
+  const ignoreError = function(){};
+  gulp.on('error', ignoreError);
+  composed(function(err){
+    gulp.removeListener('error', ignoreError);
+    callback(err || null);
+  });
+}
+
+
+/**
+ * @module gulp-kitchen-sink/utils/gulp-compat
+ */
+module.exports = {
+  isGulp4: isGulp4,
+  hasTask: hasTask,
+  defineTask: defineTask,
+  runTasks: runTasks
+};
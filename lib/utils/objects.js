@@ -0,0 +1,281 @@
+/**
+ * Module that exports a number of helper functions for working with
+ * plain objects, such as the sections of a build config.
+ *
+ * @file
+ */
+"use strict";
+
+
+/**
+ * Keys that are never merged or set, since writing to them would modify
+ * the prototypes of objects (e.g. via `__proto__` keys in a config file
+ * or a `--ks.__proto__.x` flag), rather than the objects themselves.
+ *
+ * @type {string[]}
+ * @inner
+ * @private
+ * @memberof module:gulp-kitchen-sink/utils/objects
+ */
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+
+/**
+ * Checks whether a value is a plain object (i.e. an object literal
+ * or something created via `new Object()`).
+ *
+ * Arrays, functions, `null`, regular expressions, etc. are *not*
+ * considered to be plain objects.
+ *
+ * @param {*} value   The value to check.
+ *
+ * @returns {boolean} True if the value is a plain object, false
+ *                    otherwise.
+ *
+ * @alias module:gulp-kitchen-sink/utils/objects.isPlainObject
+ */
+function isPlainObject(value){
+  if(value === null || typeof value !== 'object'){
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Recursively merges the properties of a source object into a
+ * target object.
+ *
+ * Plain objects are merged key by key. All other values (including
+ * arrays) replace whatever the target had. Properties whose value is
+ * `undefined` are ignored, as are `__proto__`, `constructor` and
+ * `prototype` properties.
+ *
+ * The target object is modified in place.
+ *
+ * @example
+ *
+ * deepMerge(
+ *   { paths: { srcRoot: 'src', bldRootDev: 'dist' } },
+ *   { paths: { srcRoot: 'source' } }
+ * );
+ * // Returns { paths: { srcRoot: 'source', bldRootDev: 'dist' } }
+ *
+ * @param {Object} target   The object to merge into.
+ * @param {Object} source   The object whose properties should be merged in.
+ *
+ * @returns {Object}  The target object.
+ *
+ * @alias module:gulp-kitchen-sink/utils/objects.deepMerge
+ */
+function deepMerge(target, source){
+  var key, value;
+  for(key in source){
+    if(!source.hasOwnProperty(key) || UNSAFE_KEYS.indexOf(key) !== -1){
+      continue;
+    }
+    value = source[key];
+    if(value === undefined){
+      continue;
+    }
+    if(isPlainObject(value)){
+      if(!isPlainObject(target[key])){
+        target[key] = {};
+      }
+      deepMerge(target[key], value);
+    }
+    else if(value instanceof Array){
+      target[key] = value.slice();
+    }
+    else{
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+/**
+ * Creates a deep copy of a value.
+ *
+ * Plain objects and arrays are copied recursively. All other values
+ * (including functions) are copied by reference.
+ *
+ * @param {*} value   The value to copy.
+ *
+ * @returns {*}       The copy.
+ *
+ * @alias module:gulp-kitchen-sink/utils/objects.deepClone
+ */
+function deepClone(value){
+  if(value instanceof Array){
+    return value.map(deepClone);
+  }
+  if(isPlainObject(value)){
+    const copy = {};
+    for(var key in value){
+      if(value.hasOwnProperty(key)){
+        copy[key] = deepClone(value[key]);
+      }
+    }
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * Checks whether two values are deeply equal.
+ *
+ * Plain objects and arrays are compared recursively. All other values
+ * are compared using `===`.
+ *
+ * @param {*} a   The first value.
+ * @param {*} b   The second value.
+ *
+ * @returns {boolean}   True if the values are equal, false otherwise.
+ *
+ * @alias module:gulp-kitchen-sink/utils/objects.deepEqual
+ */
+function deepEqual(a, b){
+  var i, key;
+  if(a instanceof Array && b instanceof Array){
+    if(a.length !== b.length){
+      return false;
+    }
+    for(i=0; i<a.length; ++i){
+      if(!deepEqual(a[i], b[i])){
+        return false;
+      }
+    }
+    return true;
+  }
+  if(isPlainObject(a) && isPlainObject(b)){
+    const aKeys = Object.keys(a);
+    if(aKeys.length !== Object.keys(b).length){
+      return false;
+    }
+    for(i=0; i<aKeys.length; ++i){
+      key = aKeys[i];
+      if(!b.hasOwnProperty(key) || !deepEqual(a[key], b[key])){
+        return false;
+      }
+    }
+    return true;
+  }
+  return a === b;
+}
+
+/**
+ * Flattens an object into a map of key paths and values.
+ *
+ * Nested plain objects are recursed into, so that only their "leaf"
+ * values (i.e. anything that isn't a plain object, as well as empty
+ * plain objects) end up in the result. The key paths use dots as
+ * separators.
+ *
+ * @example
+ *
+ * flatten({ paths: { srcRoot: 'src' }, less: { srcFiles: ['a.less'], lessConfig: {} } });
+ * // Returns:
+ * // {
+ * //   'paths.srcRoot': 'src',
+ * //   'less.srcFiles': ['a.less'],
+ * //   'less.lessConfig': {}
+ * // }
+ *
+ * @param {Object} obj        The object to flatten.
+ * @param {string} [prefix]   A key path to prepend to all key paths.
+ *
+ * @returns {Object.<string, *>}  The flattened key paths and values.
+ *
+ * @alias module:gulp-kitchen-sink/utils/objects.flatten
+ */
+function flatten(obj, prefix){
+  const result = {};
+  var key, keyPath, value, nested, nestedKey;
+  for(key in obj){
+    if(!obj.hasOwnProperty(key)){
+      continue;
+    }
+    keyPath = prefix ? prefix + '.' + key : key;
+    value = obj[key];
+    if(isPlainObject(value) && Object.keys(value).length > 0){
+      nested = flatten(value, keyPath);
+      for(nestedKey in nested){
+        result[nestedKey] = nested[nestedKey];
+      }
+    }
+    else{
+      result[keyPath] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Returns the value at the given key path of an object.
+ *
+ * @param {Object} obj        The object.
+ * @param {string} keyPath    The key path, using dots as separators
+ *                            (e.g. `'paths.srcRoot'`).
+ *
+ * @returns {*}   The value, or `undefined` if there is none.
+ *
+ * @alias module:gulp-kitchen-sink/utils/objects.getPath
+ */
+function getPath(obj, keyPath){
+  const keys = keyPath.split('.');
+  var value = obj;
+  for(var i=0; i<keys.length; ++i){
+    if(value === null || typeof value !== 'object' || !value.hasOwnProperty(keys[i])){
+      return undefined;
+    }
+    value = value[keys[i]];
+  }
+  return value;
+}
+
+/**
+ * Sets the value at the given key path of an object.
+ *
+ * Any missing (or non-object) intermediate values are replaced with
+ * empty objects. Key paths containing `__proto__`, `constructor` or
+ * `prototype` keys are ignored.
+ *
+ * @param {Object} obj        The object.
+ * @param {string} keyPath    The key path, using dots as separators
+ *                            (e.g. `'paths.srcRoot'`).
+ * @param {*} value           The value to set.
+ *
+ * @alias module:gulp-kitchen-sink/utils/objects.setPath
+ */
+function setPath(obj, keyPath, value){
+  const keys = keyPath.split('.');
+  var target = obj;
+  const isUnsafe = keys.some(function(key){
+    return UNSAFE_KEYS.indexOf(key) !== -1;
+  });
+  if(isUnsafe){
+    return;
+  }
+  for(var i=0; i<keys.length-1; ++i){
+    if(target[keys[i]] === null || typeof target[keys[i]] !== 'object'){
+      target[keys[i]] = {};
+    }
+    target = target[keys[i]];
+  }
+  target[keys[keys.length-1]] = value;
+}
+
+
+/**
+ * @module gulp-kitchen-sink/utils/objects
+ */
+module.exports = {
+  isPlainObject: isPlainObject,
+  deepMerge: deepMerge,
+  deepClone: deepClone,
+  deepEqual: deepEqual,
+  flatten: flatten,
+  getPath: getPath,
+  setPath: setPath
+};
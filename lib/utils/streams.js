@@ -0,0 +1,45 @@
+/**
+ * Module that exports helper functions for working with the streams
+ * that Gulp tasks are made of.
+ *
+ * @file
+ */
+"use strict";
+
+
+/**
+ * Pipes streams into each other and returns the last one, which also
+ * emits the errors of all the others.
+ *
+ * Unlike chaining `pipe()` calls, this ensures that an error in any stage
+ * (e.g. a plug-in failing to compile a file) reaches whoever listens to
+ * the returned stream, such as Gulp when the stream is returned by a task.
+ * Otherwise, the error would be thrown by a stream nobody listens to and
+ * the task would never finish.
+ *
+ * @param {Stream[]} streams  The streams to pipe into each other, in order.
+ *
+ * @returns {Stream}          The last stream.
+ *
+ * @alias module:gulp-kitchen-sink/utils/streams.pipeline
+ */
+function pipeline(streams){
+  const last = streams[streams.length - 1];
+  const forwardError = function(err){
+    last.emit('error', err);
+  };
+
+  streams.reduce(function(prev, next){
+    prev.on('error', forwardError);
+    return prev.pipe(next);
+  });
+  return last;
+}
+
+
+/**
+ * @module gulp-kitchen-sink/utils/streams
+ */
+module.exports = {
+  pipeline: pipeline
+};
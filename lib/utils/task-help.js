@@ -0,0 +1,133 @@
+/**
+ * Module that exports functions for describing the tasks that were added
+ * to Gulp via a group loader and formatting those descriptions for output.
+ *
+ * @file
+ */
+"use strict";
+
+
+/**
+ * A description of the tasks of one task group.
+ *
+ * @typedef {Object} module:gulp-kitchen-sink/utils/task-help~groupHelp
+ *
+ * @property {string} groupName     The task group's name.
+ * @property {Object[]} tasks       For each of the group's tasks, its `taskName`, `actionName`,
+ *                                  `deps` (the task names it depends on) and the `description`,
+ *                                  `flags` and `examples` from its action's options.
+ *                                  (Examples given as a function are created when
+ *                                  the help is, using the task's current name.)
+ */
+
+
+/**
+ * Describes all tasks that were added to Gulp via a group loader, grouped by
+ * task group.
+ *
+ * @param {module:gulp-kitchen-sink/types/group-loader} loader
+ *                        The group loader.
+ *
+ * @returns {module:gulp-kitchen-sink/utils/task-help~groupHelp[]}
+ *                        The descriptions, with task groups and tasks in the
+ *                        order they were added.
+ *
+ * @alias module:gulp-kitchen-sink/utils/task-help.createHelp
+ */
+function createHelp(loader){
+  const groups = [];
+  const groupsByName = {};
+
+  loader.registeredTasks().forEach(function(taskName){
+    const owner = loader.taskOwner(taskName);
+    const taskGroup = loader.taskGroup(owner.groupName);
+    const options = taskGroup.getActionOptions(owner.actionName);
+
+    if(!groupsByName.hasOwnProperty(owner.groupName)){
+      groupsByName[owner.groupName] = {
+        groupName: owner.groupName,
+        tasks: []
+      };
+      groups.push(groupsByName[owner.groupName]);
+    }
+
+    groupsByName[owner.groupName].tasks.push({
+      taskName: taskName,
+      actionName: owner.actionName,
+      deps: taskGroup.resolveDeps(taskGroup.getActionDeps(owner.actionName)),
+      description: options.description || '',
+      flags: options.flags || {},
+      examples: (typeof options.examples === 'function' ? options.examples(taskName) : options.examples) || []
+    });
+  });
+
+  return groups;
+}
+
+/**
+ * Formats task descriptions as human-readable text.
+ *
+ * @param {module:gulp-kitchen-sink/utils/task-help~groupHelp[]} help
+ *                      The task descriptions to format.
+ *
+ * @returns {string}    The text.
+ *
+ * @alias module:gulp-kitchen-sink/utils/task-help.formatHelp
+ */
+function formatHelp(help){
+  const lines = ['Kitchen sink tasks'];
+
+  if(help.length === 0){
+    lines.push('', '  (none)');
+  }
+
+  help.forEach(function(groupHelp){
+    lines.push('', groupHelp.groupName);
+    groupHelp.tasks.forEach(function(taskHelp){
+      lines.push('  ' + taskHelp.taskName);
+      if(taskHelp.description){
+        lines.push('    ' + taskHelp.description);
+      }
+      if(taskHelp.deps.length > 0){
+        lines.push('    Depends on: ' + taskHelp.deps.join(', '));
+      }
+
+      const flags = Object.keys(taskHelp.flags);
+      if(flags.length > 0){
+        const width = Math.max.apply(Math, flags.map(function(flag){
+          return flag.length;
+        }));
+        lines.push('    Flags:');
+        flags.forEach(function(flag){
+          lines.push('      ' + pad(flag, width) + '  ' + taskHelp.flags[flag]);
+        });
+      }
+
+      if(taskHelp.examples.length > 0){
+        lines.push('    Examples:');
+        taskHelp.examples.forEach(function(example){
+          lines.push('      ' + example);
+        });
+      }
+    });
+  });
+
+  return lines.join('\n');
+}
+
+// Pads a string with trailing spaces, up to the given length
+function pad(str, length){
+  while(str.length < length){
+    str += ' ';
+  }
+  return str;
+}
+
+
+/**
+ * @module gulp-kitchen-sink/utils/task-help
+ */
+module.exports = {
+  createHelp: createHelp,
+  formatHelp: formatHelp
+};
@@ -0,0 +1,641 @@
+/*
+ Jasmine unit tests for the KitchenSink class in index.js
+ */
+describe("A KitchenSink", function(){
+  "use strict";
+
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+
+  const TEST_CONFIG_DIR = path.join(__dirname, 'testdata/config/');
+
+  const ActionGraph = require('../lib/types/action-graph');
+  const BuildConfig = require('../lib/types/build-config');
+  const globalConfig = require('../lib/shared/config');
+  const gulpCompat = require('../lib/utils/gulp-compat');
+  const kitchenSink = require('../lib');
+
+  const gulp = require('gulp');
+
+  afterEach(function(){
+    // Reset Gulp (this will remove any tasks
+    // that might have been added by a test)
+    gulp.reset();
+  });
+
+
+  // Tests
+
+  it("uses the global build config by default", function(){
+    const ks = kitchenSink(gulp, {configFile: false});
+    expect(ks.config).toBe(globalConfig);
+  });
+
+  it("can use its own isolated build config", function(){
+    const ks1 = kitchenSink(gulp, {isolated: true, configFile: false});
+    const ks2 = kitchenSink(gulp, {isolated: true, configFile: false});
+
+    expect(ks1.config instanceof BuildConfig).toBe(true);
+    expect(ks1.config).not.toBe(globalConfig);
+    expect(ks1.config).not.toBe(ks2.config);
+
+    ks1.config.paths.srcRoot = 'foo';
+    expect(ks2.config.paths.srcRoot).toEqual('src');
+    expect(globalConfig.paths.srcRoot).toEqual('src');
+  });
+
+  it("can use a given build config", function(){
+    const config = new BuildConfig();
+    const ks = kitchenSink(gulp, {config: config, configFile: false});
+    expect(ks.config).toBe(config);
+  });
+
+  it("can derive its build config from a parent config", function(){
+    const parentConfig = new BuildConfig();
+    parentConfig.paths.srcRoot = 'parent-src';
+
+    const ks = kitchenSink(gulp, {parentConfig: parentConfig, configFile: false});
+    expect(ks.config).not.toBe(parentConfig);
+    expect(ks.config.paths.srcRoot).toEqual('parent-src');
+
+    ks.config.paths.srcRoot = 'child-src';
+    expect(parentConfig.paths.srcRoot).toEqual('parent-src');
+  });
+
+  it("passes its build config to the task groups it loads", function(){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false});
+    ks.addTask('less', 'build');
+    expect(ks._groupLoader.taskGroup('less').config).toBe(ks.config);
+  });
+
+  it("loads a project config file", function(){
+    const ks = kitchenSink(gulp, {isolated: true, cwd: path.join(TEST_CONFIG_DIR, 'json')});
+    expect(ks.config.paths.srcRoot).toEqual('json-src');
+    expect(ks.config.less.srcFiles).toEqual(['main.less']);
+    // Other values are left as they were
+    expect(ks.config.less.bldDir).toEqual('less');
+  });
+
+  it("merges a project config file into its own copy of the global build config", function(){
+    const cwd = path.join(TEST_CONFIG_DIR, 'json');
+    const ks1 = kitchenSink(gulp, {cwd: cwd});
+    expect(ks1.config).not.toBe(globalConfig);
+    expect(ks1.config.paths.srcRoot).toEqual('json-src');
+    expect(globalConfig.paths.srcRoot).toEqual('src');
+
+    ks1.config.paths.srcRoot = 'edited-src';
+    ks1.config.less.srcFiles = ['edited.less'];
+    const ks2 = kitchenSink(gulp, {cwd: cwd});
+    expect(ks1.config.paths.srcRoot).toEqual('edited-src');
+    expect(ks1.config.less.srcFiles).toEqual(['edited.less']);
+    expect(ks2.config.paths.srcRoot).toEqual('json-src');
+    expect(globalConfig.paths.srcRoot).toEqual('src');
+  });
+
+  it("merges the presets a project config file extends", function(){
+    const ks = kitchenSink(gulp, {isolated: true, cwd: path.join(TEST_CONFIG_DIR, 'preset')});
+    expect(ks.config.paths.srcRoot).toEqual('project-src');
+    expect(ks.config.paths.bldRootDev).toEqual('team-dist');
+    expect(ks.config.paths.bldRootProd).toEqual('base-dist');
+    expect(ks.config.less.bldDir).toEqual('css');
+    expect(ks.config.sourceOf('paths.bldRootDev')).toEqual('preset @ourteam/kitchen-sink-preset');
+  });
+
+  it("adds the tasks selected by the build config", function(){
+    const ks = kitchenSink(gulp, {isolated: true, cwd: path.join(TEST_CONFIG_DIR, 'preset')});
+    expect(ks.config.tasks.use).toEqual({ less: ['build'], config: true });
+
+    ks.config.tasks.use.config = false;
+    ks.config.tasks.use.less = ['build', 'hint'];
+    expect(ks.addSelectedTasks()).toEqual(['less:build', 'less:hint']);
+    expect(gulp.hasTask('config:json')).toBe(false);
+  });
+
+  it("rejects invalid task selections", function(){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false});
+    ks.config.tasks.use = { less: 'build' };
+    expect(function(){
+      ks.addSelectedTasks();
+    }).toThrowError(/Invalid task selection for group "less"/);
+  });
+
+  it("can set the build mode", function(){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false, mode: 'prod'});
+    expect(ks.config.mode).toEqual(BuildConfig.MODE_PROD);
+  });
+
+  it("applies config overrides from the environment and CLI flags", function(){
+    const ks = kitchenSink(gulp, {
+      isolated: true,
+      cwd: path.join(TEST_CONFIG_DIR, 'json'),
+      env: { KS_PATHS_SRCROOT: './alt', NODE_ENV: 'production' },
+      argv: ['node', 'gulp', '--ks.mode=dev']
+    });
+    // Overrides win over the config file...
+    expect(ks.config.paths.srcRoot).toEqual('./alt');
+    // ...and over the detected build mode
+    expect(ks.config.mode).toEqual(BuildConfig.MODE_DEV);
+    expect(ks.config.sourceOf('mode')).toEqual('CLI flag --ks.mode');
+  });
+
+  it("validates the build config before adding tasks", function(){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false});
+    ks.config.less.srcFile = 'foo.less';
+    expect(function(){
+      ks.addTask('less', 'build');
+    }).toThrowError(/less\.srcFile: Unknown setting\. Did you mean "srcFiles"\?/);
+    expect(gulp.hasTask('less:build')).toBe(false);
+  });
+
+
+  it("checks action dependencies before adding tasks", function(){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false});
+    expect(function(){
+      ks.addTask('less', 'nope');
+    }).toThrowError(ActionGraph.ActionGraphError, /The "less" task group has no "nope" action\./);
+    expect(function(){
+      ks.addTask('nope', 'build');
+    }).toThrowError(/Unknown task group "nope"/);
+    expect(ks._groupLoader.registeredTasks()).toEqual([]);
+  });
+
+  it("checks the dependencies of all loaded task groups before adding tasks", function(){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false});
+    ks.addTaskGroup('docs', kitchenSink.createTasksModule('docs', function(tasks){
+      tasks.addAction('build', function(){});
+      tasks.addAction('loop1', ['loop2'], function(){});
+      tasks.addAction('loop2', ['loop1'], function(){});
+    }));
+    expect(ks.listTaskGroupActions('docs')).toEqual(['build', 'loop1', 'loop2']);
+
+    expect(function(){
+      ks.addTask('less', 'build');
+    }).toThrowError(ActionGraph.ActionGraphError, /Circular dependency: "docs:loop1" -> "docs:loop2" -> "docs:loop1"/);
+    expect(gulp.hasTask('less:build')).toBe(false);
+  });
+
+  it("lists all tasks it has added", function(){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false});
+    ks.addTask('less', 'build');
+    ks.addTasks('config');
+    expect(ks.registeredTasks()).toEqual(['less:build', 'config:json', 'config:yaml', 'config:explain', 'config:graph']);
+  });
+
+  it("returns the names of all tasks added along with a task", function(){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false});
+    ks._groupLoader.taskGroup('less').addAction('compat', ['build'], function(){});
+
+    expect(ks.addTaskWithDeps('less', 'compat')).toEqual(['less:compat', 'less:build']);
+    expect(ks.addTaskWithDeps('less', 'compat')).toEqual([]);
+    expect(ks.addTaskWithDeps('less', 'hint')).toEqual(['less:hint']);
+  });
+
+  it("plans the tasks it has added in the order they would run", function(){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false});
+    ks.config.paths.srcRoot = path.join(__dirname, 'testdata/dry-run/src');
+    ks.config.less.srcFiles = '*.less';
+    ks.addTasks('less');
+
+    const steps = ks.plan();
+    expect(steps.map(function(step){
+      return step.taskName;
+    })).toEqual(['less:build', 'less:hint']);
+    expect(steps[0].files).toEqual([path.join(__dirname, 'testdata/dry-run/src/main.less')]);
+    expect(ks.plan(['less:hint']).length).toEqual(1);
+    expect(function(){
+      ks.plan(['nope']);
+    }).toThrowError(/"nope"/);
+  });
+
+  it("only reports what tasks would do in dry runs", function(done){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false, env: {}, argv: ['node', 'gulp', '--ks-dry-run']});
+    expect(ks.config.tasks.dryRun).toBe(true);
+    expect(ks.config.sourceOf('tasks.dryRun')).toEqual('CLI flag --ks-dry-run');
+
+    ks.addTask('less', 'build');
+    const messages = [];
+    ks.on('info', function(event){
+      messages.push(event);
+    });
+    spyOn(console, 'log');
+    gulp.start('less:build', function(err){
+      expect(err).toBeFalsy();
+      expect(messages).toEqual([{taskName: 'less:build', message: jasmine.stringMatching(/^Dry run: less:build\n  Source globs: /)}]);
+      expect(console.log).toHaveBeenCalledWith(jasmine.stringMatching(/^\[less:build\] Dry run: less:build\n/));
+      done();
+    });
+  });
+
+  it("lists the task groups that apply to the current project", function(){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false, packages: false});
+    ks.config.paths.srcRoot = path.join(__dirname, 'testdata/dry-run/src');
+    ks.config.less.srcFiles = '**/*.less';
+    expect(ks.listTaskGroups({applicable: true})).toEqual(ks.listTaskGroups());
+
+    ks.config.less.srcFiles = '*.nope';
+    expect(ks.listTaskGroups()).toContain('less');
+    expect(ks.listTaskGroups({applicable: true})).not.toContain('less');
+    expect(ks.listTaskGroups({applicable: true})).toContain('config');
+  });
+
+  it("runs tasks and reports the files they read and wrote", function(done){
+    const bldRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'ks-run-'));
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false, packages: false});
+    ks.config.paths.srcRoot = path.join(__dirname, 'testdata/dry-run/src');
+    ks.config.paths.bldRootDev = ks.config.paths.bldRootProd = bldRoot;
+    ks.config.less.srcFiles = ['**/*.less', '!**/_*.less'];
+
+    ks.run('less', 'build').then(function(result){
+      const written = result.filesWritten.slice().sort();
+      expect(result.tasks).toEqual(['less:build']);
+      expect(result.filesRead).toEqual([
+        path.join(__dirname, 'testdata/dry-run/src/main.less'),
+        path.join(__dirname, 'testdata/dry-run/src/sub/other.less')
+      ]);
+      expect(written).toEqual([
+        path.join(bldRoot, ks.config.less.bldDir, 'main.css'),
+        path.join(bldRoot, ks.config.less.bldDir, 'sub/other.css')
+      ]);
+      expect(result.errors).toEqual([]);
+
+      written.reverse().forEach(function(file){
+        fs.unlinkSync(file);
+      });
+      fs.rmdirSync(path.join(bldRoot, ks.config.less.bldDir, 'sub'));
+      fs.rmdirSync(path.join(bldRoot, ks.config.less.bldDir));
+      fs.rmdirSync(bldRoot);
+      done();
+    }, done.fail);
+  });
+
+  it("reports the errors of tasks that fail when run", function(done){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false, packages: false, log: false});
+    ks.config.less.srcFiles = '*.nope';
+    ks.config.tasks.strictInputs = true;
+    ks.addTasks('less');
+    ks.addAggregateTasks();
+
+    ks.run(['lint']).then(function(result){
+      expect(result.tasks).toEqual(['less:hint']);
+      expect(result.errors.length).toEqual(1);
+      expect(result.errors[0].taskName).toEqual('less:hint');
+      expect(result.errors[0].message).toMatch(/match no files/);
+      expect(result.errors[0].error).toEqual(jasmine.any(Error));
+      done();
+    }, done.fail);
+  });
+
+  it("reports the errors of plug-ins when running tasks", function(done){
+    const bldRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'ks-run-'));
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false, packages: false, log: false});
+    ks.config.paths.srcRoot = path.join(__dirname, 'testdata/invalid-less');
+    ks.config.paths.bldRootDev = ks.config.paths.bldRootProd = bldRoot;
+    ks.config.less.srcFiles = '*.less';
+    const errorEvents = [];
+    ks.on('taskError', function(event){
+      errorEvents.push(event);
+    });
+
+    ks.run('less', 'build').then(function(result){
+      expect(errorEvents.length).toEqual(1);
+      expect(errorEvents[0].duringRun).toBe(true);
+      expect(result.filesWritten).toEqual([]);
+      expect(result.errors.length).toEqual(1);
+      expect(result.errors[0].taskName).toEqual('less:build');
+      expect(result.errors[0].message).toMatch(/broken\.less/);
+      expect(result.errors[0].error).toEqual(jasmine.any(Error));
+      fs.rmdirSync(bldRoot);
+      done();
+    }, done.fail);
+  });
+
+  it("tells whether task errors happened during a run or while Gulp ran the task", function(done){
+    const bldRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'ks-run-'));
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false, packages: false, log: false});
+    ks.config.paths.srcRoot = path.join(__dirname, 'testdata/invalid-less');
+    ks.config.paths.bldRootDev = ks.config.paths.bldRootProd = bldRoot;
+    ks.config.less.srcFiles = '*.less';
+    const errorEvents = [];
+    ks.on('taskError', function(event){
+      errorEvents.push(event);
+    });
+
+    gulp.start(ks.addTask('less', 'build'), function(err){
+      expect(err).toEqual(jasmine.any(Error));
+      expect(errorEvents.length).toEqual(1);
+      expect(errorEvents[0].duringRun).toBe(false);
+      fs.rmdirSync(bldRoot);
+      done();
+    });
+  });
+
+  it("reports the files its tasks read as absolute paths", function(done){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false, packages: false, log: false});
+    ks.config.paths.srcRoot = path.relative(process.cwd(), path.join(__dirname, 'testdata/dry-run/src'));
+    ks.config.less.srcFiles = 'main.less';
+
+    ks.run('less', 'hint').then(function(result){
+      expect(result.filesRead).toEqual([path.join(__dirname, 'testdata/dry-run/src/main.less')]);
+      done();
+    }, done.fail);
+  });
+
+  it("refuses to run tasks that were not added to Gulp", function(done){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false, packages: false});
+    ks.run('nope').then(done.fail, function(err){
+      expect(err.message).toEqual('Cannot run the "nope" task, since it has not been added to Gulp.');
+      done();
+    });
+  });
+
+  it("recovers from runs that fail to start", function(done){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false, packages: false, log: false});
+    ks.addTask('config', 'json');
+    const reportFn = ks._groupLoader.reportFn;
+    spyOn(gulpCompat, 'runTasks').and.throwError('Cannot start');
+    spyOn(console, 'log');
+
+    ks.run(['config:json']).then(done.fail, function(err){
+      expect(err.message).toEqual('Cannot start');
+      expect(ks._groupLoader.reportFn).toBe(reportFn);
+      expect(ks._currentRun).toBeNull();
+
+      gulpCompat.runTasks.and.callThrough();
+      return ks.run(['config:json']).then(function(result){
+        expect(result.tasks).toEqual(['config:json']);
+        done();
+      });
+    }).catch(done.fail);
+  });
+
+  it("exports the graph of the tasks it has added", function(){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false, packages: false});
+    ks.config.paths.srcRoot = 'src';
+    ks.config.paths.bldRootDev = 'dist';
+    ks.config.less.srcFiles = '**/*.less';
+    ks.addTask('less', 'build');
+
+    const json = JSON.parse(ks.exportGraph('json'));
+    expect(json.groups).toEqual([{name: 'less', actions: ['build']}]);
+    expect(json.actions[0].srcGlobs).toEqual([path.join('src', '**/*.less')]);
+    expect(json.actions[0].destPath).toEqual(path.join('dist', 'less'));
+    expect(ks.exportGraph()).toEqual(ks.exportGraph('json'));
+
+    expect(ks.exportGraph('dot')).toContain('"less/build" [label="less:build\\nsrc: ' + path.join('src', '**/*.less') + '\\ndest: ' + path.join('dist', 'less') + '"];');
+    expect(function(){
+      ks.exportGraph('svg');
+    }).toThrowError('Unknown graph format "svg". The supported formats are: json, dot');
+  });
+
+  it("prints the graph of the tasks it has added in the configured format", function(done){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false, packages: false, env: {},
+      argv: ['node', 'gulp', '--ks.tasks.graphFormat=dot']});
+    expect(ks.config.tasks.graphFormat).toEqual('dot');
+    ks.addTask('less', 'build');
+    ks.addTask('config', 'graph');
+
+    spyOn(console, 'log');
+    gulp.start('config:graph', function(err){
+      expect(err).toBeFalsy();
+      expect(console.log).toHaveBeenCalledWith(ks.exportGraph('dot'));
+      expect(console.log.calls.mostRecent().args[0]).toMatch(/^digraph tasks \{\n[^]*"less\/build" \[label="less:build/);
+      done();
+    });
+  });
+
+  it("fails to print the task graph without a kitchen sink", function(done){
+    const tasks = require('../lib/tasks/config-tasks')(gulp, false, new BuildConfig());
+    expect(tasks.loader).toBeNull();
+
+    spyOn(console, 'log');
+    gulp.start('config:graph', function(err){
+      expect(err).toEqual(jasmine.any(Error));
+      expect(err.message).toMatch(/^The "config:graph" task can only print the graph of tasks that were added via a kitchen sink/);
+      expect(console.log).not.toHaveBeenCalled();
+      done();
+    });
+  });
+
+  it("emits events while its tasks run", function(done){
+    const events = [];
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false, packages: false, log: false});
+    ks.config.paths.srcRoot = path.join(__dirname, 'testdata/dry-run/src');
+    ks.config.less.srcFiles = 'main.less';
+    ['taskStart', 'taskEnd', 'file', 'warning', 'taskError'].forEach(function(eventName){
+      ks.on(eventName, function(event){
+        events.push([eventName, event]);
+      });
+    });
+
+    ks.run('less', 'hint').then(function(){
+      const mainFile = path.join(__dirname, 'testdata/dry-run/src/main.less');
+      expect(ks.logger).toBeNull();
+      expect(events[0]).toEqual(['taskStart', {taskName: 'less:hint'}]);
+      expect(events[1]).toEqual(['file', {taskName: 'less:hint', path: mainFile, stage: 'read'}]);
+      expect(events[2]).toEqual(['file', {taskName: 'less:hint', path: mainFile, stage: 'processed'}]);
+      expect(events[events.length - 1]).toEqual(['taskEnd', {taskName: 'less:hint', duration: jasmine.any(Number), failed: false, error: null}]);
+      done();
+    }, done.fail);
+  });
+
+  it("logs its events according to the build config's log settings", function(done){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false, packages: false});
+    ks.config.less.srcFiles = '*.nope';
+    ks.config.log.format = 'json';
+    spyOn(ks.logger, 'write');
+
+    ks.run('less', 'build').then(function(){
+      expect(ks.logger.write).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(ks.logger.write.calls.argsFor(0)[0])).toEqual(jasmine.objectContaining({
+        level: 'info',
+        event: 'warning',
+        taskName: 'less:build'
+      }));
+      done();
+    }, done.fail);
+  });
+
+  it("can use task groups from additional directories", function(){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false, cwd: __dirname, taskDirs: ['testdata/extra-tasks']});
+    expect(ks.listTaskGroups()).toContain('svg');
+    expect(ks.listTaskGroups()).toContain('less');
+    expect(ks.addTask('svg', 'build')).toEqual('svg:build');
+    expect(ks.registeredTasks()).toEqual(['svg:build', 'less:build']);
+  });
+
+  it("can use task groups from installed packages", function(){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false, cwd: path.join(__dirname, 'testdata/packages/project')});
+    expect(ks.listTaskGroups()).toContain('svg');
+    expect(ks.listTaskGroupActions('svg')).toEqual(['optimize']);
+    expect(ks.listTaskGroupPackages().length).toEqual(1);
+
+    const withAncestors = kitchenSink(gulp, {isolated: true, configFile: false, packages: 'ancestors', cwd: path.join(__dirname, 'testdata/packages/project')});
+    expect(withAncestors.listTaskGroupPackages().length).toEqual(3);
+
+    const noPackages = kitchenSink(gulp, {isolated: true, configFile: false, packages: false, cwd: path.join(__dirname, 'testdata/packages')});
+    expect(noPackages.listTaskGroups()).not.toContain('svg');
+    expect(noPackages.listTaskGroupPackages()).toEqual([]);
+  });
+
+  it("can use task groups defined inline", function(){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false});
+    ks.addTaskGroup('docs', kitchenSink.createTasksModule('docs', function(tasks){
+      tasks.addAction('build', function(){});
+    }));
+    expect(ks.listTaskGroups()).toContain('docs');
+    expect(ks.addTask('docs', 'build')).toEqual('docs:build');
+  });
+
+  it("can extend task groups with new actions", function(){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false});
+    ks.config.tasks.defaultPrefixName = 'ks';
+    ks.extendGroup('less', function(tasks){
+      tasks.addAction('compat', ['build'], function(){});
+    });
+
+    expect(ks.listTaskGroupActions('less')).toContain('compat');
+    expect(ks.addTask('less', 'compat')).toEqual('ks:less:compat');
+    expect(ks.registeredTasks()).toEqual(['ks:less:compat', 'ks:less:build']);
+  });
+
+  it("can add pipe stages to the extension points of actions", function(){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false});
+    const stageFn = function(){};
+    ks.addPipeStage('less', 'build', 'afterCompile', stageFn, {foo: 'bar'});
+    expect(ks._groupLoader.taskGroup('less').pipeStages('build', 'afterCompile')).toEqual([
+      {fn: stageFn, args: [{foo: 'bar'}]}
+    ]);
+    expect(function(){
+      ks.addPipeStage('less', 'hint', 'afterCompile', stageFn);
+    }).toThrowError(/Available extension points: beforeHint, afterHint/);
+  });
+
+  it("adds aggregate tasks for the actions of all added task groups", function(){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false});
+    ks.addTaskGroup('js', kitchenSink.createTasksModule('js', function(tasks){
+      tasks.addAction('build', function(){});
+      tasks.addAction('test', function(){});
+      tasks.addAction('lint', function(){}, {aggregate: false});
+    }));
+    ks.config.tasks.aggregates.ci = ['lint', 'test', 'build'];
+    ks.config.tasks.aggregates.watch = false;
+    ks.addTasks('less');
+    ks.addTasks('js');
+
+    expect(ks.addAggregateTasks()).toEqual(['build', 'lint', 'ci']);
+    expect(gulp.tasks.build.dep).toEqual(['less:build', 'js:build']);
+    expect(gulp.tasks.lint.dep).toEqual(['less:hint']);
+    expect(gulp.tasks.ci.dep).toEqual(['lint', 'js:test', 'build']);
+
+    // Aggregate tasks can be updated
+    ks.config.tasks.aggregates.ci = ['build'];
+    expect(ks.addAggregateTasks()).toEqual(['build', 'lint', 'ci']);
+    expect(gulp.tasks.ci.dep).toEqual(['build']);
+  });
+
+  it("throws helpful errors for invalid aggregate tasks", function(){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false});
+    ks.addTasks('less');
+
+    ks.config.tasks.aggregates = {a: ['b'], b: ['build', 'a']};
+    expect(function(){
+      ks.addAggregateTasks();
+    }).toThrowError('Circular aggregate tasks: a -> b -> a');
+
+    ks.config.tasks.aggregates = {a: 'build'};
+    expect(function(){
+      ks.addAggregateTasks();
+    }).toThrowError(/Invalid aggregate task "a"/);
+
+    gulp.task('mine', function(){});
+    ks.config.tasks.aggregates = {mine: ['build']};
+    expect(function(){
+      ks.addAggregateTasks();
+    }).toThrowError('Cannot add the "mine" aggregate task, since a task with that name already exists.');
+  });
+
+  it("can add a help task that lists its tasks", function(){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false});
+    expect(ks.addHelpTask()).toEqual('help');
+    ks.addTask('less', 'build');
+
+    const help = ks.describeTasks();
+    expect(help.length).toEqual(1);
+    expect(help[0].groupName).toEqual('less');
+    expect(help[0].tasks[0].taskName).toEqual('less:build');
+    expect(help[0].tasks[0].description).toMatch(/LESS/);
+    expect(help[0].tasks[0].flags['--prod']).toBeDefined();
+
+    spyOn(console, 'log');
+    const done = jasmine.createSpy('done');
+    gulp.tasks.help.fn(done);
+    expect(done).toHaveBeenCalled();
+    expect(console.log.calls.mostRecent().args[0]).toMatch(/less\n  less:build\n    Compiles/);
+  });
+
+  it("does not add a help task whose name is taken by a kitchen sink task", function(){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false});
+    ks.addTask('less', 'build');
+    expect(function(){
+      ks.addHelpTask('less:build');
+    }).toThrowError(/"less:build"/);
+  });
+
+  it("builds the dependency graph of all task groups", function(){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false});
+    const graph = ks.actionGraph();
+    expect(graph.nodes['less/build'].taskName).toEqual('less:build');
+    expect(graph.validate()).toEqual([]);
+  });
+
+  it("can add independently configured task group instances", function(){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false});
+    ks.addTaskGroupInstance('less', 'theme-a', {
+      srcFiles: 'themes/a/*.less',
+      bldDir: 'css/theme-a',
+      lessConfig: { modifyVars: { brandColor: 'red' } }
+    });
+
+    expect(ks.listTaskGroups()).toContain('theme-a');
+    expect(ks.listTaskGroupActions('theme-a')).toEqual(ks.listTaskGroupActions('less'));
+
+    const taskName = ks.addTask('theme-a', 'build');
+    expect(taskName).toEqual('theme-a:build');
+    expect(gulp.hasTask('theme-a:build')).toBe(true);
+
+    const tasks = ks._groupLoader.taskGroup('theme-a');
+    const actionConfig = tasks.actionConfig('build', 'lessConfig');
+    expect(actionConfig.srcGlobs()).toEqual(path.join('src', 'themes/a/*.less'));
+    expect(actionConfig.destPath()).toEqual(path.join('dist', 'css/theme-a'));
+    expect(actionConfig.modeOptions()).toEqual({ modifyVars: { brandColor: 'red' } });
+
+    // The kitchen sink's own config is unaffected
+    expect(ks.config.less.bldDir).toEqual('less');
+  });
+
+  it("validates the configs of task group instances", function(){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false});
+    ks.addTaskGroupInstance('less', 'theme-a', { bldDr: 'css' });
+    expect(function(){
+      ks.addTask('theme-a', 'build');
+    }).toThrowError(/less\.bldDr: Unknown setting/);
+  });
+
+  it("does not allow task group instances to replace existing task groups", function(){
+    const ks = kitchenSink(gulp, {isolated: true, configFile: false});
+    expect(function(){
+      ks.addTaskGroupInstance('less', 'less', {});
+    }).toThrowError(/already exists/);
+  });
+
+  it("describes its build config", function(){
+    const ks = kitchenSink(gulp, {isolated: true, cwd: path.join(TEST_CONFIG_DIR, 'json')});
+    ks.addTask('less', 'build');
+    const report = ks.describeConfig();
+
+    expect(report.sources['paths.srcRoot']).toEqual('config file ' + path.join(TEST_CONFIG_DIR, 'json', 'kitchensink.config.json'));
+    expect(report.groups.less.actions.build.srcGlobs).toEqual(path.join('json-src', 'main.less'));
+  });
+
+});
@@ -0,0 +1,104 @@
+/*
+ Jasmine unit tests for the lazypipes in lazypipes/less-pipes.js
+ */
+describe("The LESS lazypipes", function(){
+  "use strict";
+
+  const path = require('path');
+  const stream = require('stream');
+
+  const TEST_LESS_FILE = path.join(__dirname, '../testdata/dry-run/src/main.less');
+
+  const pipes = require('../../lib/lazypipes/less-pipes');
+
+  const gulp = require('gulp');
+
+  var seen;
+
+  // Returns a pipe stage that records the name and contents
+  // of each file passing through it
+  function recordStage(name){
+    return function(){
+      return new stream.Transform({
+        objectMode: true,
+        transform: function(file, encoding, callback){
+          seen.push((name + ': ' + path.extname(file.path) + ' ' + file.contents.toString()).trim());
+          callback(null, file);
+        }
+      });
+    };
+  }
+
+  // Runs the test LESS file through a pipe
+  function run(pipe, done){
+    gulp.src(TEST_LESS_FILE)
+      .pipe(pipe())
+      .on('data', function(){})
+      .on('end', done);
+  }
+
+  beforeEach(function(){
+    seen = [];
+  });
+
+
+  // Tests
+
+  it("insert stages at the build pipe's extension points", function(done){
+    const stage = function(name){
+      return [{fn: recordStage(name), args: []}];
+    };
+    run(pipes.createBuildPipe({}, {
+      beforeDest: stage('beforeDest'),
+      afterCompile: stage('afterCompile'),
+      beforeCompile: stage('beforeCompile')
+    }), function(){
+      expect(seen).toEqual([
+        'beforeCompile: .less @a: 1;',
+        'afterCompile: .css',
+        'beforeDest: .css'
+      ]);
+      done();
+    });
+  });
+
+  it("insert stages at the hint pipe's extension points", function(done){
+    run(pipes.createHintPipe({}, null, null, {
+      afterHint: [{fn: recordStage('afterHint'), args: []}],
+      beforeHint: [{fn: recordStage('beforeHint'), args: []}]
+    }), function(){
+      expect(seen).toEqual([
+        'beforeHint: .less @a: 1;',
+        'afterHint: .less @a: 1;'
+      ]);
+      done();
+    });
+  });
+
+  it("pass arguments to stages", function(done){
+    const stageFn = jasmine.createSpy('stageFn').and.callFake(recordStage('stage'));
+    run(pipes.createBuildPipe({}, {
+      afterCompile: [{fn: stageFn, args: ['a', 1]}]
+    }), function(){
+      expect(stageFn).toHaveBeenCalledWith('a', 1);
+      done();
+    });
+  });
+
+  it("call a callback with each file entering them", function(done){
+    const buildFiles = [];
+    const hintFiles = [];
+    run(pipes.createBuildPipe({}, {}, function(file){
+      buildFiles.push(file.path);
+    }), function(){
+      run(pipes.createHintPipe({}, null, null, {}, function(file){
+        hintFiles.push(file.path);
+      }), function(){
+        expect(buildFiles).toEqual([TEST_LESS_FILE]);
+        expect(hintFiles).toEqual([TEST_LESS_FILE]);
+        done();
+      });
+    });
+  });
+
+});
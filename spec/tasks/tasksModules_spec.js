@@ -53,6 +53,15 @@
         delete gulp.loadTasks
       });
 
+      it("describes all of its actions", function(){
+        const tasks = tasksModuleFn(gulp, undefined, undefined, true);
+        tasks.getActions().forEach(function(actionName){
+          const description = tasks.getActionOptions(actionName).description;
+          expect(typeof description).toEqual('string');
+          expect(description.length).toBeGreaterThan(0);
+        });
+      });
+
     };
   }
 
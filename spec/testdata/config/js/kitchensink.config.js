@@ -0,0 +1,8 @@
+/*
+  Test config file (JS variant).
+ */
+module.exports = {
+  paths: {
+    srcRoot: 'js-src'
+  }
+};
@@ -0,0 +1,6 @@
+/*
+  Task group module that replaces the one in ../tasks/.
+ */
+module.exports = require('../../../lib/types/task-group').createTasksModule('group1', function(tasks, gulp){
+  tasks.addAction('extra', function(){});
+});
@@ -0,0 +1,9 @@
+/*
+  Task group module that depends on a built-in task group.
+ */
+const GulpTaskGroup = require('../../../lib/types/task-group');
+const ActionDependency = GulpTaskGroup.ActionDependency;
+
+module.exports = GulpTaskGroup.createTasksModule('svg', function(tasks, gulp){
+  tasks.addAction('build', [new ActionDependency('less', 'build')], function(){});
+});
@@ -0,0 +1,20 @@
+/*
+  Task group module with dependencies on its own and another
+  group's actions, some of which are broken.
+ */
+const GulpTaskGroup = require('../../../lib/types/task-group');
+const ActionDependency = GulpTaskGroup.ActionDependency;
+
+module.exports = GulpTaskGroup.createTasksModule('alpha', function(tasks, gulp){
+  const noop = function(){};
+
+  tasks.addAction('prep', noop);
+  tasks.addAction('build', ['prep', new ActionDependency('beta', 'compile')], noop);
+
+  // Missing dependencies
+  tasks.addAction('broken', [new ActionDependency('nope', 'build'), 'missing'], noop);
+
+  // Circular dependencies
+  tasks.addAction('loop1', ['loop2'], noop);
+  tasks.addAction('loop2', ['loop1'], noop);
+});
@@ -0,0 +1,12 @@
+/*
+  Task group module with a dependency on another group's action.
+ */
+const GulpTaskGroup = require('../../../lib/types/task-group');
+const ActionDependency = GulpTaskGroup.ActionDependency;
+
+module.exports = GulpTaskGroup.createTasksModule('beta', function(tasks, gulp){
+  const noop = function(){};
+
+  tasks.addAction('compile', noop);
+  tasks.addAction('publish', [new ActionDependency('alpha', 'build')], noop);
+});
@@ -0,0 +1,173 @@
+/*
+ Jasmine unit tests for the ActionGraph class in types/action-graph.js
+ */
+describe("An ActionGraph", function(){
+  "use strict";
+
+  const path = require('path');
+
+  const TEST_TASK_MODULES_DIR = path.join(__dirname, '../testdata/graph-tasks/');
+
+  const ActionGraph = require('../../lib/types/action-graph');
+  const BuildConfig = require('../../lib/types/build-config');
+  const GroupLoader = require('../../lib/types/group-loader');
+
+  const gulp = require('gulp');
+
+  var config, loader, graph;
+
+  beforeEach(function(){
+    config = new BuildConfig();
+    loader = new GroupLoader(gulp, config, TEST_TASK_MODULES_DIR);
+    graph = new ActionGraph(loader);
+  });
+
+  afterEach(function(){
+    gulp.reset();
+  });
+
+
+  // Tests
+
+  it("adds actions and their dependencies across task groups", function(){
+    const node = graph.addAction('alpha', 'build');
+    expect(node).toEqual({
+      id: 'alpha/build',
+      groupName: 'alpha',
+      actionName: 'build',
+      taskName: 'alpha:build',
+      deps: ['alpha/prep', 'beta/compile']
+    });
+    expect(Object.keys(graph.nodes).sort()).toEqual(['alpha/build', 'alpha/prep', 'beta/compile']);
+    expect(graph.validate()).toEqual([]);
+  });
+
+  it("reports dependencies on missing task groups and actions", function(){
+    expect(graph.addAction('alpha', 'nope')).toBeNull();
+    graph.addAction('alpha', 'broken');
+    expect(graph.validate()).toEqual([
+      'The "alpha" task group has no "nope" action.',
+      'The task group "nope" does not exist (required by "alpha:broken").',
+      'The "alpha" task group has no "missing" action (required by "alpha:broken").'
+    ]);
+  });
+
+  it("reports circular dependencies", function(){
+    graph.addAction('alpha', 'loop1');
+    expect(graph.findCycles()).toEqual([['alpha/loop1', 'alpha/loop2', 'alpha/loop1']]);
+    expect(graph.validate()).toEqual(['Circular dependency: "alpha:loop1" -> "alpha:loop2" -> "alpha:loop1"']);
+  });
+
+  it("orders actions after their dependencies", function(){
+    graph.addAction('beta', 'publish');
+    graph.addAction('alpha', 'loop1');
+    expect(graph.runOrder(['beta/publish'])).toEqual(['alpha/prep', 'beta/compile', 'alpha/build', 'beta/publish']);
+    expect(graph.runOrder(['alpha/loop1'])).toEqual(['alpha/loop2', 'alpha/loop1']);
+    expect(graph.runOrder().length).toEqual(6);
+  });
+
+  it("reports task name collisions", function(){
+    config.tasks.nameFn = function(prefix, groupName, actionName){
+      return actionName === 'compile' ? 'prep' : actionName;
+    };
+    graph.addAction('alpha', 'build');
+    expect(graph.findCollisions()).toEqual({ prep: ['alpha/prep', 'beta/compile'] });
+    expect(graph.validate()).toEqual([
+      'Task name collision: "prep" is generated for the "prep" action of the "alpha" task group and ' +
+      'the "compile" action of the "beta" task group. Check your task naming settings.'
+    ]);
+  });
+
+  it("reports collisions with tasks that were already added to Gulp", function(){
+    loader.loadTask('beta', 'compile');
+    config.tasks.nameFn = function(prefix, groupName, actionName){
+      return actionName === 'prep' ? 'beta:compile' : groupName + ':' + actionName;
+    };
+    graph.addAction('alpha', 'prep');
+    expect(graph.findCollisions()).toEqual({ 'beta:compile': ['beta/compile', 'alpha/prep'] });
+  });
+
+  it("can add all task groups", function(){
+    graph.addAllGroups();
+    expect(Object.keys(graph.nodes).length).toEqual(7);
+    expect(graph.validate().length).toEqual(3);
+  });
+
+  it("adds the actions of the task groups that were loaded", function(){
+    expect(graph.addLoadedGroups()).toBe(graph);
+    expect(Object.keys(graph.nodes)).toEqual([]);
+
+    loader.taskGroup('beta');
+    graph.addLoadedGroups();
+    expect(Object.keys(graph.nodes).sort()).toEqual(['alpha/build', 'alpha/prep', 'beta/compile', 'beta/publish']);
+    expect(graph.validate()).toEqual([]);
+  });
+
+  it("throws an error listing all problems", function(){
+    graph.addAction('alpha', 'broken');
+    graph.addAction('alpha', 'loop2');
+    expect(function(){
+      graph.assertValid();
+    }).toThrowError(ActionGraph.ActionGraphError, /Invalid task dependencies:\n  - The task group "nope"[^]*Circular dependency/);
+  });
+
+  it("adds the actions of the tasks that were added to Gulp via its loader", function(){
+    loader.loadTask('alpha', 'build');
+    graph.addRegisteredTasks();
+    expect(Object.keys(graph.nodes).sort()).toEqual(['alpha/build', 'alpha/prep', 'beta/compile']);
+  });
+
+  it("describes itself as a plain object", function(){
+    loader.loadTask('beta', 'compile');
+    graph.addAction('alpha', 'build');
+    expect(graph.toJSON()).toEqual({
+      groups: [
+        {name: 'alpha', actions: ['build', 'prep']},
+        {name: 'beta', actions: ['compile']}
+      ],
+      actions: [
+        {id: 'alpha/build', groupName: 'alpha', actionName: 'build', taskName: 'alpha:build', registered: false, srcGlobs: [], destPath: null},
+        {id: 'alpha/prep', groupName: 'alpha', actionName: 'prep', taskName: 'alpha:prep', registered: false, srcGlobs: [], destPath: null},
+        {id: 'beta/compile', groupName: 'beta', actionName: 'compile', taskName: 'beta:compile', registered: true, srcGlobs: [], destPath: null}
+      ],
+      edges: [
+        {from: 'alpha/build', to: 'alpha/prep', external: false},
+        {from: 'alpha/build', to: 'beta/compile', external: true}
+      ]
+    });
+    expect(JSON.parse(JSON.stringify(graph))).toEqual(graph.toJSON());
+  });
+
+  it("describes itself in the Graphviz DOT language", function(){
+    loader.loadTask('beta', 'compile');
+    graph.addAction('alpha', 'build');
+    expect(graph.toDOT()).toEqual([
+      'digraph tasks {',
+      '  rankdir=LR;',
+      '  node [shape=box];',
+      '  subgraph "cluster_alpha" {',
+      '    label="alpha";',
+      '    "alpha/build" [label="alpha:build", color=grey, fontcolor=grey];',
+      '    "alpha/prep" [label="alpha:prep", color=grey, fontcolor=grey];',
+      '  }',
+      '  subgraph "cluster_beta" {',
+      '    label="beta";',
+      '    "beta/compile" [label="beta:compile"];',
+      '  }',
+      '  "alpha/build" -> "alpha/prep";',
+      '  "alpha/build" -> "beta/compile" [style=dashed];',
+      '}'
+    ].join('\n'));
+  });
+
+  it("exports itself in a given format", function(){
+    graph.addAction('alpha', 'build');
+    expect(graph.format()).toEqual(JSON.stringify(graph, null, 2));
+    expect(graph.format('json')).toEqual(JSON.stringify(graph, null, 2));
+    expect(graph.format('dot')).toEqual(graph.toDOT());
+    expect(function(){
+      graph.format('svg');
+    }).toThrowError('Unknown graph format "svg". The supported formats are: json, dot');
+  });
+
+});
@@ -4,6 +4,7 @@
 describe("A BuildConfig", function(){
   "use strict";
 
+  const path = require('path');
   const BuildConfig = require('../../lib/types/build-config');
 
   // Each test gets a fresh BuildConfig instance, so it
@@ -62,4 +63,291 @@ describe("A BuildConfig", function(){
   // TODO: Check less values
 
 
+  // mode
+
+  it("has a default mode value: 'dev'", function(){
+    expect(this.config.mode).toEqual(BuildConfig.MODE_DEV);
+    expect(this.config.isProd()).toBe(false);
+  });
+
+  it("uses paths.bldRootDev for build paths in dev mode", function(){
+    this.config.paths.bldRootDev = 'dev-out';
+    this.config.paths.bldRootProd = 'prod-out';
+    expect(this.config.bldPath()).toEqual('dev-out' + path.sep);
+    expect(this.config.bldPath('css')).toEqual(path.join('dev-out', 'css'));
+  });
+
+  it("uses paths.bldRootProd for build paths in prod mode", function(){
+    this.config.paths.bldRootDev = 'dev-out';
+    this.config.paths.bldRootProd = 'prod-out';
+    this.config.mode = BuildConfig.MODE_PROD;
+    expect(this.config.isProd()).toBe(true);
+    expect(this.config.bldPath()).toEqual('prod-out' + path.sep);
+    expect(this.config.bldPath('css')).toEqual(path.join('prod-out', 'css'));
+  });
+
+  it("picks mode-specific options", function(){
+    const options = {
+      shared: 1,
+      compress: false,
+      dev: { sourceMap: true },
+      prod: { compress: true }
+    };
+
+    expect(this.config.modeOptions(options)).toEqual({shared: 1, compress: false, sourceMap: true});
+
+    this.config.mode = BuildConfig.MODE_PROD;
+    expect(this.config.modeOptions(options)).toEqual({shared: 1, compress: true});
+
+    // The original options must not be modified
+    expect(options.compress).toBe(false);
+  });
+
+  it("returns empty options when none are given", function(){
+    expect(this.config.modeOptions(undefined)).toEqual({});
+  });
+
+  // merge
+
+  it("deep-merges config values", function(){
+    const result = this.config.merge({
+      paths: { srcRoot: 'source' },
+      less: { srcFiles: ['main.less'] }
+    });
+
+    expect(result).toBe(this.config);
+    expect(this.config.paths.srcRoot).toEqual('source');
+    expect(this.config.paths.bldRootDev).toEqual('dist');
+    expect(this.config.less.srcFiles).toEqual(['main.less']);
+    expect(this.config.less.bldDir).toEqual('less');
+  });
+
+  // derive
+
+  it("derives independent copies of itself", function(){
+    this.config.paths.srcRoot = 'parent';
+    this.config.less.srcFiles = ['a.less'];
+    this.config.defineSchema('less', { type: 'object' });
+
+    const derived = this.config.derive();
+    expect(derived instanceof BuildConfig).toBe(true);
+    expect(derived).not.toBe(this.config);
+    expect(derived.paths.srcRoot).toEqual('parent');
+    expect(derived.less.srcFiles).toEqual(['a.less']);
+
+    // Changes are not shared
+    derived.paths.srcRoot = 'child';
+    derived.less.srcFiles.push('b.less');
+    expect(this.config.paths.srcRoot).toEqual('parent');
+    expect(this.config.less.srcFiles).toEqual(['a.less']);
+
+    // Schemas are copied too
+    derived.less = 42;
+    expect(function(){ derived.validate(); }).toThrowError(/less: Expected object/);
+  });
+
+
+  // value sources
+
+  it("reports default values as such", function(){
+    expect(this.config.sourceOf('paths.srcRoot')).toEqual(BuildConfig.SOURCE_DEFAULT);
+    expect(this.config.sourceOf('less.lessConfig')).toEqual(BuildConfig.SOURCE_DEFAULT);
+  });
+
+  it("reports where merged and set values came from", function(){
+    this.config.merge({ paths: { srcRoot: 'source' } }, 'config file foo.json');
+    this.config.set('less.bldDir', 'css', 'CLI flag');
+    this.config.set('less.lessConfig', { compress: true }, 'env var');
+
+    expect(this.config.sourceOf('paths.srcRoot')).toEqual('config file foo.json');
+    expect(this.config.sourceOf('paths.bldRootDev')).toEqual(BuildConfig.SOURCE_DEFAULT);
+    expect(this.config.sourceOf('less.bldDir')).toEqual('CLI flag');
+    expect(this.config.sourceOf('less.lessConfig.compress')).toEqual('env var');
+  });
+
+  it("reports values that were changed directly as gulpfile values", function(){
+    this.config.merge({ paths: { srcRoot: 'source' } }, 'config file foo.json');
+    this.config.paths.srcRoot = 'other';
+    this.config.less.lessConfig.compress = true;
+
+    expect(this.config.sourceOf('paths.srcRoot')).toEqual(BuildConfig.SOURCE_GULPFILE);
+    expect(this.config.sourceOf('less.lessConfig.compress')).toEqual(BuildConfig.SOURCE_GULPFILE);
+  });
+
+  it("explains all of its values", function(){
+    this.config.paths.srcRoot = 'other';
+    const explanations = this.config.explain();
+    const srcRoot = explanations.filter(function(explanation){
+      return explanation.path === 'paths.srcRoot';
+    })[0];
+
+    expect(srcRoot).toEqual({ path: 'paths.srcRoot', value: 'other', source: BuildConfig.SOURCE_GULPFILE });
+    expect(explanations.length).toBeGreaterThan(1);
+  });
+
+  it("sets the mode from the environment and reports its source", function(){
+    expect(this.config.useDetectedMode({}, [])).toBeUndefined();
+    expect(this.config.mode).toEqual(BuildConfig.MODE_DEV);
+
+    expect(this.config.useDetectedMode({KS_MODE: 'prod'}, [])).toEqual(BuildConfig.MODE_PROD);
+    expect(this.config.mode).toEqual(BuildConfig.MODE_PROD);
+    expect(this.config.sourceOf('mode')).toEqual('environment variable KS_MODE');
+  });
+
+  it("applies overrides from environment variables and CLI flags", function(){
+    const applied = this.config.useOverrides(
+      { KS_PATHS_SRCROOT: './alt', KS_LESS_BLDDIR: 'env-css' },
+      ['node', 'gulp', '--ks.less.bldDir=css', '--ks.tasks.groupBeforeAction=false']
+    );
+    expect(applied.length).toEqual(4);
+    expect(this.config.paths.srcRoot).toEqual('./alt');
+    expect(this.config.sourceOf('paths.srcRoot')).toEqual('environment variable KS_PATHS_SRCROOT');
+    // Flags take precedence over environment variables
+    expect(this.config.less.bldDir).toEqual('css');
+    expect(this.config.sourceOf('less.bldDir')).toEqual('CLI flag --ks.less.bldDir');
+    expect(this.config.tasks.groupBeforeAction).toBe(false);
+  });
+
+  it("expands source globs relative to the source root", function(){
+    this.config.paths.srcRoot = 'foo';
+    expect(this.config.srcGlobs()).toEqual(BuildConfig.addTrailingSlash('foo'));
+    expect(this.config.srcGlobs('')).toEqual(BuildConfig.addTrailingSlash('foo'));
+    expect(this.config.srcGlobs('*.html')).toEqual(path.join('foo', '*.html'));
+    expect(this.config.srcGlobs(['a.html', 'b.html'], 'a.html', [])).toEqual([
+      path.join('foo', 'a.html'),
+      path.join('foo', 'b.html')
+    ]);
+  });
+
+  it("keeps the prefix of negated source globs", function(){
+    this.config.paths.srcRoot = 'src';
+    expect(this.config.srcGlobs('less/**', '!less/vendor/**')).toEqual([
+      path.join('src', 'less/**'),
+      '!' + path.join('src', 'less/vendor/**')
+    ]);
+  });
+
+  it("leaves absolute source globs as they are", function(){
+    const absGlob = path.resolve('/opt/shared/*.less');
+    expect(this.config.srcGlobs(absGlob, '!' + absGlob)).toEqual([absGlob, '!' + absGlob]);
+  });
+
+  it("resolves source globs that go up the directory tree", function(){
+    this.config.paths.srcRoot = 'src/site';
+    expect(this.config.srcGlobs('../shared/*.less')).toEqual(path.join('src', 'shared/*.less'));
+  });
+
+  it("expands relative source globs against all source roots in order", function(){
+    this.config.paths.srcRoot = 'foo';
+    this.config.paths.extraSrcRoots = ['bar', 'foo'];
+    expect(this.config.srcRoots()).toEqual(['foo', 'bar']);
+    expect(this.config.srcGlobs('*.less', '!_*.less')).toEqual([
+      path.join('foo', '*.less'),
+      path.join('bar', '*.less'),
+      '!' + path.join('foo', '_*.less'),
+      '!' + path.join('bar', '_*.less')
+    ]);
+    expect(this.config.srcGlobs()).toEqual([
+      BuildConfig.addTrailingSlash('foo'),
+      BuildConfig.addTrailingSlash('bar')
+    ]);
+  });
+
+  it("copies value sources to derived configs", function(){
+    this.config.merge({ paths: { srcRoot: 'source' } }, 'config file foo.json');
+    expect(this.config.derive().sourceOf('paths.srcRoot')).toEqual('config file foo.json');
+  });
+
+
+  // validation
+
+  it("has valid default values", function(){
+    const config = this.config;
+    expect(function(){ config.validate(['less']); }).not.toThrow();
+  });
+
+  it("reports typos in its config sections", function(){
+    const config = this.config;
+    config.paths.srcroot = 'foo';
+    expect(function(){ config.validate(['less']); }).toThrowError(/paths\.srcroot: Unknown setting\. Did you mean "srcRoot"\?/);
+  });
+
+  it("validates sections with custom schemas", function(){
+    const config = this.config;
+    config.defineSchema('less', {
+      type: 'object',
+      properties: {
+        srcFiles: { type: ['string', 'array'] },
+        bldDir: { type: 'string' },
+        lessConfig: { type: 'object' },
+        lessHintConfig: { type: 'object' },
+        actions: { type: 'object' }
+      }
+    });
+    expect(function(){ config.validate(); }).not.toThrow();
+
+    config.less.bldDir = false;
+    expect(function(){ config.validate(); }).toThrowError(/less\.bldDir: Expected string, but got boolean/);
+  });
+
+  // action configs
+
+  it("creates action configs that fall back to the section's settings", function(){
+    this.config.less.lessHintConfig = { foo: 1 };
+    const actionConfig = this.config.actionConfig('less', 'hint', 'lessHintConfig');
+
+    expect(actionConfig instanceof BuildConfig.ActionConfig).toBe(true);
+    expect(actionConfig.bldConfig).toBe(this.config);
+    expect(actionConfig.srcSuffixGlobs).toEqual(this.config.less.srcFiles);
+    expect(actionConfig.destSuffix).toEqual(this.config.less.bldDir);
+    expect(actionConfig.options).toEqual({ foo: 1 });
+  });
+
+  it("creates action configs using the action's own settings", function(){
+    this.config.less.actions.hint = {
+      srcFiles: ['less/partials/*.less'],
+      bldDir: 'hinted',
+      options: { bar: 2 }
+    };
+    const hintConfig = this.config.actionConfig('less', 'hint', 'lessHintConfig');
+    const buildConfig = this.config.actionConfig('less', 'build', 'lessConfig');
+
+    expect(hintConfig.srcGlobs()).toEqual(path.join('src', 'less/partials/*.less'));
+    expect(hintConfig.destPath()).toEqual(path.join('dist', 'hinted'));
+    expect(hintConfig.modeOptions()).toEqual({ bar: 2 });
+
+    // Other actions are unaffected
+    expect(buildConfig.srcGlobs()).toEqual(path.join('src', this.config.less.srcFiles));
+    expect(buildConfig.destPath()).toEqual(path.join('dist', this.config.less.bldDir));
+  });
+
+  it("creates action configs for unknown sections", function(){
+    const actionConfig = this.config.actionConfig('nope', 'build');
+    expect(actionConfig.srcGlobs()).toEqual(this.config.srcPath());
+    expect(actionConfig.destPath()).toEqual(this.config.bldPath());
+    expect(actionConfig.modeOptions()).toEqual({});
+  });
+
+  it("creates schemas for per-action settings", function(){
+    const config = this.config;
+    config.defineSchema('less', {
+      type: 'object',
+      additionalProperties: true,
+      properties: {
+        actions: BuildConfig.actionsSchema(['build', 'hint'])
+      }
+    });
+    config.less.actions.hnit = {};
+    expect(function(){ config.validate(); }).toThrowError(/less\.actions\.hnit: Unknown setting\. Did you mean "hint"\?/);
+  });
+
+  it("detects the build mode from CLI flags and environment variables", function(){
+    expect(BuildConfig.detectMode({}, [])).toBeUndefined();
+    expect(BuildConfig.detectMode({}, ['node', 'gulp', '--prod'])).toEqual(BuildConfig.MODE_PROD);
+    expect(BuildConfig.detectMode({KS_MODE: 'prod'}, [])).toEqual(BuildConfig.MODE_PROD);
+    expect(BuildConfig.detectMode({NODE_ENV: 'production'}, [])).toEqual(BuildConfig.MODE_PROD);
+    // CLI flags take precedence over environment variables
+    expect(BuildConfig.detectMode({KS_MODE: 'prod'}, ['--dev'])).toEqual(BuildConfig.MODE_DEV);
+  });
+
 });
\ No newline at end of file
@@ -0,0 +1,101 @@
+/*
+ Jasmine unit tests for the ConfigSchema class in types/config-schema.js
+ */
+describe("A ConfigSchema", function(){
+  "use strict";
+
+  const ConfigSchema = require('../../lib/types/config-schema');
+
+  // Each test gets a fresh ConfigSchema instance with
+  // a couple of sections defined
+  beforeEach(function(){
+    this.schema = new ConfigSchema();
+    this.schema.define('mode', {
+      type: 'string',
+      enum: ['dev', 'prod']
+    });
+    this.schema.define('paths', {
+      type: 'object',
+      properties: {
+        srcRoot: { type: 'string' },
+        globs: { type: ['string', 'array'], items: { type: 'string' } },
+        options: { type: 'object' }
+      }
+    });
+  });
+
+  afterEach(function(){
+    delete this.schema;
+  });
+
+
+  // Tests
+
+  it("accepts valid values", function(){
+    expect(this.schema.validate({
+      mode: 'prod',
+      paths: {
+        srcRoot: 'src',
+        globs: ['a', 'b'],
+        options: { anything: 'goes' }
+      }
+    })).toEqual([]);
+  });
+
+  it("reports unknown keys with suggestions", function(){
+    const problems = this.schema.validate({ paths: { srcroot: 'src' } });
+    expect(problems.length).toEqual(1);
+    expect(problems[0].path).toEqual('paths.srcroot');
+    expect(problems[0].message).toMatch(/Unknown setting/);
+    expect(problems[0].message).toMatch(/Did you mean "srcRoot"\?/);
+  });
+
+  it("reports unknown sections with suggestions", function(){
+    const problems = this.schema.validate({ pahts: {} });
+    expect(problems.length).toEqual(1);
+    expect(problems[0].path).toEqual('pahts');
+    expect(problems[0].message).toMatch(/Did you mean "paths"\?/);
+  });
+
+  it("does not report ignored sections", function(){
+    expect(this.schema.validate({ less: {} }, ['less'])).toEqual([]);
+  });
+
+  it("reports wrong types", function(){
+    const problems = this.schema.validate({ paths: { srcRoot: 42 } });
+    expect(problems.length).toEqual(1);
+    expect(problems[0].path).toEqual('paths.srcRoot');
+    expect(problems[0].message).toMatch(/Expected string, but got number/);
+  });
+
+  it("reports wrong array item types", function(){
+    const problems = this.schema.validate({ paths: { globs: ['a', false] } });
+    expect(problems.length).toEqual(1);
+    expect(problems[0].path).toEqual('paths.globs[1]');
+  });
+
+  it("reports invalid values", function(){
+    const problems = this.schema.validate({ mode: 'production' });
+    expect(problems.length).toEqual(1);
+    expect(problems[0].path).toEqual('mode');
+    expect(problems[0].message).toMatch(/Expected one of: "dev", "prod"/);
+  });
+
+  it("throws an error listing all problems", function(){
+    const schema = this.schema;
+    var error;
+    try{
+      schema.assertValid({ mode: 'production', paths: { srcroot: 'src' } });
+    }
+    catch(e){
+      error = e;
+    }
+
+    expect(error instanceof ConfigSchema.ConfigValidationError).toBe(true);
+    expect(error instanceof Error).toBe(true);
+    expect(error.problems.length).toEqual(2);
+    expect(error.message).toMatch(/mode: /);
+    expect(error.message).toMatch(/paths\.srcroot: /);
+  });
+
+});
@@ -10,11 +10,16 @@
   // Some useful values & types
   const DEFAULT_TASK_MODULES_DIR = path.join(__dirname, '../../lib/tasks/');
   const TEST_TASK_MODULES_DIR = path.join(__dirname, '../testdata/tasks/');
+  const GRAPH_TASK_MODULES_DIR = path.join(__dirname, '../testdata/graph-tasks/');
+  const EXTRA_TASK_MODULES_DIR = path.join(__dirname, '../testdata/extra-tasks');
+  const TEST_PACKAGES_DIR = path.join(__dirname, '../testdata/packages');
+  const VERSION = require('../../package.json').version;
   const TASK_MODULE_REGEX = /^(\w+)\-tasks\.js$/;
 
   const BuildConfig = require('../../lib/types/build-config');
   const GulpTaskGroup = require('../../lib/types/task-group');
   const GroupLoader = require('../../lib/types/group-loader');
+  const Gulp4 = require('gulp4').Gulp;
 
   const gulp = require('gulp');
 
@@ -132,6 +137,276 @@
         }
       });
 
+      it("can create task group instances", function(){
+        const availableGroups = this.loader.availableTaskGroups();
+        if(availableGroups.length === 0){
+          // Mark test as pending if there are no available task groups to load.
+          pending("No available tasks groups in: " + this.loader.modulesDir);
+        }
+        else{
+          const instanceConfig = new BuildConfig();
+          const tasks = this.loader.addTaskGroupInstance(availableGroups[0], 'my-instance', instanceConfig);
+
+          // Check that the instance is a GulpTaskGroup with the instance name & config
+          expect(tasks instanceof GulpTaskGroup).toBe(true);
+          expect(tasks.groupName).toEqual('my-instance');
+          expect(tasks.config).toBe(instanceConfig);
+          // Its settings still come from the original group's config section
+          expect(tasks.configSection).toEqual(availableGroups[0]);
+
+          // Check that the instance was cached
+          expect(this.loader.loadedTaskGroups()).toContain('my-instance');
+          expect(this.loader.taskGroup('my-instance')).toBe(tasks);
+
+          // Check that instances cannot be created twice
+          const loader = this.loader;
+          expect(function(){
+            loader.addTaskGroupInstance(availableGroups[0], 'my-instance');
+          }).toThrowError(/already exists/);
+        }
+      });
+
+      it("loads the dependencies of actions, including those in other task groups", function(){
+        const loader = new GroupLoader(gulp, this.config, GRAPH_TASK_MODULES_DIR);
+        expect(loader.loadTask('beta', 'publish')).toEqual('beta:publish');
+        expect(loader.registeredTasks()).toEqual(['beta:publish', 'alpha:build', 'alpha:prep', 'beta:compile']);
+        expect(gulp.hasTask('alpha:prep')).toBe(true);
+        expect(gulp.hasTask('beta:compile')).toBe(true);
+
+        // Task groups loaded via a loader load their tasks via the loader too
+        gulp.reset();
+        const other = new GroupLoader(gulp, this.config, GRAPH_TASK_MODULES_DIR);
+        expect(other.taskGroup('alpha').loadTask('build', gulp)).toEqual('alpha:build');
+        expect(other.registeredTasks()).toEqual(['alpha:build', 'alpha:prep', 'beta:compile']);
+      });
+
+      it("adds dependencies to Gulp 4 before the tasks that need them", function(){
+        const gulp4 = new Gulp4();
+        const loader = new GroupLoader(gulp4, this.config, GRAPH_TASK_MODULES_DIR);
+        loader.loadTask('beta', 'publish');
+        // The dependencies were composed eagerly, since they already existed,
+        // so Gulp 4 knows them: <series> -> <parallel> -> dependencies
+        const depsOf = function(taskName){
+          return gulp4.tree({deep: true}).nodes.filter(function(node){
+            return node.label === taskName;
+          })[0].nodes[0].nodes[0].nodes.map(function(node){
+            return node.label;
+          });
+        };
+        expect(depsOf('beta:publish')).toEqual(['alpha:build']);
+        expect(depsOf('alpha:build')).toEqual(['alpha:prep', 'beta:compile']);
+      });
+
+      it("loads circular dependencies without getting stuck", function(){
+        const loader = new GroupLoader(gulp, this.config, GRAPH_TASK_MODULES_DIR);
+        loader.loadTask('alpha', 'loop1');
+        expect(loader.registeredTasks()).toEqual(['alpha:loop1', 'alpha:loop2']);
+      });
+
+      it("does not keep tasks whose dependencies failed to load", function(){
+        const loader = new GroupLoader(gulp, this.config, GRAPH_TASK_MODULES_DIR);
+        expect(function(){
+          loader.loadTask('alpha', 'broken');
+        }).toThrowError(/Unknown task group "nope"/);
+        expect(loader.registeredTasks()).toEqual([]);
+
+        loader.taskGroup('alpha').addAction('broken', ['prep'], function(){});
+        expect(loader.loadTask('alpha', 'broken')).toEqual('alpha:broken');
+        expect(loader.registeredTasks()).toEqual(['alpha:broken', 'alpha:prep']);
+      });
+
+      it("lets task groups be extended before their tasks are added", function(){
+        const loader = new GroupLoader(gulp, this.config, GRAPH_TASK_MODULES_DIR);
+        const extendFn = jasmine.createSpy('extendFn').and.callFake(function(tasks){
+          tasks.addAction('extra', ['build'], function(){});
+        });
+
+        const tasks = loader.extendTaskGroup('alpha', extendFn);
+        expect(tasks).toBe(loader.taskGroup('alpha'));
+        expect(extendFn).toHaveBeenCalledWith(tasks, gulp);
+
+        expect(loader.loadTask('alpha', 'extra')).toEqual('alpha:extra');
+        expect(loader.registeredTasks()).toEqual(['alpha:extra', 'alpha:build', 'alpha:prep', 'beta:compile']);
+
+        expect(function(){
+          loader.extendTaskGroup('alpha', function(){});
+        }).toThrowError('Cannot extend the "alpha" task group, since some of its tasks were already added to Gulp: ' +
+          'alpha:extra, alpha:build, alpha:prep. Extend task groups before adding their tasks.');
+      });
+
+      it("finds task group modules in additional directories", function(){
+        const loader = new GroupLoader(gulp, this.config, TEST_TASK_MODULES_DIR);
+        loader.addModulesDir(EXTRA_TASK_MODULES_DIR);
+        loader.addModulesDir(EXTRA_TASK_MODULES_DIR);
+
+        expect(loader.availableTaskGroups().sort()).toEqual(['group1', 'svg']);
+        // Additional directories take precedence
+        expect(loader.taskGroupSource('group1')).toEqual(path.join(EXTRA_TASK_MODULES_DIR, 'group1-tasks.js'));
+        expect(loader.taskGroupSource('nope')).toBeNull();
+        expect(loader.taskGroup('group1').getActions()).toEqual(['extra']);
+
+        expect(function(){
+          loader.addModulesDir(path.join(EXTRA_TASK_MODULES_DIR, 'nope'));
+        }).toThrowError(/It does not exist\./);
+      });
+
+      it("can add task group modules from task module functions", function(){
+        const loader = new GroupLoader(gulp, this.config, TEST_TASK_MODULES_DIR);
+        loader.addModulesDir(EXTRA_TASK_MODULES_DIR);
+        loader.addTaskGroupModule('group1', GulpTaskGroup.createTasksModule('inline', function(tasks){
+          tasks.addAction('inline-action', function(){});
+        }));
+
+        expect(loader.availableTaskGroups()).toEqual(['group1', 'svg']);
+        expect(loader.taskGroupSource('group1')).toEqual('inline');
+        expect(loader.loadTask('group1', 'inline-action')).toEqual('group1:inline-action');
+
+        expect(function(){
+          loader.addTaskGroupModule('group1', GulpTaskGroup.createTasksModule('inline'));
+        }).toThrowError(/A task group with that name was already loaded\./);
+        expect(function(){
+          loader.addTaskGroupModule('other', {});
+        }).toThrowError(/must be task module functions/);
+      });
+
+      it("finds task groups in installed packages", function(){
+        const loader = new GroupLoader(gulp, this.config);
+        expect(loader.groupPackages()).toEqual([]);
+        loader.addPackagesDir(TEST_PACKAGES_DIR);
+
+        // Built-in task groups take precedence
+        expect(loader.availableTaskGroups()).toContain('svg');
+        expect(loader.availableTaskGroups()).toContain('icons');
+        expect(loader.taskGroupSource('less')).toEqual(path.join(DEFAULT_TASK_MODULES_DIR, 'less-tasks.js'));
+        expect(loader.taskGroupSource('svg')).toEqual(path.join(TEST_PACKAGES_DIR, 'node_modules/gulp-kitchen-sink-group-svg'));
+
+        expect(loader.groupPackages().map(function(group){
+          return group.groupName + ': ' + group.problem;
+        }).sort()).toEqual([
+          'icons: The "icons" task group from @ourteam/build-tasks@3.1.0 requires gulp-kitchen-sink ^2.0.0, but ' + VERSION + ' is installed. It may not work as expected.',
+          'less: The "less" task group from @ourteam/build-tasks@3.1.0 requires gulp-kitchen-sink ^2.0.0, but ' + VERSION + ' is installed. It may not work as expected.',
+          'svg: null'
+        ]);
+      });
+
+      it("loads package task groups lazily and warns about incompatible ones", function(){
+        const loader = new GroupLoader(gulp, this.config);
+        loader.addPackagesDir(TEST_PACKAGES_DIR);
+        loader.reportFn = jasmine.createSpy('reportFn');
+
+        expect(loader.loadTask('svg', 'build')).toEqual('svg:build');
+        expect(loader.reportFn).not.toHaveBeenCalled();
+
+        loader.taskGroup('less');
+        expect(loader.reportFn).not.toHaveBeenCalled();
+
+        expect(loader.taskGroup('icons').getActions()).toEqual(['build']);
+        loader.addTaskGroupInstance('icons', 'icons2');
+        expect(loader.reportFn.calls.count()).toEqual(1);
+        expect(loader.reportFn).toHaveBeenCalledWith(null, 'warning', jasmine.stringMatching(/^The "icons" task group from @ourteam\/build-tasks@3\.1\.0 requires/));
+      });
+
+      it("only reads its module and package directories once", function(){
+        const loader = new GroupLoader(gulp, this.config, TEST_TASK_MODULES_DIR);
+        loader.addPackagesDir(TEST_PACKAGES_DIR);
+        spyOn(fs, 'readdirSync').and.callThrough();
+
+        const groupNames = loader.availableTaskGroups();
+        const readCount = fs.readdirSync.calls.count();
+        expect(readCount).toBeGreaterThan(0);
+        expect(loader.availableTaskGroups()).toEqual(groupNames);
+        expect(loader.hasTaskGroup('svg')).toBe(true);
+        expect(fs.readdirSync.calls.count()).toEqual(readCount);
+      });
+
+      it("throws a helpful error for unknown task groups", function(){
+        expect(this.loader.hasTaskGroup('no-such-group')).toBe(false);
+        expect(function(){
+          this.loader.taskGroup('no-such-group');
+        }.bind(this)).toThrowError(/^Unknown task group "no-such-group"\. Available task groups: /);
+        expect(function(){
+          this.loader.addTaskGroupInstance('no-such-group', 'instance');
+        }.bind(this)).toThrowError(/^Unknown task group "no-such-group"/);
+      });
+
+      it("adds tasks to Gulp and keeps track of them", function(){
+        const availableGroups = this.loader.availableTaskGroups();
+        if(availableGroups.length === 0){
+          // Mark test as pending if there are no available task groups to load.
+          pending("No available tasks groups in: " + this.loader.modulesDir);
+        }
+        else{
+          const groupName = availableGroups[0];
+          const tasks = this.loader.taskGroup(groupName);
+          tasks.addAction('action-1', function(){});
+          tasks.addAction('action-2', function(){});
+
+          expect(this.loader.loadTask(groupName, 'action-1')).toEqual(tasks.taskName('action-1'));
+          expect(gulp.hasTask(tasks.taskName('action-1'))).toBe(true);
+
+          const taskNames = this.loader.loadAllTasks(groupName);
+          expect(taskNames).toContain(tasks.taskName('action-2'));
+          expect(gulp.hasTask(tasks.taskName('action-2'))).toBe(true);
+
+          expect(this.loader.registeredTasks().sort()).toEqual(taskNames.sort());
+          expect(this.loader.taskOwner(tasks.taskName('action-1'))).toEqual({groupName: groupName, actionName: 'action-1'});
+          expect(this.loader.taskOwner('no-such-task')).toBeNull();
+        }
+      });
+
+      it("detects task name collisions", function(){
+        const availableGroups = this.loader.availableTaskGroups();
+        if(availableGroups.length === 0){
+          // Mark test as pending if there are no available task groups to load.
+          pending("No available tasks groups in: " + this.loader.modulesDir);
+        }
+        else{
+          const loader = this.loader;
+          const groupName = availableGroups[0];
+          const tasks = loader.taskGroup(groupName);
+          tasks.addAction('action-1', function(){});
+          tasks.addAction('action-2', function(){});
+
+          // Generate the same name for every action
+          this.config.tasks.nameFn = function(prefixName, groupName){
+            return groupName;
+          };
+
+          loader.loadTask(groupName, 'action-1');
+          expect(function(){
+            loader.loadTask(groupName, 'action-2');
+          }).toThrowError(/Task name collision: "[^"]+" is generated for both the "action-1" action/);
+
+          // Re-loading the same action is fine though
+          expect(function(){
+            loader.loadTask(groupName, 'action-1');
+          }).not.toThrow();
+        }
+      });
+
+      it("detects task name collisions before adding all tasks of a group", function(){
+        const availableGroups = this.loader.availableTaskGroups();
+        if(availableGroups.length === 0){
+          // Mark test as pending if there are no available task groups to load.
+          pending("No available tasks groups in: " + this.loader.modulesDir);
+        }
+        else{
+          const loader = this.loader;
+          const groupName = availableGroups[0];
+          const tasks = loader.taskGroup(groupName);
+          tasks.addAction('action-1', function(){});
+          tasks.addAction('action-2', function(){});
+          this.config.tasks.nameFn = function(){
+            return 'same-name';
+          };
+
+          expect(function(){
+            loader.loadAllTasks(groupName);
+          }).toThrowError(/Task name collision/);
+          expect(gulp.hasTask('same-name')).toBe(false);
+        }
+      });
+
       it("can load all available task groups in one go", function(){
         const availableGroups = this.loader.availableTaskGroups();
         if(availableGroups.length === 0){
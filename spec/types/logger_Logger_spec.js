@@ -0,0 +1,106 @@
+/*
+ Jasmine unit tests for the Logger class in types/logger.js
+ */
+describe("A Logger", function(){
+  "use strict";
+
+  const EventEmitter = require('events').EventEmitter;
+
+  const BuildConfig = require('../../lib/types/build-config');
+  const Logger = require('../../lib/types/logger');
+
+  var config, lines, logger;
+
+  beforeEach(function(){
+    config = new BuildConfig();
+    lines = [];
+    logger = new Logger(config, function(line){
+      lines.push(line);
+    });
+  });
+
+  // Logs one event of each kind
+  function logAll(){
+    logger.log('taskStart', {taskName: 'less:build'});
+    logger.log('file', {taskName: 'less:build', path: 'src/a.less', stage: 'read'});
+    logger.log('file', {taskName: 'less:build', path: 'src/a.less', stage: 'processed'});
+    logger.log('info', {taskName: 'less:build', message: 'Dry run: less:build'});
+    logger.log('warning', {taskName: 'less:build', message: 'Looks odd'});
+    logger.log('taskError', {taskName: 'less:build', message: 'Broken', error: new Error('Broken'), duringRun: true});
+    logger.log('taskEnd', {taskName: 'less:build', duration: 12, failed: true, error: new Error('Broken')});
+  }
+
+
+  // Tests
+
+  it("logs messages, warnings and errors at the info level", function(){
+    expect(config.log.level).toEqual('info');
+    logAll();
+    expect(lines).toEqual([
+      '[less:build] Dry run: less:build',
+      '[less:build] Warning: Looks odd',
+      '[less:build] Error: Broken'
+    ]);
+  });
+
+  it("logs when tasks start and end at the verbose level", function(){
+    config.log.level = 'verbose';
+    logAll();
+    expect(lines).toEqual([
+      '[less:build] Started',
+      '[less:build] Dry run: less:build',
+      '[less:build] Warning: Looks odd',
+      '[less:build] Error: Broken',
+      '[less:build] Failed after 12 ms'
+    ]);
+  });
+
+  it("logs every file at the debug level", function(){
+    config.log.level = 'debug';
+    logAll();
+    expect(lines.length).toEqual(7);
+    expect(lines[1]).toEqual('[less:build] Read src/a.less');
+    expect(lines[2]).toEqual('[less:build] Processing src/a.less');
+  });
+
+  it("logs nothing at the silent level", function(){
+    config.log.level = 'silent';
+    logAll();
+    expect(lines).toEqual([]);
+  });
+
+  it("logs JSON lines", function(){
+    config.log.format = 'json';
+    logAll();
+    const entries = lines.map(function(line){
+      return JSON.parse(line);
+    });
+    expect(entries.length).toEqual(3);
+    expect(entries[2]).toEqual({
+      time: jasmine.any(String),
+      level: 'info',
+      event: 'taskError',
+      taskName: 'less:build',
+      message: 'Broken',
+      duringRun: true
+    });
+  });
+
+  it("leaves the errors of tasks that Gulp runs to Gulp, unless verbose", function(){
+    logger.log('taskError', {taskName: 'less:build', message: 'Broken', error: new Error('Broken'), duringRun: false});
+    expect(lines).toEqual([]);
+    config.log.level = 'verbose';
+    logger.log('taskError', {taskName: 'less:build', message: 'Broken', error: new Error('Broken'), duringRun: false});
+    expect(lines).toEqual(['[less:build] Error: Broken']);
+  });
+
+  it("logs the events of an event emitter it is attached to", function(){
+    const emitter = new EventEmitter();
+    expect(logger.attach(emitter)).toBe(logger);
+    emitter.emit('warning', {taskName: 'less:hint', message: 'Looks odd'});
+    emitter.emit('warning', {taskName: null, message: 'Looks old'});
+    emitter.emit('unrelated', {taskName: 'less:hint'});
+    expect(lines).toEqual(['[less:hint] Warning: Looks odd', 'Warning: Looks old']);
+  });
+
+});
@@ -0,0 +1,59 @@
+/*
+ Jasmine unit tests for the RunResult class in types/run-result.js
+ */
+describe("A RunResult", function(){
+  "use strict";
+
+  const RunResult = require('../../lib/types/run-result');
+
+
+  // Tests
+
+  it("is initially empty", function(){
+    const result = new RunResult();
+    expect(result.tasks).toEqual([]);
+    expect(result.filesRead).toEqual([]);
+    expect(result.filesWritten).toEqual([]);
+    expect(result.warnings).toEqual([]);
+    expect(result.errors).toEqual([]);
+  });
+
+  it("records the tasks that started and the files they read and wrote, once each", function(){
+    const result = new RunResult();
+    result.record('less:build', 'start');
+    result.record('less:build', 'fileRead', 'src/a.less');
+    result.record('less:hint', 'fileRead', 'src/a.less');
+    result.record('less:build', 'fileWritten', 'dist/a.css');
+    result.record('less:build', 'info', 'Dry run: less:build');
+
+    expect(result.tasks).toEqual(['less:build']);
+    expect(result.filesRead).toEqual(['src/a.less']);
+    expect(result.filesWritten).toEqual(['dist/a.css']);
+  });
+
+  it("records warnings and errors", function(){
+    const result = new RunResult();
+    const error = new Error('Broken');
+    result.record('less:hint', 'warning', 'Looks odd');
+    result.record('less:hint', 'error', 'Looks wrong');
+    result.record('less:build', 'error', error);
+    result.record(null, 'error', error);
+
+    expect(result.warnings).toEqual([{taskName: 'less:hint', message: 'Looks odd', error: null}]);
+    expect(result.errors).toEqual([
+      {taskName: 'less:hint', message: 'Looks wrong', error: null},
+      {taskName: 'less:build', message: 'Broken', error: error}
+    ]);
+    expect(result.hasError(error)).toBe(true);
+    expect(result.hasError(new Error('Broken'))).toBe(false);
+  });
+
+  it("ignores unknown report types", function(){
+    const result = new RunResult();
+    expect(function(){
+      result.record('less:build', 'nope', 'Something');
+    }).not.toThrow();
+    expect(result).toEqual(new RunResult());
+  });
+
+});
@@ -84,4 +84,22 @@ describe("An ActionDependency", function() {
     expect(this.actionDep.taskName(this.config)).toEqual(prefixName + SEP + ACTION_NAME + SEP + GROUP_NAME);
   });
 
+  it("creates task names correctly (with custom separator)", function(){
+    const prefixName = 'test-prefix';
+    this.config.tasks.defaultPrefixName = prefixName;
+    this.config.tasks.separator = '.';
+    expect(this.actionDep.taskName(this.config)).toEqual(prefixName + '.' + GROUP_NAME + '.' + ACTION_NAME);
+  });
+
+  it("creates task names correctly (with custom naming function)", function(){
+    const config = this.config;
+    this.config.tasks.defaultPrefixName = 'test-prefix';
+    this.config.tasks.nameFn = function(prefixName, groupName, actionName, bldConfig){
+      expect(prefixName).toEqual('test-prefix');
+      expect(bldConfig).toBe(config);
+      return actionName + '-' + groupName;
+    };
+    expect(this.actionDep.taskName(this.config)).toEqual(ACTION_NAME + '-' + GROUP_NAME);
+  });
+
 });
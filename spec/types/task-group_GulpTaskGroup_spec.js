@@ -11,6 +11,7 @@ describe("A GulpTaskGroup", function(){
 
   const BuildConfig = require('../../lib/types/build-config');
   const GulpTaskGroup = require('../../lib/types/task-group');
+  const Gulp4 = require('gulp4').Gulp;
 
   const gulp = require('gulp');
 
@@ -56,6 +57,23 @@ describe("A GulpTaskGroup", function(){
   });
 
 
+  it("uses its group name as its config section by default", function(){
+    expect(this.tasks.configSection).toEqual(GROUP_NAME);
+
+    const otherTasks = new GulpTaskGroup(GROUP_NAME, this.config, 'less');
+    expect(otherTasks.configSection).toEqual('less');
+  });
+
+
+  it("returns action configs from its config section", function(){
+    const tasks = new GulpTaskGroup(GROUP_NAME, this.config, 'less');
+    this.config.less.actions.hint = { bldDir: 'hinted' };
+
+    expect(tasks.actionConfig('hint').destSuffix).toEqual('hinted');
+    expect(tasks.actionConfig('build').destSuffix).toEqual(this.config.less.bldDir);
+  });
+
+
   it("initially has no actions within it", function(){
     const actionNames = this.tasks.getActions();
     // First check that the returned type is correct
@@ -87,6 +105,24 @@ describe("A GulpTaskGroup", function(){
     expect(this.tasks.taskName(ACTION_NAME)).toEqual(prefixName + SEP + ACTION_NAME + SEP + GROUP_NAME);
   });
 
+  it("creates task names correctly (with custom separator)", function(){
+    const prefixName = 'test-prefix';
+    this.config.tasks.defaultPrefixName = prefixName;
+    this.config.tasks.separator = '.';
+    expect(this.tasks.taskName(ACTION_NAME)).toEqual(prefixName + '.' + GROUP_NAME + '.' + ACTION_NAME);
+  });
+
+  it("creates task names correctly (with custom naming function)", function(){
+    const config = this.config;
+    this.config.tasks.defaultPrefixName = 'test-prefix';
+    this.config.tasks.nameFn = function(prefixName, groupName, actionName, bldConfig){
+      expect(prefixName).toEqual('test-prefix');
+      expect(bldConfig).toBe(config);
+      return actionName + '-' + groupName;
+    };
+    expect(this.tasks.taskName(ACTION_NAME)).toEqual(ACTION_NAME + '-' + GROUP_NAME);
+  });
+
 
   it("creates action dependencies correctly", function(){
     const actionDep = this.tasks.actionDep(ACTION_NAME);
@@ -155,6 +191,248 @@ describe("A GulpTaskGroup", function(){
   });
 
 
+  it("returns the dependencies of its actions as action dependencies", function(){
+    const externalDep = new GulpTaskGroup.ActionDependency('other-group', 'ext-action');
+    this.tasks.addAction(ACTION_NAME, [externalDep, 'other-action'], function(){});
+
+    expect(this.tasks.hasAction(ACTION_NAME)).toBe(true);
+    expect(this.tasks.hasAction('other-action')).toBe(false);
+    expect(this.tasks.getActionDeps(ACTION_NAME)).toEqual([
+      externalDep,
+      new GulpTaskGroup.ActionDependency(GROUP_NAME, 'other-action')
+    ]);
+  });
+
+
+  it("can add a task to Gulp without its dependencies", function(){
+    this.tasks.addAction(ACTION_NAME, ['other-action'], function(){});
+    this.tasks.addAction('other-action', function(){});
+    expect(this.tasks.loadTaskOnly(ACTION_NAME, gulp)).toEqual(this.tasks.taskName(ACTION_NAME));
+    expect(gulp.hasTask(this.tasks.taskName(ACTION_NAME))).toBe(true);
+    expect(gulp.hasTask(this.tasks.taskName('other-action'))).toBe(false);
+  });
+
+
+  it("accepts action options in any argument position after the name", function(){
+    const fn = function(){};
+    this.tasks.addAction('a', fn, {series: true});
+    this.tasks.addAction('b', ['a'], fn, {series: true});
+    this.tasks.addAction('c', fn);
+    expect(this.tasks.getActionOptions('a')).toEqual({series: true});
+    expect(this.tasks.getActionDeps('b')).toEqual([this.tasks.actionDep('a')]);
+    expect(this.tasks.getActionOptions('b')).toEqual({series: true});
+    expect(this.tasks.getActionOptions('c')).toEqual({});
+  });
+
+
+  it("can add tasks with dependencies to Gulp 4", function(done){
+    const gulp4 = new Gulp4();
+    const order = [];
+    this.tasks.addAction('clean', function(cb){ order.push('clean'); cb(); });
+    this.tasks.addAction('compile', function(cb){ order.push('compile'); cb(); });
+    this.tasks.addAction(ACTION_NAME, ['clean', 'compile'], function(cb){ order.push(ACTION_NAME); cb(); }, {series: true});
+
+    // Load the dependent action first, to check that it doesn't matter
+    this.tasks.loadTask(ACTION_NAME, gulp4);
+    this.tasks.loadTask('clean', gulp4);
+    this.tasks.loadTask('compile', gulp4);
+
+    gulp4.task(this.tasks.taskName(ACTION_NAME))(function(){
+      expect(order).toEqual(['clean', 'compile', ACTION_NAME]);
+      done();
+    });
+  });
+
+
+  it("throws a helpful error when loading an unknown action", function(){
+    this.tasks.addAction(ACTION_NAME, function(){});
+    expect(function(){
+      this.tasks.loadTask('nope', gulp);
+    }.bind(this)).toThrowError('Unknown action "nope" in the "' + GROUP_NAME + '" task group. Available actions: ' + ACTION_NAME);
+    expect(function(){
+      this.tasks.getActionDeps('nope');
+    }.bind(this)).toThrowError(/Unknown action "nope"/);
+  });
+
+
+  it("can wrap its actions", function(done){
+    const calls = [];
+    const options = {description: 'Does things'};
+    this.tasks.addAction('dep', function(){
+      calls.push('dep');
+    });
+    this.tasks.addAction(ACTION_NAME, ['dep'], function(){
+      calls.push('original');
+    }, options);
+
+    this.tasks.wrapAction(ACTION_NAME, function(originalFn){
+      return function(){
+        calls.push('before');
+        originalFn();
+      };
+    });
+    expect(this.tasks.getActionOptions(ACTION_NAME)).toBe(options);
+    expect(function(){
+      this.tasks.wrapAction(ACTION_NAME, function(){});
+    }.bind(this)).toThrowError(/The wrapper did not return a function\./);
+
+    this.tasks.loadAllTasks(gulp);
+    gulp.start(this.tasks.taskName(ACTION_NAME), function(){
+      expect(calls).toEqual(['dep', 'before', 'original']);
+      done();
+    });
+  });
+
+
+  it("returns the inputs and destination paths its actions declare", function(){
+    this.tasks.addAction('plain', function(){});
+    this.tasks.addAction(ACTION_NAME, function(){}, {
+      src: function(actionName){
+        return 'src/' + actionName + '/*.txt';
+      },
+      dest: function(){
+        return 'dist';
+      }
+    });
+
+    expect(this.tasks.actionInputs('plain')).toEqual([]);
+    expect(this.tasks.actionDestPath('plain')).toBeNull();
+    expect(this.tasks.actionInputs(ACTION_NAME)).toEqual(['src/' + ACTION_NAME + '/*.txt']);
+    expect(this.tasks.actionDestPath(ACTION_NAME)).toEqual('dist');
+  });
+
+
+  it("reads the source files of its actions as streams", function(done){
+    const tasks = this.tasks;
+    const files = [];
+    tasks.addAction(ACTION_NAME, function(){
+      return tasks.src(ACTION_NAME, gulp).on('data', function(file){
+        files.push(file.path);
+      });
+    }, {src: function(){
+      return __filename;
+    }});
+    tasks.loadAllTasks(gulp);
+
+    gulp.start(tasks.taskName(ACTION_NAME), function(err){
+      expect(err).toBeFalsy();
+      expect(files).toEqual([__filename]);
+      done();
+    });
+  });
+
+
+  it("skips reading sources that match no files", function(done){
+    const tasks = this.tasks;
+    const files = [];
+    tasks.addAction(ACTION_NAME, function(){
+      return tasks.src(ACTION_NAME, gulp).on('data', function(file){
+        files.push(file.path);
+      });
+    }, {src: function(){
+      return __dirname + '/nope/*.nope';
+    }});
+    tasks.loader = {reportFn: jasmine.createSpy('reportFn')};
+    tasks.loadTaskOnly(ACTION_NAME, gulp);
+
+    gulp.start(tasks.taskName(ACTION_NAME), function(err){
+      expect(err).toBeFalsy();
+      expect(files).toEqual([]);
+      expect(tasks.loader.reportFn).toHaveBeenCalledWith('test-group:test-action', 'warning',
+        jasmine.stringMatching(/^The source globs of the "test-group:test-action" task match no files: .*\. The task was skipped\.$/));
+      done();
+    });
+  });
+
+
+  it("fails reading sources that match no files in strict mode", function(done){
+    const tasks = this.tasks;
+    this.config.tasks.strictInputs = true;
+    tasks.addAction(ACTION_NAME, function(){
+      return tasks.src(ACTION_NAME, gulp);
+    }, {src: function(){
+      return __dirname + '/nope/*.nope';
+    }});
+    tasks.loadAllTasks(gulp);
+
+    gulp.start(tasks.taskName(ACTION_NAME), function(err){
+      expect(err).toEqual(jasmine.any(Error));
+      expect(err.message).toMatch(/task match no files: .*\(Disable tasks\.strictInputs to skip such tasks instead\.\)$/);
+      done();
+    });
+  });
+
+
+  it("refuses to read sources of actions without inputs", function(){
+    this.tasks.addAction(ACTION_NAME, function(){});
+
+    expect(function(){
+      this.tasks.src(ACTION_NAME, gulp);
+    }.bind(this)).toThrowError(/has no inputs to read/);
+  });
+
+
+  it("reports what its actions do while they run to its loader", function(done){
+    const reports = [];
+    this.tasks.loader = {
+      reportFn: function(taskName, type, detail){
+        reports.push([taskName, type, detail]);
+      }
+    };
+    const tasks = this.tasks;
+    const error = new Error('Failed');
+    this.tasks.addAction(ACTION_NAME, function(cb){
+      tasks.src(ACTION_NAME, gulp).on('end', function(){
+        cb(error);
+      }).resume();
+    }, {src: function(){
+      return __filename;
+    }});
+    this.tasks.loadTaskOnly(ACTION_NAME, gulp);
+
+    gulp.start(this.tasks.taskName(ACTION_NAME), function(err){
+      expect(err).toBe(error);
+      expect(reports).toEqual([
+        [GROUP_NAME + SEP + ACTION_NAME, 'start', undefined],
+        [GROUP_NAME + SEP + ACTION_NAME, 'fileRead', __filename],
+        [GROUP_NAME + SEP + ACTION_NAME, 'error', error],
+        [GROUP_NAME + SEP + ACTION_NAME, 'end', error]
+      ]);
+      done();
+    });
+  });
+
+
+  it("collects pipe stages for the extension points of its actions", function(){
+    const stageFn = function(){};
+    this.tasks.addAction(ACTION_NAME, function(){}, {extensionPoints: ['before', 'after']});
+    this.tasks.addPipeStage(ACTION_NAME, 'after', stageFn, 'a', 1);
+    this.tasks.addPipeStage(ACTION_NAME, 'after', stageFn);
+
+    expect(this.tasks.getExtensionPoints(ACTION_NAME)).toEqual(['before', 'after']);
+    expect(this.tasks.pipeStages(ACTION_NAME, 'before')).toEqual([]);
+    expect(this.tasks.pipeStages(ACTION_NAME, 'after')).toEqual([
+      {fn: stageFn, args: ['a', 1]},
+      {fn: stageFn, args: []}
+    ]);
+  });
+
+
+  it("throws a helpful error when adding pipe stages to unknown extension points", function(){
+    this.tasks.addAction(ACTION_NAME, function(){}, {extensionPoints: ['before', 'after']});
+    this.tasks.addAction('plain', function(){});
+    expect(function(){
+      this.tasks.addPipeStage(ACTION_NAME, 'nope', function(){});
+    }.bind(this)).toThrowError('The "' + ACTION_NAME + '" action of the "' + GROUP_NAME + '" task group has no "nope" extension point. Available extension points: before, after');
+    expect(function(){
+      this.tasks.addPipeStage('plain', 'before', function(){});
+    }.bind(this)).toThrowError(/It has no extension points\./);
+    expect(function(){
+      this.tasks.addPipeStage(ACTION_NAME, 'before', 'nope');
+    }.bind(this)).toThrowError(/must be functions/);
+  });
+
+
   it("can add simple a task to Gulp", function(done){
     // Add an action whose function sets a flag
     // (so that we can verify that it actually ran)
@@ -0,0 +1,90 @@
+/*
+ Jasmine unit tests for the functions in utils/config-file.js
+ */
+describe("The config file utils", function(){
+  "use strict";
+
+  const path = require('path');
+
+  const TEST_CONFIG_DIR = path.join(__dirname, '../testdata/config/');
+  const TEST_TASK_MODULES_DIR = path.join(__dirname, '../testdata/tasks/');
+
+  const configFile = require('../../lib/utils/config-file');
+
+
+  // Tests
+
+  it("prefers kitchensink.config.js over kitchensink.config.json", function(){
+    expect(configFile.findConfigFile(path.join(TEST_CONFIG_DIR, 'js')))
+      .toEqual(path.join(TEST_CONFIG_DIR, 'js', 'kitchensink.config.js'));
+  });
+
+  it("finds kitchensink.config.json files", function(){
+    expect(configFile.findConfigFile(path.join(TEST_CONFIG_DIR, 'json')))
+      .toEqual(path.join(TEST_CONFIG_DIR, 'json', 'kitchensink.config.json'));
+  });
+
+  it("finds package.json files with a kitchenSink property", function(){
+    expect(configFile.findConfigFile(path.join(TEST_CONFIG_DIR, 'pkg')))
+      .toEqual(path.join(TEST_CONFIG_DIR, 'pkg', 'package.json'));
+  });
+
+  it("returns null when there is no config file", function(){
+    expect(configFile.findConfigFile(TEST_TASK_MODULES_DIR)).toBeNull();
+  });
+
+  it("loads config values from JS and JSON files", function(){
+    expect(configFile.loadConfigFile(path.join(TEST_CONFIG_DIR, 'js', 'kitchensink.config.js')))
+      .toEqual({ paths: { srcRoot: 'js-src' } });
+    expect(configFile.loadConfigFile(path.join(TEST_CONFIG_DIR, 'json', 'kitchensink.config.json')))
+      .toEqual({ paths: { srcRoot: 'json-src' }, less: { srcFiles: ['main.less'] } });
+  });
+
+  it("loads only the kitchenSink property from package.json files", function(){
+    expect(configFile.loadConfigFile(path.join(TEST_CONFIG_DIR, 'pkg', 'package.json')))
+      .toEqual({ paths: { bldRootProd: 'pkg-dist' } });
+  });
+
+  it("throws an error for missing config files", function(){
+    expect(function(){
+      configFile.loadConfigFile(path.join(TEST_CONFIG_DIR, 'does-not-exist.json'));
+    }).toThrowError(/not found/);
+  });
+
+  it("resolves presets from local files and node_modules", function(){
+    const presetDir = path.join(TEST_CONFIG_DIR, 'preset');
+    expect(configFile.resolvePreset('./presets/local.json', presetDir))
+      .toEqual(path.join(presetDir, 'presets', 'local.json'));
+    // Modules are also found in the node_modules of parent directories
+    expect(configFile.resolvePreset('@ourteam/kitchen-sink-preset', path.join(presetDir, 'presets')))
+      .toEqual(path.join(presetDir, 'node_modules', '@ourteam', 'kitchen-sink-preset', 'preset.js'));
+    expect(function(){
+      configFile.resolvePreset('no-such-preset', presetDir);
+    }).toThrowError(/preset "no-such-preset" not found/);
+  });
+
+  it("loads the presets a config file extends as layers, in merge order", function(){
+    const presetDir = path.join(TEST_CONFIG_DIR, 'preset');
+    const configPath = path.join(presetDir, 'kitchensink.config.json');
+    const layers = configFile.loadConfigLayers(configPath);
+
+    expect(layers.map(function(layer){
+      return layer.source;
+    })).toEqual([
+      'preset ./base.json',
+      'preset @ourteam/kitchen-sink-preset',
+      'preset ./presets/local.json',
+      'config file ' + configPath
+    ]);
+    expect(layers[0].values).toEqual({ paths: { srcRoot: 'base-src', bldRootProd: 'base-dist' } });
+    // The extends property is not part of the values
+    expect(layers[3].values).toEqual({ paths: { srcRoot: 'project-src' } });
+  });
+
+  it("detects presets that extend each other in a cycle", function(){
+    expect(function(){
+      configFile.loadConfigLayers(path.join(TEST_CONFIG_DIR, 'cycle', 'kitchensink.config.json'));
+    }).toThrowError(/Circular build config presets: .* -> preset \.\/a\.json -> preset \.\/b\.json -> preset \.\/a\.json/);
+  });
+
+});
@@ -0,0 +1,96 @@
+/*
+ Jasmine unit tests for the functions in utils/config-overrides.js
+ */
+describe("The config override utils", function(){
+  "use strict";
+
+  const configOverrides = require('../../lib/utils/config-overrides');
+
+  var config;
+
+  beforeEach(function(){
+    config = {
+      mode: 'dev',
+      paths: { srcRoot: 'src' },
+      tasks: { defaultPrefixName: false, nameFn: null },
+      less: { srcFiles: ['a.less'], lessConfig: {} },
+      watch: { delay: 100 }
+    };
+  });
+
+
+  // Tests
+
+  it("coerces values to the type of the value they override", function(){
+    expect(configOverrides.coerce('yes', false)).toBe(true);
+    expect(configOverrides.coerce('0', true)).toBe(false);
+    expect(configOverrides.coerce('250', 100)).toBe(250);
+    expect(configOverrides.coerce('a.less, b.less', [])).toEqual(['a.less', 'b.less']);
+    expect(configOverrides.coerce('["a.less"]', [])).toEqual(['a.less']);
+    expect(configOverrides.coerce('{"compress":true}', {})).toEqual({compress: true});
+    expect(configOverrides.coerce('42', 'src')).toBe('42');
+    expect(configOverrides.coerce('false', null)).toBe(false);
+    expect(configOverrides.coerce('alt', undefined)).toBe('alt');
+  });
+
+  it("rejects values that cannot be coerced", function(){
+    expect(function(){
+      configOverrides.coerce('maybe', false);
+    }).toThrowError(/Expected a boolean/);
+    expect(function(){
+      configOverrides.coerce('lots', 100);
+    }).toThrowError(/Expected a number/);
+    expect(function(){
+      configOverrides.coerce('compress', {});
+    }).toThrowError(/Invalid JSON/);
+    expect(function(){
+      configOverrides.coerce('foo', function(){});
+    }).toThrowError(/Functions cannot be overridden/);
+  });
+
+  it("finds overrides in environment variables", function(){
+    const overrides = configOverrides.fromEnv(config, {
+      KS_PATHS_SRCROOT: './alt',
+      KS_WATCH_DELAY: '5',
+      KS_LESS_SRCFILE: 'typo.less',
+      KS_MODE: 'prod',
+      PATH: '/usr/bin'
+    });
+    expect(overrides).toEqual([
+      { path: 'paths.srcRoot', value: './alt', source: 'environment variable KS_PATHS_SRCROOT' },
+      { path: 'watch.delay', value: 5, source: 'environment variable KS_WATCH_DELAY' }
+    ]);
+  });
+
+  it("finds overrides in command-line flags", function(){
+    const overrides = configOverrides.fromArgv(config, [
+      'node', 'gulp', 'less:build',
+      '--ks.less.srcFiles=a.less,b.less',
+      '--ks.tasks.defaultPrefixName',
+      '--ks.paths.srcRoot=alt',
+      '--prod'
+    ]);
+    expect(overrides).toEqual([
+      { path: 'less.srcFiles', value: ['a.less', 'b.less'], source: 'CLI flag --ks.less.srcFiles' },
+      { path: 'tasks.defaultPrefixName', value: true, source: 'CLI flag --ks.tasks.defaultPrefixName' },
+      { path: 'paths.srcRoot', value: 'alt', source: 'CLI flag --ks.paths.srcRoot' }
+    ]);
+  });
+
+  it("never takes the argument after a flag as its value", function(){
+    const overrides = configOverrides.fromArgv(config, [
+      'node', 'gulp', '--ks.tasks.defaultPrefixName', 'less:build', '--ks.debug', 'less:watch'
+    ]);
+    expect(overrides).toEqual([
+      { path: 'tasks.defaultPrefixName', value: true, source: 'CLI flag --ks.tasks.defaultPrefixName' },
+      { path: 'debug', value: true, source: 'CLI flag --ks.debug' }
+    ]);
+  });
+
+  it("includes the override's source in coercion errors", function(){
+    expect(function(){
+      configOverrides.fromArgv(config, ['--ks.watch.delay=soon']);
+    }).toThrowError(/CLI flag --ks\.watch\.delay/);
+  });
+
+});
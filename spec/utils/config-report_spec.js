@@ -0,0 +1,75 @@
+/*
+ Jasmine unit tests for the functions in utils/config-report.js
+ */
+describe("The config report utils", function(){
+  "use strict";
+
+  const path = require('path');
+  const yaml = require('js-yaml');
+
+  const BuildConfig = require('../../lib/types/build-config');
+  const GulpTaskGroup = require('../../lib/types/task-group');
+  const configReport = require('../../lib/utils/config-report');
+
+  // Each test gets a fresh config and a task group
+  // with a couple of actions
+  beforeEach(function(){
+    this.config = new BuildConfig();
+    this.config.merge({ paths: { srcRoot: 'source' } }, 'config file test.json');
+
+    this.tasks = new GulpTaskGroup('my-less', this.config, 'less');
+    this.tasks.addAction('build', function(){});
+    this.tasks.addAction('hint', function(){});
+
+    this.report = configReport.createReport(this.config, [
+      this.tasks,
+      // Groups without a config section should be ignored
+      new GulpTaskGroup('no-section', this.config)
+    ]);
+  });
+
+  afterEach(function(){
+    delete this.report;
+    delete this.tasks;
+    delete this.config;
+  });
+
+
+  // Tests
+
+  it("contains the config values", function(){
+    expect(this.report.mode).toEqual(BuildConfig.MODE_DEV);
+    expect(this.report.config.paths.srcRoot).toEqual('source');
+    expect(this.report.config.less.srcFiles).toEqual(this.config.less.srcFiles);
+  });
+
+  it("contains the sources of all config values", function(){
+    expect(this.report.sources['paths.srcRoot']).toEqual('config file test.json');
+    expect(this.report.sources['paths.bldRootDev']).toEqual(BuildConfig.SOURCE_DEFAULT);
+  });
+
+  it("contains the expanded paths of all task groups with config sections", function(){
+    expect(Object.keys(this.report.groups)).toEqual(['my-less']);
+    expect(this.report.groups['my-less'].configSection).toEqual('less');
+    expect(this.report.groups['my-less'].actions.build).toEqual({
+      taskName: 'my-less:build',
+      srcGlobs: path.join('source', this.config.less.srcFiles),
+      bldPath: path.join('dist', this.config.less.bldDir)
+    });
+  });
+
+  it("can be formatted as JSON", function(){
+    expect(JSON.parse(configReport.formatJSON(this.report))).toEqual(this.report);
+  });
+
+  it("can be formatted as YAML", function(){
+    expect(yaml.safeLoad(configReport.formatYAML(this.report))).toEqual(this.report);
+  });
+
+  it("can be formatted as text", function(){
+    const text = configReport.formatText(this.report);
+    expect(text).toMatch(/paths\.srcRoot\s+"source"\s+\(config file test\.json\)/);
+    expect(text).toMatch(/my-less:build/);
+  });
+
+});
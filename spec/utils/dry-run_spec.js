@@ -0,0 +1,80 @@
+/*
+ Jasmine unit tests for the functions in utils/dry-run.js
+ */
+describe("The dry run utils", function(){
+  "use strict";
+
+  const path = require('path');
+
+  const TEST_SRC_DIR = path.join(__dirname, '../testdata/dry-run/src');
+
+  const BuildConfig = require('../../lib/types/build-config');
+  const dryRun = require('../../lib/utils/dry-run');
+  const lessTasks = require('../../lib/tasks/less-tasks');
+  const configTasks = require('../../lib/tasks/config-tasks');
+
+  const gulp = require('gulp');
+
+  var config;
+
+  beforeEach(function(){
+    config = new BuildConfig();
+    config.paths.srcRoot = TEST_SRC_DIR;
+    config.less.srcFiles = ['**/*.less', '!**/_*.less'];
+  });
+
+  afterEach(function(){
+    gulp.reset();
+  });
+
+
+  // Tests
+
+  it("matches files like gulp.src() does", function(){
+    expect(dryRun.matchFiles('**/*.less', TEST_SRC_DIR)).toEqual(['main.less', 'sub/_partial.less', 'sub/other.less']);
+    expect(dryRun.matchFiles(['sub/*.less', '!**/_*.less', 'main.less'], TEST_SRC_DIR)).toEqual(['main.less', 'sub/other.less']);
+    expect(dryRun.matchFiles('nope/*.less', TEST_SRC_DIR)).toEqual([]);
+  });
+
+  it("describes what an action would read and write", function(){
+    const tasks = lessTasks(gulp, undefined, config, true);
+    const step = dryRun.createStep(tasks, 'build');
+
+    expect(step.taskName).toEqual('less:build');
+    expect(step.groupName).toEqual('less');
+    expect(step.actionName).toEqual('build');
+    expect(step.srcGlobs).toEqual(config.srcGlobs(config.less.srcFiles));
+    expect(step.files).toEqual([
+      path.join(TEST_SRC_DIR, 'main.less'),
+      path.join(TEST_SRC_DIR, 'sub/other.less')
+    ]);
+    expect(step.destPath).toEqual(config.bldPath(config.less.bldDir));
+
+    expect(dryRun.createStep(tasks, 'hint').destPath).toBeNull();
+  });
+
+  it("describes actions of task groups without a config section as reading and writing nothing", function(){
+    const step = dryRun.createStep(configTasks(gulp, undefined, config, true), 'json');
+    expect(step.srcGlobs).toEqual([]);
+    expect(step.files).toEqual([]);
+    expect(step.destPath).toBeNull();
+    expect(dryRun.formatStep(step)).toEqual('config:json\n  (reads and writes no files)');
+  });
+
+  it("formats descriptions as text", function(){
+    expect(dryRun.formatStep({
+      taskName: 'less:build',
+      srcGlobs: ['src/**/*.less'],
+      files: ['src/a.less', 'src/b.less'],
+      destPath: 'dist/less'
+    })).toEqual([
+      'less:build',
+      '  Source globs: src/**/*.less',
+      '  Matched files (2):',
+      '    src/a.less',
+      '    src/b.less',
+      '  Destination: dist/less'
+    ].join('\n'));
+  });
+
+});
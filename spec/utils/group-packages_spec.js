@@ -0,0 +1,63 @@
+/*
+ Jasmine unit tests for the functions in utils/group-packages.js
+ */
+describe("The group package utils", function(){
+  "use strict";
+
+  const path = require('path');
+
+  const TEST_PACKAGES_DIR = path.join(__dirname, '../testdata/packages');
+
+  const groupPackages = require('../../lib/utils/group-packages');
+
+
+  // Tests
+
+  it("finds task groups provided by installed packages", function(){
+    const groups = groupPackages.findGroupPackages(TEST_PACKAGES_DIR);
+    expect(Object.keys(groups).sort()).toEqual(['icons', 'less', 'svg']);
+    expect(groups.svg).toEqual({
+      groupName: 'svg',
+      packageName: 'gulp-kitchen-sink-group-svg',
+      version: '1.0.0',
+      modulePath: path.join(TEST_PACKAGES_DIR, 'node_modules/gulp-kitchen-sink-group-svg'),
+      requiredVersion: '^0.1.0'
+    });
+    expect(groups.icons).toEqual({
+      groupName: 'icons',
+      packageName: '@ourteam/build-tasks',
+      version: '3.1.0',
+      modulePath: path.join(TEST_PACKAGES_DIR, 'node_modules/@ourteam/build-tasks/lib/icons-tasks.js'),
+      requiredVersion: '^2.0.0'
+    });
+  });
+
+  it("only looks in the node_modules directories of ancestors when asked to", function(){
+    const groups = groupPackages.findGroupPackages(path.join(TEST_PACKAGES_DIR, 'project'));
+    expect(Object.keys(groups)).toEqual(['svg']);
+    expect(groups.svg.version).toEqual('2.0.0');
+  });
+
+  it("prefers packages in nearer node_modules directories", function(){
+    const groups = groupPackages.findGroupPackages(path.join(TEST_PACKAGES_DIR, 'project'), true);
+    expect(groups.svg.version).toEqual('2.0.0');
+    expect(groups.svg.requiredVersion).toBeNull();
+    expect(groups.icons).toBeDefined();
+  });
+
+  it("checks whether packages work with a gulp-kitchen-sink version", function(){
+    const group = {groupName: 'svg', packageName: 'gulp-kitchen-sink-group-svg', version: '1.0.0', requiredVersion: '^0.1.0'};
+    expect(groupPackages.checkCompatibility(group, '0.1.5')).toBeNull();
+    expect(groupPackages.checkCompatibility(group, '1.0.0')).toEqual(
+      'The "svg" task group from gulp-kitchen-sink-group-svg@1.0.0 requires gulp-kitchen-sink ^0.1.0, ' +
+      'but 1.0.0 is installed. It may not work as expected.'
+    );
+
+    group.requiredVersion = 'not a range';
+    expect(groupPackages.checkCompatibility(group, '0.1.0')).toMatch(/invalid gulp-kitchen-sink version range: "not a range"/);
+
+    group.requiredVersion = null;
+    expect(groupPackages.checkCompatibility(group, '0.1.0')).toBeNull();
+  });
+
+});
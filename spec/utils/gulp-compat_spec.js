@@ -0,0 +1,199 @@
+/*
+ Jasmine unit tests for the functions in utils/gulp-compat.js
+ */
+describe("The Gulp compatibility utils", function(){
+  "use strict";
+
+  const gulpCompat = require('../../lib/utils/gulp-compat');
+  const Gulp4 = require('gulp4').Gulp;
+  const PassThrough = require('stream').PassThrough;
+
+  const gulp = require('gulp');
+
+  afterEach(function(){
+    gulp.reset();
+  });
+
+  // Describes how a Gulp 4 task was composed, e.g. [['<series>', ['<parallel>', 'a', 'b'], 'fn']]
+  function describeComposition(gulp4, taskName){
+    const describe = function(node){
+      return node.branch ? [node.label].concat(node.nodes.map(describe)) : node.label;
+    };
+    return gulp4.tree({deep: true}).nodes.filter(function(node){
+      return node.label === taskName;
+    })[0].nodes.map(describe);
+  }
+
+
+  // Tests
+
+  it("tells Gulp 3 and Gulp 4 apart", function(){
+    expect(gulpCompat.isGulp4(gulp)).toBe(false);
+    expect(gulpCompat.isGulp4(new Gulp4())).toBe(true);
+  });
+
+  it("defines tasks with dependencies on Gulp 3", function(){
+    const fn = function(){};
+    gulpCompat.defineTask(gulp, 'dep', [], fn);
+    gulpCompat.defineTask(gulp, 'main', ['dep'], fn);
+    expect(gulpCompat.hasTask(gulp, 'main')).toBe(true);
+    expect(gulp.tasks.main.dep).toEqual(['dep']);
+    expect(gulp.tasks.dep.dep).toEqual([]);
+  });
+
+  it("composes dependencies on Gulp 4", function(){
+    const gulp4 = new Gulp4();
+    const fn = function(){};
+    gulpCompat.defineTask(gulp4, 'a', [], fn);
+    gulpCompat.defineTask(gulp4, 'b', [], fn);
+    gulpCompat.defineTask(gulp4, 'parallel', ['a', 'b'], fn);
+    gulpCompat.defineTask(gulp4, 'series', ['a', 'b'], fn, {series: true});
+
+    expect(gulp4.task('a').unwrap()).toBe(fn);
+    expect(describeComposition(gulp4, 'a')).toEqual([]);
+    expect(describeComposition(gulp4, 'parallel')).toEqual([['<series>', ['<parallel>', 'a', 'b'], 'fn']]);
+    expect(describeComposition(gulp4, 'series')).toEqual([['<series>', ['<series>', 'a', 'b'], 'fn']]);
+    expect(gulpCompat.hasTask(gulp4, 'series')).toBe(true);
+    expect(gulpCompat.hasTask(gulp4, 'nope')).toBe(false);
+  });
+
+  it("sets task descriptions and flags on Gulp 4", function(){
+    const gulp4 = new Gulp4();
+    const flags = {'--prod': 'Production build'};
+    gulpCompat.defineTask(gulp4, 'a', [], function(){}, {description: 'Does A', flags: flags});
+    gulpCompat.defineTask(gulp4, 'b', ['a'], function(){}, {description: 'Does B'});
+
+    expect(gulp4.task('a').unwrap().description).toEqual('Does A');
+    expect(gulp4.task('a').unwrap().flags).toBe(flags);
+    expect(gulp4.task('b').unwrap().description).toEqual('Does B');
+    expect(gulp4.task('b').unwrap().flags).toBeUndefined();
+  });
+
+  it("defers composing dependencies that are not defined yet on Gulp 4", function(done){
+    const gulp4 = new Gulp4();
+    const order = [];
+    gulpCompat.defineTask(gulp4, 'main', ['dep'], function(cb){
+      order.push('main');
+      cb();
+    });
+    gulpCompat.defineTask(gulp4, 'dep', [], function(cb){
+      order.push('dep');
+      cb();
+    });
+    expect(describeComposition(gulp4, 'main')).toEqual([]);
+
+    gulp4.task('main')(function(){
+      expect(order).toEqual(['dep', 'main']);
+      done();
+    });
+  });
+
+  it("waits for asynchronous dependencies before running their dependents on Gulp 4", function(done){
+    const gulp4 = new Gulp4();
+    const order = [];
+    gulpCompat.defineTask(gulp4, 'promised', [], function(){
+      order.push('promised started');
+      return new Promise(function(resolve){
+        setTimeout(function(){
+          order.push('promised finished');
+          resolve();
+        }, 10);
+      });
+    });
+    gulpCompat.defineTask(gulp4, 'streamed', [], function(){
+      order.push('streamed started');
+      const stream = new PassThrough({objectMode: true});
+      setTimeout(function(){
+        order.push('streamed finished');
+        stream.end({});
+      }, 20);
+      return stream;
+    });
+    gulpCompat.defineTask(gulp4, 'main', ['promised', 'streamed'], function(cb){
+      order.push('main');
+      cb();
+    });
+
+    gulpCompat.runTasks(gulp4, ['main'], function(err){
+      expect(err).toBeNull();
+      expect(order).toEqual(['promised started', 'streamed started', 'promised finished', 'streamed finished', 'main']);
+      done();
+    });
+  });
+
+  it("waits for asynchronous dependencies that were not defined yet on Gulp 4", function(done){
+    const gulp4 = new Gulp4();
+    const order = [];
+    gulpCompat.defineTask(gulp4, 'main', ['dep'], function(cb){
+      order.push('main');
+      cb();
+    }, {series: true});
+    expect(gulpCompat.hasTask(gulp4, 'dep')).toBe(false);
+    gulpCompat.defineTask(gulp4, 'dep', [], function(cb){
+      setTimeout(function(){
+        order.push('dep');
+        cb();
+      }, 10);
+    });
+
+    gulpCompat.runTasks(gulp4, ['main'], function(err){
+      expect(err).toBeNull();
+      expect(order).toEqual(['dep', 'main']);
+      done();
+    });
+  });
+
+  it("stops at failing asynchronous dependencies on Gulp 4", function(done){
+    const gulp4 = new Gulp4();
+    const main = jasmine.createSpy('main');
+    gulpCompat.defineTask(gulp4, 'dep', [], function(){
+      return Promise.reject(new Error('dep failed'));
+    });
+    gulpCompat.defineTask(gulp4, 'main', ['dep'], main);
+
+    gulpCompat.runTasks(gulp4, ['main'], function(err){
+      expect(err.message).toEqual('dep failed');
+      expect(gulp4.listenerCount('error')).toEqual(0);
+      expect(main).not.toHaveBeenCalled();
+      done();
+    });
+  });
+
+  it("runs tasks on Gulp 3", function(done){
+    const calls = [];
+    gulpCompat.defineTask(gulp, 'a', [], function(){
+      calls.push('a');
+    });
+    gulpCompat.defineTask(gulp, 'b', ['a'], function(cb){
+      calls.push('b');
+      cb(new Error('b failed'));
+    });
+    gulpCompat.runTasks(gulp, ['b'], function(err){
+      expect(calls).toEqual(['a', 'b']);
+      expect(err.message).toEqual('b failed');
+      done();
+    });
+  });
+
+  it("runs tasks in series on Gulp 4", function(done){
+    const gulp4 = new Gulp4();
+    const calls = [];
+    gulpCompat.defineTask(gulp4, 'a', [], function(cb){
+      calls.push('a');
+      cb();
+    });
+    gulpCompat.defineTask(gulp4, 'b', [], function(cb){
+      calls.push('b');
+      cb();
+    });
+    gulpCompat.runTasks(gulp4, ['b', 'a'], function(err){
+      expect(err).toBeNull();
+      expect(calls).toEqual(['b', 'a']);
+      gulpCompat.runTasks(gulp4, ['nope'], function(err){
+        expect(err.message).toEqual('Task never defined: nope');
+        done();
+      });
+    });
+  });
+
+});
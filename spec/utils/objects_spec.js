@@ -0,0 +1,127 @@
+/*
+ Jasmine unit tests for the helper functions in utils/objects.js
+ */
+describe("The objects utils", function(){
+  "use strict";
+
+  const objects = require('../../lib/utils/objects');
+
+
+  // Tests
+
+  it("recognises plain objects", function(){
+    expect(objects.isPlainObject({})).toBe(true);
+    expect(objects.isPlainObject(Object.create(null))).toBe(true);
+    expect(objects.isPlainObject([])).toBe(false);
+    expect(objects.isPlainObject(null)).toBe(false);
+    expect(objects.isPlainObject('foo')).toBe(false);
+    expect(objects.isPlainObject(function(){})).toBe(false);
+    expect(objects.isPlainObject(/foo/)).toBe(false);
+  });
+
+  it("deep-merges nested objects", function(){
+    const target = { a: { b: 1, c: 2 }, d: 3 };
+    const result = objects.deepMerge(target, { a: { c: 4 }, e: 5 });
+
+    // Target is modified and returned
+    expect(result).toBe(target);
+    expect(target).toEqual({ a: { b: 1, c: 4 }, d: 3, e: 5 });
+  });
+
+  it("replaces arrays rather than merging them", function(){
+    const source = { list: ['c'] };
+    const target = objects.deepMerge({ list: ['a', 'b'] }, source);
+
+    expect(target.list).toEqual(['c']);
+    // Must be a copy of the source array
+    expect(target.list).not.toBe(source.list);
+  });
+
+  it("ignores undefined values", function(){
+    expect(objects.deepMerge({ a: 1 }, { a: undefined })).toEqual({ a: 1 });
+  });
+
+  it("does not merge into prototypes", function(){
+    const target = objects.deepMerge({}, JSON.parse(
+      '{"__proto__": {"polluted": true}, "a": {"constructor": {"prototype": {"polluted": true}}}, "b": 1}'
+    ));
+
+    expect(target).toEqual({ a: {}, b: 1 });
+    expect({}.polluted).toBeUndefined();
+    expect(Object.prototype.hasOwnProperty('polluted')).toBe(false);
+  });
+
+  it("deep-clones values", function(){
+    const fn = function(){};
+    const original = { a: { b: [1, { c: 2 }] }, fn: fn };
+    const copy = objects.deepClone(original);
+
+    expect(copy).toEqual(original);
+    expect(copy.a).not.toBe(original.a);
+    expect(copy.a.b).not.toBe(original.a.b);
+    expect(copy.a.b[1]).not.toBe(original.a.b[1]);
+    // Functions are copied by reference
+    expect(copy.fn).toBe(fn);
+  });
+
+  it("does not share nested objects with the source", function(){
+    const source = { a: { b: 1 } };
+    const target = objects.deepMerge({}, source);
+
+    target.a.b = 2;
+    expect(source.a.b).toEqual(1);
+  });
+
+  it("compares values deeply", function(){
+    const fn = function(){};
+    expect(objects.deepEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).toBe(true);
+    expect(objects.deepEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 3 }] })).toBe(false);
+    expect(objects.deepEqual({ a: 1 }, { a: 1, b: 2 })).toBe(false);
+    expect(objects.deepEqual([1, 2], [1, 2, 3])).toBe(false);
+    expect(objects.deepEqual(fn, fn)).toBe(true);
+    expect(objects.deepEqual(fn, function(){})).toBe(false);
+    expect(objects.deepEqual(null, {})).toBe(false);
+  });
+
+  it("flattens objects into key paths", function(){
+    expect(objects.flatten({
+      paths: { srcRoot: 'src' },
+      less: { srcFiles: ['a.less'], lessConfig: {} },
+      mode: 'dev'
+    })).toEqual({
+      'paths.srcRoot': 'src',
+      'less.srcFiles': ['a.less'],
+      'less.lessConfig': {},
+      'mode': 'dev'
+    });
+    expect(objects.flatten({ b: 1 }, 'a')).toEqual({ 'a.b': 1 });
+  });
+
+  it("gets values by key path", function(){
+    const obj = { a: { b: { c: 1 } } };
+    expect(objects.getPath(obj, 'a.b.c')).toEqual(1);
+    expect(objects.getPath(obj, 'a.b')).toEqual({ c: 1 });
+    expect(objects.getPath(obj, 'a.x.c')).toBeUndefined();
+    expect(objects.getPath(obj, 'a.b.c.d')).toBeUndefined();
+  });
+
+  it("sets values by key path", function(){
+    const obj = { a: { b: 1 }, x: 'not an object' };
+    objects.setPath(obj, 'a.c', 2);
+    objects.setPath(obj, 'x.y', 3);
+    objects.setPath(obj, 'd.e.f', 4);
+    expect(obj).toEqual({ a: { b: 1, c: 2 }, x: { y: 3 }, d: { e: { f: 4 } } });
+  });
+
+  it("does not set values on prototypes", function(){
+    const obj = { a: {} };
+    objects.setPath(obj, '__proto__.polluted', true);
+    objects.setPath(obj, 'a.constructor.prototype.polluted', true);
+    objects.setPath(obj, 'prototype', true);
+
+    expect(obj).toEqual({ a: {} });
+    expect({}.polluted).toBeUndefined();
+    expect(Object.prototype.hasOwnProperty('polluted')).toBe(false);
+  });
+
+});
@@ -0,0 +1,53 @@
+/*
+ Jasmine unit tests for the functions in utils/streams.js
+ */
+describe("The stream utils", function(){
+  "use strict";
+
+  const stream = require('stream');
+
+  const streams = require('../../lib/utils/streams');
+
+  // Returns a stream that passes objects through, failing
+  // on the given one
+  function stage(failOn){
+    return new stream.Transform({
+      objectMode: true,
+      transform: function(obj, encoding, callback){
+        callback(obj === failOn ? new Error('Failed on ' + obj) : null, obj);
+      }
+    });
+  }
+
+
+  // Tests
+
+  it("pipes streams into each other and returns the last one", function(done){
+    const first = stage();
+    const last = stage();
+    const seen = [];
+    expect(streams.pipeline([first, stage(), last])).toBe(last);
+
+    last.on('data', function(obj){
+      seen.push(obj);
+    }).on('end', function(){
+      expect(seen).toEqual(['a', 'b']);
+      done();
+    });
+    first.write('a');
+    first.end('b');
+  });
+
+  it("emits the errors of all streams from the last one", function(done){
+    const first = stage();
+    const last = streams.pipeline([first, stage('b'), stage()]);
+
+    last.on('error', function(err){
+      expect(err.message).toEqual('Failed on b');
+      done();
+    });
+    first.write('a');
+    first.end('b');
+  });
+
+});
@@ -0,0 +1,88 @@
+/*
+ Jasmine unit tests for the functions in utils/task-help.js
+ */
+describe("The task help utils", function(){
+  "use strict";
+
+  const path = require('path');
+
+  const BuildConfig = require('../../lib/types/build-config');
+  const GroupLoader = require('../../lib/types/group-loader');
+  const taskHelp = require('../../lib/utils/task-help');
+
+  const gulp = require('gulp');
+
+  var loader;
+
+  beforeEach(function(){
+    loader = new GroupLoader(gulp, new BuildConfig(), path.join(__dirname, '../testdata/graph-tasks/'));
+  });
+
+  afterEach(function(){
+    gulp.reset();
+  });
+
+
+  // Tests
+
+  it("describes registered tasks grouped by task group", function(){
+    loader.loadTask('alpha', 'build');
+    const help = taskHelp.createHelp(loader);
+
+    expect(help.map(function(groupHelp){
+      return groupHelp.groupName;
+    })).toEqual(['alpha', 'beta']);
+    expect(help[0].tasks.map(function(task){
+      return task.taskName;
+    })).toEqual(['alpha:build', 'alpha:prep']);
+    expect(help[0].tasks[0].deps).toEqual(['alpha:prep', 'beta:compile']);
+    expect(help[0].tasks[1].deps).toEqual([]);
+    expect(help[0].tasks[1].flags).toEqual({});
+    expect(help[0].tasks[1].examples).toEqual([]);
+  });
+
+  it("creates examples given as a function from the current task names", function(){
+    loader.taskGroup('beta').addAction('docs', function(){}, {
+      examples: function(taskName){
+        return ['gulp ' + taskName + ' --prod'];
+      }
+    });
+    loader.config.tasks.separator = '.';
+    loader.loadTask('beta', 'docs');
+
+    expect(taskHelp.createHelp(loader)[0].tasks[0].examples).toEqual(['gulp beta.docs --prod']);
+  });
+
+  it("formats task descriptions as text", function(){
+    const text = taskHelp.formatHelp([{
+      groupName: 'less',
+      tasks: [{
+        taskName: 'less:build',
+        actionName: 'build',
+        deps: ['less:hint'],
+        description: 'Builds things.',
+        flags: {'--prod': 'Production build', '--dev': 'Development build'},
+        examples: ['gulp less:build --prod']
+      }]
+    }]);
+
+    expect(text).toEqual([
+      'Kitchen sink tasks',
+      '',
+      'less',
+      '  less:build',
+      '    Builds things.',
+      '    Depends on: less:hint',
+      '    Flags:',
+      '      --prod  Production build',
+      '      --dev   Development build',
+      '    Examples:',
+      '      gulp less:build --prod'
+    ].join('\n'));
+  });
+
+  it("says so when there are no tasks", function(){
+    expect(taskHelp.formatHelp([])).toMatch(/\(none\)/);
+  });
+
+});